@@ -0,0 +1,56 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { pool } from '../src/db.js';
+import { embedFaces } from '../src/peopleDetector.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const uploadsDir = path.join(__dirname, '..', 'uploads');
+
+// Compute missing face and appearance embeddings for existing face rows, one photo at a time
+async function main() {
+  const { rows: photos } = await pool.query(`
+    SELECT DISTINCT p.id, p.filename, p.preview_filename, p.width, p.height
+    FROM photos p
+    JOIN faces f ON f.photo_id = p.id
+    WHERE f.face_embedding IS NULL OR f.appearance_embedding IS NULL
+    ORDER BY p.id
+  `);
+
+  let updated = 0;
+  let skipped = 0;
+  for (const photo of photos) {
+    const fileName = photo.preview_filename || photo.filename;
+    const absPath = path.join(uploadsDir, fileName);
+    const { rows: faces } = await pool.query(
+      `SELECT id, bbox, landmarks FROM faces
+       WHERE photo_id = $1 AND (face_embedding IS NULL OR appearance_embedding IS NULL)
+       ORDER BY id`,
+      [photo.id]
+    );
+    if (!fs.existsSync(absPath)) {
+      skipped += faces.length;
+      continue;
+    }
+    // Stored boxes are in original pixel space
+    const space = photo.width && photo.height ? { width: photo.width, height: photo.height } : null;
+    const embeddings = await embedFaces(absPath, faces.map((f) => ({ ...f.bbox, landmarks: f.landmarks })), { space });
+    for (let i = 0; i < faces.length; i++) {
+      const { faceEmbedding, appearanceEmbedding } = embeddings[i];
+      if (!faceEmbedding && !appearanceEmbedding) { skipped += 1; continue; }
+      await pool.query(
+        `UPDATE faces
+         SET face_embedding = COALESCE(face_embedding, $1), appearance_embedding = COALESCE(appearance_embedding, $2)
+         WHERE id = $3`,
+        [faceEmbedding, appearanceEmbedding, faces[i].id]
+      );
+      updated += 1;
+    }
+  }
+
+  console.log(`Embedded ${updated} faces across ${photos.length} photos (${skipped} skipped)`);
+  await pool.end();
+}
+
+main().catch((e) => { console.error(e); process.exit(1); });
@@ -0,0 +1,33 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { initializeDatabase, pool } from '../src/db.js';
+import { readPhotoMetadata, writePhotoMetadata } from '../src/photoMetadata.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const uploadsDir = path.join(__dirname, '..', 'uploads');
+
+// Read EXIF capture metadata for photos uploaded before it was recorded, from their originals
+async function main() {
+  await initializeDatabase();
+  const { rows: photos } = await pool.query(`SELECT id, filename FROM photos WHERE metadata_read_at IS NULL ORDER BY id`);
+
+  let dated = 0;
+  let missing = 0;
+  for (const photo of photos) {
+    const absPath = path.join(uploadsDir, photo.filename);
+    if (!fs.existsSync(absPath)) {
+      missing += 1;
+      continue;
+    }
+    const metadata = await readPhotoMetadata(absPath);
+    await writePhotoMetadata(photo.id, metadata);
+    if (metadata.taken_at) dated += 1;
+  }
+
+  console.log(`Read metadata for ${photos.length - missing} photos, ${dated} with a capture time (${missing} originals missing)`);
+  await pool.end();
+}
+
+main().catch((e) => { console.error(e); process.exit(1); });
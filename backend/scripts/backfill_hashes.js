@@ -0,0 +1,56 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { initializeDatabase, pool } from '../src/db.js';
+import { differenceHash, sha256File } from '../src/duplicates.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const uploadsDir = path.join(__dirname, '..', 'uploads');
+
+// Hash photos uploaded before duplicate detection. A photo whose file already exists in its
+// event keeps a NULL content hash (the unique index allows one per event) and is reported.
+async function main() {
+  await initializeDatabase();
+  const { rows: photos } = await pool.query(
+    `SELECT id, event_id, filename, preview_filename FROM photos WHERE content_sha256 IS NULL OR dhash IS NULL ORDER BY id`
+  );
+
+  let hashed = 0;
+  let missing = 0;
+  const duplicates = [];
+  for (const photo of photos) {
+    const absPath = path.join(uploadsDir, photo.filename);
+    if (!fs.existsSync(absPath)) {
+      missing += 1;
+      continue;
+    }
+    let contentHash;
+    let dhash;
+    try {
+      contentHash = await sha256File(absPath);
+      const previewPath = photo.preview_filename && path.join(uploadsDir, photo.preview_filename);
+      dhash = await differenceHash(previewPath && fs.existsSync(previewPath) ? previewPath : absPath);
+    } catch (e) {
+      console.error(`Photo ${photo.id} unreadable:`, e.message);
+      missing += 1;
+      continue;
+    }
+    const { rows: same } = await pool.query(
+      `SELECT id FROM photos WHERE event_id = $1 AND content_sha256 = $2 AND id <> $3`,
+      [photo.event_id, contentHash, photo.id]
+    );
+    if (same[0]) duplicates.push(`${photo.id} (same file as ${same[0].id})`);
+    await pool.query(
+      `UPDATE photos SET content_sha256 = COALESCE(content_sha256, $2), dhash = $3 WHERE id = $1`,
+      [photo.id, same[0] ? null : contentHash, dhash]
+    );
+    hashed += 1;
+  }
+
+  console.log(`Hashed ${hashed} of ${photos.length} photos (${missing} originals missing or unreadable)`);
+  if (duplicates.length > 0) console.log(`Exact duplicates left in place: ${duplicates.join(', ')}`);
+  await pool.end();
+}
+
+main().catch((e) => { console.error(e); process.exit(1); });
@@ -0,0 +1,74 @@
+import fs from 'fs';
+import path from 'path';
+import sharp from 'sharp';
+import { fileURLToPath } from 'url';
+import { initializeDatabase, pool, withTransaction } from '../src/db.js';
+import { displaySize, orientBox, writeDerivatives } from '../src/derivatives.js';
+import { writeFaceCrops } from '../src/faceCrops.js';
+import { estimatePose } from '../src/peopleDetector.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const uploadsDir = path.join(__dirname, '..', 'uploads');
+
+// Photos uploaded before EXIF orientation was honoured have sideways derivatives, swapped
+// width/height and face boxes in the stored (sideways) pixel grid. Turn all of them upright.
+// Embeddings of such faces were computed on sideways crops, so re-detect those photos afterwards.
+async function main() {
+  await initializeDatabase();
+  const { rows: photos } = await pool.query(`SELECT id, filename FROM photos WHERE oriented IS NOT TRUE ORDER BY id`);
+
+  let rotated = 0;
+  let missing = 0;
+  const withFaces = [];
+  for (const photo of photos) {
+    const absPath = path.join(uploadsDir, photo.filename);
+    if (!fs.existsSync(absPath)) {
+      missing += 1;
+      continue;
+    }
+    let meta;
+    try {
+      meta = await sharp(absPath).metadata();
+    } catch (e) {
+      console.error(`Photo ${photo.id} unreadable:`, e.message);
+      missing += 1;
+      continue;
+    }
+    const orientation = meta.orientation || 1;
+    if (orientation === 1) {
+      await pool.query(`UPDATE photos SET oriented = TRUE WHERE id = $1`, [photo.id]);
+      continue;
+    }
+    const { previewName, thumbName } = await writeDerivatives(photo.filename);
+    const { width, height } = displaySize(meta);
+    const faceCount = await withTransaction(async (client) => {
+      const { rows: faces } = await client.query(`SELECT id, bbox, landmarks FROM faces WHERE photo_id = $1`, [photo.id]);
+      for (const face of faces) {
+        const upright = orientBox({ ...face.bbox, landmarks: face.landmarks }, orientation, meta.width, meta.height);
+        const { landmarks, ...bbox } = upright;
+        const pose = estimatePose(landmarks);
+        await client.query(
+          `UPDATE faces SET bbox = $2, landmarks = $3, yaw = $4, pitch = $5, roll = $6 WHERE id = $1`,
+          [face.id, JSON.stringify(bbox), landmarks ? JSON.stringify(landmarks) : null, pose.yaw, pose.pitch, pose.roll]
+        );
+      }
+      await client.query(
+        `UPDATE photos SET width = $2, height = $3, preview_filename = $4, thumb_filename = $5, oriented = TRUE WHERE id = $1`,
+        [photo.id, width, height, previewName, thumbName]
+      );
+      return faces.length;
+    });
+    if (faceCount > 0) {
+      await writeFaceCrops(photo.id);
+      withFaces.push(photo.id);
+    }
+    rotated += 1;
+  }
+
+  console.log(`Turned ${rotated} of ${photos.length} photos upright (${missing} originals missing or unreadable)`);
+  if (withFaces.length > 0) console.log(`Re-detect faces on photos ${withFaces.join(', ')} to refresh their embeddings`);
+  await pool.end();
+}
+
+main().catch((e) => { console.error(e); process.exit(1); });
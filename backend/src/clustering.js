@@ -0,0 +1,121 @@
+import { pool } from './db.js';
+import { faceNeighbours } from './embeddingSearch.js';
+import { cosineSimilarity } from './recognition.js';
+
+// How many member faces to return as thumbnails per cluster
+const REPRESENTATIVES_PER_CLUSTER = 4;
+// Single-linkage clusters chain through their closest pairs, so proposals need a tighter
+// similarity than recognition's threshold or look-alike guests merge into one person
+export const CLUSTER_MIN_SIMILARITY = parseFloat(process.env.CLUSTER_MIN_SIMILARITY || '0.6');
+// Neighbours looked up per face; plenty for the core-point test and cluster growth
+const CLUSTER_NEIGHBOURS = parseInt(process.env.CLUSTER_NEIGHBOURS || '50', 10);
+
+// DBSCAN over neighbour lists (neighbours[i]: indices of the items close to item i): an
+// item with at least minSize - 1 neighbours is a core point, and clusters grow through
+// core points. Returns arrays of item indices; items that join no cluster are left out.
+export function clusterNeighbours(neighbours, { minSize = 2 } = {}) {
+  const n = neighbours.length;
+  const isCore = (i) => neighbours[i].length + 1 >= minSize;
+  const label = new Array(n).fill(-1);
+  const clusters = [];
+  for (let i = 0; i < n; i++) {
+    if (label[i] !== -1 || !isCore(i)) continue;
+    const members = [i];
+    label[i] = clusters.length;
+    for (let k = 0; k < members.length; k++) {
+      const p = members[k];
+      if (!isCore(p)) continue;
+      for (const q of neighbours[p]) {
+        if (label[q] !== -1) continue;
+        label[q] = clusters.length;
+        members.push(q);
+      }
+    }
+    clusters.push(members.sort((a, b) => a - b));
+  }
+  return clusters;
+}
+
+// DBSCAN over cosine similarity, comparing every pair (small sets only; events go through
+// faceNeighbours instead)
+export function clusterEmbeddings(embeddings, { minSimilarity = CLUSTER_MIN_SIMILARITY, minSize = 2 } = {}) {
+  const n = embeddings.length;
+  const neighbours = Array.from({ length: n }, () => []);
+  for (let i = 0; i < n; i++) {
+    for (let j = i + 1; j < n; j++) {
+      if (cosineSimilarity(embeddings[i], embeddings[j]) >= minSimilarity) {
+        neighbours[i].push(j);
+        neighbours[j].push(i);
+      }
+    }
+  }
+  return clusterNeighbours(neighbours, { minSize });
+}
+
+// Members ordered by similarity to the cluster's mean embedding, most typical first
+export function rankByCentroid(embeddings) {
+  const dims = embeddings[0].length;
+  const centroid = new Array(dims).fill(0);
+  for (const e of embeddings) for (let d = 0; d < dims; d++) centroid[d] += e[d];
+  return embeddings
+    .map((e, i) => ({ index: i, similarity: cosineSimilarity(e, centroid) }))
+    .sort((a, b) => b.similarity - a.similarity);
+}
+
+// Fingerprint of what an event's clusters are built from (each unassigned face's id, box and
+// recognized person), so a computed result can be served until one of them changes
+export async function faceClusterInputSignature(eventId) {
+  const { rows } = await pool.query(
+    `SELECT md5(COALESCE(string_agg(f.id || ':' || f.bbox::text || ':' || COALESCE(f.recognized_tag_id::text, ''), ',' ORDER BY f.id), '')) AS signature
+     FROM faces f
+     JOIN photos p ON p.id = f.photo_id
+     WHERE p.event_id = $1 AND f.face_embedding IS NOT NULL AND f.assignment_source IS DISTINCT FROM 'manual'`,
+    [eventId]
+  );
+  return rows[0].signature;
+}
+
+// Cluster the faces of an event that nobody has assigned by hand yet. Neighbours come from
+// the face search; embeddings are only loaded for clustered faces, to pick representatives.
+export async function listEventFaceClusters(eventId, { minSimilarity = CLUSTER_MIN_SIMILARITY, minSize = 2 } = {}) {
+  const { rows: faces } = await pool.query(
+    `SELECT f.id, f.photo_id, f.bbox, f.recognized_tag_id,
+            p.filename, p.preview_filename, p.width, p.height
+     FROM faces f
+     JOIN photos p ON p.id = f.photo_id
+     WHERE p.event_id = $1 AND f.face_embedding IS NOT NULL AND f.assignment_source IS DISTINCT FROM 'manual'
+     ORDER BY f.id ASC`,
+    [eventId]
+  );
+  const indexById = new Map(faces.map((f, i) => [f.id, i]));
+  const byId = await faceNeighbours(eventId, { minSimilarity, limit: CLUSTER_NEIGHBOURS });
+  const neighbours = faces.map((f) => (byId.get(f.id) || []).map((id) => indexById.get(id)).filter((i) => i !== undefined));
+  const groups = clusterNeighbours(neighbours, { minSize });
+  const clusteredIds = groups.flat().map((i) => faces[i].id);
+  const { rows: vectors } = await pool.query(`SELECT id, face_embedding FROM faces WHERE id = ANY($1::int[])`, [clusteredIds]);
+  const embeddingById = new Map(vectors.map((v) => [v.id, v.face_embedding]));
+  const clusters = groups.map((indices) => {
+    const members = indices.map((i) => faces[i]);
+    const ranked = rankByCentroid(members.map((m) => embeddingById.get(m.id)));
+    const toFace = (m) => ({
+      face_id: m.id,
+      photo_id: m.photo_id,
+      bbox: m.bbox,
+      recognized_tag_id: m.recognized_tag_id
+    });
+    return {
+      // Smallest member id keeps the id stable while the cluster only gains faces
+      cluster_id: members[0].id,
+      size: members.length,
+      photo_count: new Set(members.map((m) => m.photo_id)).size,
+      faces: members.map(toFace),
+      representatives: ranked.slice(0, REPRESENTATIVES_PER_CLUSTER).map(({ index }) => {
+        const m = members[index];
+        return { ...toFace(m), filename: m.filename, preview_filename: m.preview_filename, width: m.width, height: m.height };
+      })
+    };
+  });
+  clusters.sort((a, b) => b.size - a.size || a.cluster_id - b.cluster_id);
+  const clustered = clusters.reduce((n, c) => n + c.size, 0);
+  return { min_similarity: minSimilarity, total_faces: faces.length, unclustered: faces.length - clustered, clusters };
+}
@@ -188,7 +188,185 @@ export async function initializeDatabase() {
 			source_face_id INT REFERENCES faces(id) ON DELETE SET NULL,
 			created_at TIMESTAMPTZ DEFAULT now()
 		);
+		CREATE INDEX IF NOT EXISTS idx_faces_photo_id ON faces (photo_id);
+		CREATE INDEX IF NOT EXISTS idx_person_embeddings_tag_id ON person_embeddings (tag_id);
+
+		-- Minimum similarity for a gallery match to be written to faces.recognized_tag_id
+		ALTER TABLE settings ADD COLUMN IF NOT EXISTS recognition_threshold REAL;
+		-- Fused scoring: face vs appearance weights, and when the face term is trusted less
+		ALTER TABLE settings ADD COLUMN IF NOT EXISTS face_weight REAL;
+		ALTER TABLE settings ADD COLUMN IF NOT EXISTS appearance_weight REAL;
+		ALTER TABLE settings ADD COLUMN IF NOT EXISTS pose_limit_degrees REAL;
+		ALTER TABLE settings ADD COLUMN IF NOT EXISTS min_face_size REAL;
+		-- Auto matches within this distance of the threshold go to the review queue
+		ALTER TABLE settings ADD COLUMN IF NOT EXISTS review_margin REAL;
+
+		-- How recognized_tag_id was set: 'auto' by the matcher, 'manual' by an operator (gallery source)
+		ALTER TABLE faces ADD COLUMN IF NOT EXISTS assignment_source TEXT;
+		CREATE INDEX IF NOT EXISTS idx_person_embeddings_source_face_id ON person_embeddings (source_face_id);
+
+		-- Background work (thumbnails, face detection, descriptions); see src/jobs.js
+		CREATE TABLE IF NOT EXISTS jobs (
+			id SERIAL PRIMARY KEY,
+			kind TEXT NOT NULL,
+			payload JSONB NOT NULL DEFAULT '{}',
+			status TEXT NOT NULL DEFAULT 'queued', -- queued | running | succeeded | failed | cancelled
+			attempts INT NOT NULL DEFAULT 0,
+			max_attempts INT NOT NULL DEFAULT 3,
+			run_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+			last_error TEXT,
+			result JSONB,
+			created_at TIMESTAMPTZ DEFAULT now(),
+			started_at TIMESTAMPTZ,
+			finished_at TIMESTAMPTZ,
+			updated_at TIMESTAMPTZ DEFAULT now()
+		);
+		CREATE INDEX IF NOT EXISTS idx_jobs_claim ON jobs (kind, status, run_at);
+
+		-- Groups of jobs started together (e.g. detect faces for a whole event) for progress reporting
+		CREATE TABLE IF NOT EXISTS job_batches (
+			id SERIAL PRIMARY KEY,
+			kind TEXT NOT NULL,
+			event_id INT REFERENCES events(id) ON DELETE CASCADE,
+			params JSONB NOT NULL DEFAULT '{}',
+			total INT NOT NULL DEFAULT 0,
+			created_at TIMESTAMPTZ DEFAULT now()
+		);
+		ALTER TABLE jobs ADD COLUMN IF NOT EXISTS batch_id INT REFERENCES job_batches(id) ON DELETE SET NULL;
+		CREATE INDEX IF NOT EXISTS idx_jobs_batch_id ON jobs (batch_id);
+
+		-- Set when face detection last completed for a photo (even if it found no faces)
+		ALTER TABLE photos ADD COLUMN IF NOT EXISTS faces_detected_at TIMESTAMPTZ;
+		-- Models that produced a face row (see faceDetectorVersion in peopleDetector.js)
+		ALTER TABLE faces ADD COLUMN IF NOT EXISTS detector_version TEXT;
+		-- 'manual' for boxes drawn or adjusted by an editor; re-detection keeps those
+		ALTER TABLE faces ADD COLUMN IF NOT EXISTS box_source TEXT;
+		-- 'rejected' once triage set a face aside; it then stays out of the review queue
+		ALTER TABLE faces ADD COLUMN IF NOT EXISTS review_status TEXT;
+		-- Cached square crop under uploads/faces (see faceCrops.js)
+		ALTER TABLE faces ADD COLUMN IF NOT EXISTS crop_filename TEXT;
+
+		-- Negative examples: an operator said this face is not this person
+		CREATE TABLE IF NOT EXISTS face_rejections (
+			id SERIAL PRIMARY KEY,
+			face_id INT NOT NULL REFERENCES faces(id) ON DELETE CASCADE,
+			tag_id INT NOT NULL REFERENCES tags(id) ON DELETE CASCADE,
+			created_at TIMESTAMPTZ DEFAULT now(),
+			UNIQUE (face_id, tag_id)
+		);
+		CREATE INDEX IF NOT EXISTS idx_face_rejections_tag_id ON face_rejections (tag_id);
+
+		-- Capture metadata from EXIF (see photoMetadata.js); metadata_read_at marks rows already parsed
+		ALTER TABLE photos ADD COLUMN IF NOT EXISTS taken_at TIMESTAMPTZ;
+		ALTER TABLE photos ADD COLUMN IF NOT EXISTS camera_make TEXT;
+		ALTER TABLE photos ADD COLUMN IF NOT EXISTS camera_model TEXT;
+		ALTER TABLE photos ADD COLUMN IF NOT EXISTS lens_model TEXT;
+		ALTER TABLE photos ADD COLUMN IF NOT EXISTS focal_length_mm REAL;
+		ALTER TABLE photos ADD COLUMN IF NOT EXISTS exposure_time_s REAL;
+		ALTER TABLE photos ADD COLUMN IF NOT EXISTS f_number REAL;
+		ALTER TABLE photos ADD COLUMN IF NOT EXISTS iso INT;
+		ALTER TABLE photos ADD COLUMN IF NOT EXISTS gps_latitude DOUBLE PRECISION;
+		ALTER TABLE photos ADD COLUMN IF NOT EXISTS gps_longitude DOUBLE PRECISION;
+		ALTER TABLE photos ADD COLUMN IF NOT EXISTS gps_altitude_m REAL;
+		ALTER TABLE photos ADD COLUMN IF NOT EXISTS orientation SMALLINT;
+		ALTER TABLE photos ADD COLUMN IF NOT EXISTS metadata_read_at TIMESTAMPTZ;
+		-- TRUE once width/height, derivatives and face boxes follow EXIF orientation: set on upload,
+		-- and for older rows by scripts/fix_orientation.js
+		ALTER TABLE photos ADD COLUMN IF NOT EXISTS oriented BOOLEAN;
+		-- Duplicate detection (see duplicates.js): the same file once per event, and a perceptual hash
+		-- for near duplicates. Rows from before hashing keep NULLs until scripts/backfill_hashes.js
+		ALTER TABLE photos ADD COLUMN IF NOT EXISTS content_sha256 TEXT;
+		ALTER TABLE photos ADD COLUMN IF NOT EXISTS dhash TEXT;
+		CREATE UNIQUE INDEX IF NOT EXISTS idx_photos_event_sha256 ON photos (event_id, content_sha256) WHERE content_sha256 IS NOT NULL;
+		-- Set aside while culling, e.g. the frames of a burst not picked as its best
+		ALTER TABLE photos ADD COLUMN IF NOT EXISTS rejected BOOLEAN DEFAULT FALSE;
+		-- RAW and HEIC uploads: full-size JPEG rendition of the original that previews, thumbnails
+		-- and face crops are cut from (NULL when sharp reads the original itself, see imageFormats.js)
+		ALTER TABLE photos ADD COLUMN IF NOT EXISTS render_filename TEXT;
+		-- Keyset pagination for GET /photos?sort=taken_at
+		CREATE INDEX IF NOT EXISTS idx_photos_event_taken_at ON photos (event_id, taken_at, id);
 	`);
+	await initializeVectorSearch();
+}
+
+// ArcFace embedding size; only vectors of this length get a pgvector shadow
+export const VECTOR_DIMS = 512;
+let pgvectorReady = false;
+
+// True once the vector shadow columns and indexes exist (see initializeVectorSearch)
+export function hasPgvector() {
+	return pgvectorReady;
+}
+
+// pgvector is optional. When the extension can be created, faces.face_embedding and
+// person_embeddings.embedding get vector(512) shadow columns kept in sync by triggers,
+// with HNSW cosine indexes. Without it (or with EMBEDDING_SEARCH=brute) searches fall
+// back to scanning REAL[] columns in Node (embeddingSearch.js).
+async function initializeVectorSearch() {
+	pgvectorReady = false;
+	if (process.env.EMBEDDING_SEARCH === 'brute') return;
+	const client = await pool.connect();
+	try {
+		// Several processes may start at once; DDL below is not safe to run concurrently
+		await client.query(`SELECT pg_advisory_lock(hashtext('photo_app_vector_search'))`);
+		try {
+			await client.query(`CREATE EXTENSION IF NOT EXISTS vector`);
+		} catch (e) {
+			console.log(`pgvector unavailable, using in-process embedding search (${e.message})`);
+			return;
+		}
+		await client.query(`
+			ALTER TABLE faces ADD COLUMN IF NOT EXISTS face_vec vector(${VECTOR_DIMS});
+			ALTER TABLE person_embeddings ADD COLUMN IF NOT EXISTS embedding_vec vector(${VECTOR_DIMS});
+
+			CREATE OR REPLACE FUNCTION faces_sync_face_vec() RETURNS trigger AS $$
+			BEGIN
+				NEW.face_vec := CASE WHEN array_length(NEW.face_embedding, 1) = ${VECTOR_DIMS} THEN NEW.face_embedding::vector END;
+				RETURN NEW;
+			END $$ LANGUAGE plpgsql;
+			DROP TRIGGER IF EXISTS trg_faces_sync_face_vec ON faces;
+			CREATE TRIGGER trg_faces_sync_face_vec BEFORE INSERT OR UPDATE OF face_embedding ON faces
+				FOR EACH ROW EXECUTE FUNCTION faces_sync_face_vec();
+
+			CREATE OR REPLACE FUNCTION person_embeddings_sync_vec() RETURNS trigger AS $$
+			BEGIN
+				NEW.embedding_vec := CASE WHEN array_length(NEW.embedding, 1) = ${VECTOR_DIMS} THEN NEW.embedding::vector END;
+				RETURN NEW;
+			END $$ LANGUAGE plpgsql;
+			DROP TRIGGER IF EXISTS trg_person_embeddings_sync_vec ON person_embeddings;
+			CREATE TRIGGER trg_person_embeddings_sync_vec BEFORE INSERT OR UPDATE OF embedding ON person_embeddings
+				FOR EACH ROW EXECUTE FUNCTION person_embeddings_sync_vec();
+
+			-- Backfill rows written before the extension was installed
+			UPDATE faces SET face_vec = face_embedding::vector
+			WHERE face_vec IS NULL AND array_length(face_embedding, 1) = ${VECTOR_DIMS};
+			UPDATE person_embeddings SET embedding_vec = embedding::vector
+			WHERE embedding_vec IS NULL AND array_length(embedding, 1) = ${VECTOR_DIMS};
+
+			CREATE INDEX IF NOT EXISTS idx_faces_face_vec ON faces USING hnsw (face_vec vector_cosine_ops);
+			CREATE INDEX IF NOT EXISTS idx_person_embeddings_embedding_vec ON person_embeddings USING hnsw (embedding_vec vector_cosine_ops);
+		`);
+		pgvectorReady = true;
+	} finally {
+		try { await client.query(`SELECT pg_advisory_unlock(hashtext('photo_app_vector_search'))`); } catch {}
+		client.release();
+	}
+}
+
+// Run fn(client) inside a transaction on a dedicated connection
+export async function withTransaction(fn) {
+	const client = await pool.connect();
+	try {
+		await client.query('BEGIN');
+		const result = await fn(client);
+		await client.query('COMMIT');
+		return result;
+	} catch (err) {
+		try { await client.query('ROLLBACK'); } catch {}
+		throw err;
+	} finally {
+		client.release();
+	}
 }
 
 export async function getPhotoWithTags(photoId) {
@@ -0,0 +1,50 @@
+import path from 'path';
+import sharp from 'sharp';
+import { fileURLToPath } from 'url';
+
+// Preview and thumbnail files cut from an upload's original. Cameras often store portrait
+// shots sideways with an EXIF Orientation tag; everything derived here is turned upright,
+// and photos.width/height, face boxes and overlays all use that upright pixel space.
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const uploadsDir = path.join(__dirname, '..', 'uploads');
+
+// Width and height as displayed, i.e. after applying EXIF orientation (sharp metadata)
+export function displaySize(meta) {
+  const size = meta.autoOrient || meta;
+  return { width: size.width || null, height: size.height || null };
+}
+
+// Preview (1600px) and thumbnail (256px) next to the original; returns their file names
+export async function writeDerivatives(filename) {
+  const filePath = path.join(uploadsDir, filename);
+  const previewName = filename.replace(/(\.[^.]+)?$/, '_preview$1');
+  const thumbName = filename.replace(/(\.[^.]+)?$/, '_thumb$1');
+  await sharp(filePath).rotate().resize({ width: 1600, height: 1600, fit: 'inside' }).toFile(path.join(uploadsDir, previewName));
+  await sharp(filePath).rotate().resize({ width: 256, height: 256, fit: 'cover' }).toFile(path.join(uploadsDir, thumbName));
+  return { previewName, thumbName };
+}
+
+// Map a point from the stored (raw) pixel grid of a width x height image to its upright
+// position for an EXIF orientation 1-8
+export function orientPoint([x, y], orientation, width, height) {
+  switch (orientation) {
+    case 2: return [width - x, y];
+    case 3: return [width - x, height - y];
+    case 4: return [x, height - y];
+    case 5: return [y, x];
+    case 6: return [height - y, x];
+    case 7: return [height - y, width - x];
+    case 8: return [y, width - x];
+    default: return [x, y];
+  }
+}
+
+// Same for a { left, top, width, height } box (landmarks, if any, follow their points)
+export function orientBox(box, orientation, width, height) {
+  const [x1, y1] = orientPoint([box.left, box.top], orientation, width, height);
+  const [x2, y2] = orientPoint([box.left + box.width, box.top + box.height], orientation, width, height);
+  const out = { ...box, left: Math.min(x1, x2), top: Math.min(y1, y2), width: Math.abs(x2 - x1), height: Math.abs(y2 - y1) };
+  if (Array.isArray(box.landmarks)) out.landmarks = box.landmarks.map((p) => orientPoint(p, orientation, width, height));
+  return out;
+}
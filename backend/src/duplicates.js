@@ -0,0 +1,103 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import sharp from 'sharp';
+
+// Exact duplicates share the SHA-256 of the original file (photos.content_sha256, unique per
+// event). Near duplicates such as burst shots or re-encoded copies have perceptual difference
+// hashes (photos.dhash, 16 hex digits) only a few bits apart.
+
+export function sha256File(filePath) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash('sha256');
+    fs.createReadStream(filePath)
+      .on('error', reject)
+      .on('data', (chunk) => hash.update(chunk))
+      .on('end', () => resolve(hash.digest('hex')));
+  });
+}
+
+// 64-bit dHash: shrink to 9x8 grey pixels and record whether each pixel is brighter than
+// its right neighbour. Upright orientation, so a rotated copy of the same shot still matches.
+export async function differenceHash(input) {
+  const { data } = await sharp(input)
+    .rotate()
+    .grayscale()
+    .resize(9, 8, { fit: 'fill' })
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+  let hex = '';
+  for (let row = 0; row < 8; row++) {
+    let byte = 0;
+    for (let col = 0; col < 8; col++) {
+      byte = (byte << 1) | (data[row * 9 + col] > data[row * 9 + col + 1] ? 1 : 0);
+    }
+    hex += byte.toString(16).padStart(2, '0');
+  }
+  return hex;
+}
+
+function popcount32(n) {
+  n -= (n >>> 1) & 0x55555555;
+  n = (n & 0x33333333) + ((n >>> 2) & 0x33333333);
+  return (((n + (n >>> 4)) & 0x0f0f0f0f) * 0x01010101) >>> 24;
+}
+
+export function hammingDistance(a, b) {
+  return popcount32(parseInt(a.slice(0, 8), 16) ^ parseInt(b.slice(0, 8), 16)) +
+    popcount32(parseInt(a.slice(8, 16), 16) ^ parseInt(b.slice(8, 16), 16));
+}
+
+// Group photos ({ id, dhash, ... }) whose hashes are within maxDistance bits, transitively
+// (a burst A~B~C is one group even if A and C differ more). Groups of one are left out;
+// each group lists its photos by id and groups come in order of their first photo.
+export function groupNearDuplicates(photos, maxDistance) {
+  const hashed = photos.filter((p) => p.dhash);
+  const parent = hashed.map((_, i) => i);
+  const find = (i) => (parent[i] === i ? i : (parent[i] = find(parent[i])));
+  for (let i = 0; i < hashed.length; i++) {
+    for (let j = i + 1; j < hashed.length; j++) {
+      if (hammingDistance(hashed[i].dhash, hashed[j].dhash) <= maxDistance) parent[find(j)] = find(i);
+    }
+  }
+  const groups = new Map();
+  hashed.forEach((p, i) => {
+    const root = find(i);
+    if (!groups.has(root)) groups.set(root, []);
+    groups.get(root).push(p);
+  });
+  return Array.from(groups.values())
+    .filter((g) => g.length > 1)
+    .map((g) => g.sort((a, b) => a.id - b.id))
+    .sort((a, b) => a[0].id - b[0].id);
+}
+
+// Burst stacks: runs of photos from one camera (make and model), each shot within maxGapMs of
+// the previous frame and looking like it (dHash within maxDistance bits), so a second
+// photographer shooting the same seconds doesn't break the run. Photos without a capture time
+// or dHash stay out. Returns the stacks of two or more photos, each in capture order, stacks
+// ordered by their first frame.
+export function groupBursts(photos, { maxGapMs, maxDistance }) {
+  const byTime = (a, b) => new Date(a.taken_at) - new Date(b.taken_at) || a.id - b.id;
+  const cameras = new Map();
+  for (const p of photos) {
+    if (!p.taken_at || !p.dhash) continue;
+    const camera = `${p.camera_make || ''}\u0000${p.camera_model || ''}`;
+    if (!cameras.has(camera)) cameras.set(camera, []);
+    cameras.get(camera).push(p);
+  }
+  const stacks = [];
+  for (const timed of cameras.values()) {
+    let run = [];
+    for (const p of timed.sort(byTime)) {
+      const prev = run[run.length - 1];
+      if (prev && new Date(p.taken_at) - new Date(prev.taken_at) <= maxGapMs && hammingDistance(prev.dhash, p.dhash) <= maxDistance) {
+        run.push(p);
+        continue;
+      }
+      if (run.length > 1) stacks.push(run);
+      run = [p];
+    }
+    if (run.length > 1) stacks.push(run);
+  }
+  return stacks.sort((a, b) => byTime(a[0], b[0]));
+}
@@ -0,0 +1,194 @@
+import { hasPgvector, pool, VECTOR_DIMS, withTransaction } from './db.js';
+import { cosineSimilarity } from './recognition.js';
+
+// Nearest-neighbour search over face embeddings. With pgvector the vector shadow columns
+// answer the query: searches across every event walk the HNSW indexes, while searches within
+// one event score that event's vectors exactly (the index would return the nearest entries of
+// all events and only then drop other events', losing matches). Otherwise (or for vectors that
+// are not VECTOR_DIMS long) rows are scanned and scored in Node.
+
+const EF_SEARCH = parseInt(process.env.HNSW_EF_SEARCH || '200', 10);
+
+export function usesPgvector(embedding) {
+  return hasPgvector() && Array.isArray(embedding) && embedding.length === VECTOR_DIMS;
+}
+
+async function withEfSearch(limit, fn) {
+  const ef = Math.min(1000, Math.max(EF_SEARCH, limit));
+  return withTransaction(async (client) => {
+    await client.query(`SET LOCAL hnsw.ef_search = ${ef}`);
+    return fn(client);
+  });
+}
+
+function topK(rows, embedding, vectorKey, limit, minSimilarity) {
+  return rows
+    .map((r) => ({ ...r, similarity: cosineSimilarity(embedding, r[vectorKey]) }))
+    .filter((r) => r.similarity >= minSimilarity)
+    .sort((a, b) => b.similarity - a.similarity || a.id - b.id)
+    .slice(0, limit);
+}
+
+// Faces most similar to an embedding, best first, within one event or (eventId null)
+// across all of them: [{ face_id, photo_id, event_id, similarity }]
+export async function searchFaces(embedding, { eventId, limit = 20, minSimilarity = -1, excludeFaceIds = [] } = {}) {
+  if (usesPgvector(embedding) && eventId != null) {
+    // Ordering by the similarity rather than the distance operator keeps the planner off the index
+    const { rows } = await pool.query(
+      `SELECT f.id AS face_id, f.photo_id, p.event_id, 1 - (f.face_vec <=> $1::real[]::vector) AS similarity
+       FROM faces f
+       JOIN photos p ON p.id = f.photo_id
+       WHERE p.event_id = $2 AND f.face_vec IS NOT NULL AND NOT (f.id = ANY($3::int[]))
+         AND 1 - (f.face_vec <=> $1::real[]::vector) >= $4
+       ORDER BY similarity DESC, f.id
+       LIMIT $5`,
+      [embedding, eventId, excludeFaceIds, minSimilarity, limit]
+    );
+    return rows;
+  }
+  if (usesPgvector(embedding)) {
+    const { rows } = await withEfSearch(limit, (client) => client.query(
+      `SELECT f.id AS face_id, f.photo_id, p.event_id, 1 - (f.face_vec <=> $1::real[]::vector) AS similarity
+       FROM faces f
+       JOIN photos p ON p.id = f.photo_id
+       WHERE f.face_vec IS NOT NULL AND NOT (f.id = ANY($2::int[]))
+       ORDER BY f.face_vec <=> $1::real[]::vector
+       LIMIT $3`,
+      [embedding, excludeFaceIds, limit]
+    ));
+    return rows.filter((r) => r.similarity >= minSimilarity);
+  }
+  const { rows } = await pool.query(
+    `SELECT f.id, f.photo_id, p.event_id, f.face_embedding
+     FROM faces f
+     JOIN photos p ON p.id = f.photo_id
+     WHERE ($1::int IS NULL OR p.event_id = $1) AND f.face_embedding IS NOT NULL AND NOT (f.id = ANY($2::int[]))`,
+    [eventId ?? null, excludeFaceIds]
+  );
+  return topK(rows, embedding, 'face_embedding', limit, minSimilarity)
+    .map((r) => ({ face_id: r.id, photo_id: r.photo_id, event_id: r.event_id, similarity: r.similarity }));
+}
+
+// People of an event ranked by their closest gallery embedding:
+// [{ tag_id, tag_name, similarity }]
+export async function searchGallery(embedding, options = {}) {
+  const [found] = await searchGalleryMany([embedding], options);
+  return found;
+}
+
+// keep each tag's best entry of a similarity-ordered list
+function bestPerTag(entries, limit) {
+  const best = new Map();
+  for (const e of entries) {
+    if (!best.has(e.tag_id)) best.set(e.tag_id, { tag_id: e.tag_id, tag_name: e.tag_name, similarity: e.similarity });
+  }
+  return Array.from(best.values()).slice(0, limit);
+}
+
+// searchGallery for a batch of embeddings (e.g. every face of a photo or event) on one
+// connection, or with one pass over the gallery rows when pgvector can't answer
+export async function searchGalleryMany(embeddings, { eventId, limit = 5, minSimilarity = -1 } = {}) {
+  if (embeddings.length > 0 && embeddings.every(usesPgvector)) {
+    // Each person's closest entry, scored exactly over the event's gallery
+    return withTransaction(async (client) => {
+      const out = [];
+      for (const embedding of embeddings) {
+        const { rows } = await client.query(
+          `SELECT tag_id, tag_name, similarity
+           FROM (
+             SELECT DISTINCT ON (pe.tag_id) pe.tag_id, t.name AS tag_name, 1 - (pe.embedding_vec <=> $1::real[]::vector) AS similarity
+             FROM person_embeddings pe
+             JOIN tags t ON t.id = pe.tag_id
+             WHERE t.event_id = $2 AND pe.embedding_vec IS NOT NULL
+             ORDER BY pe.tag_id, similarity DESC
+           ) best
+           WHERE similarity >= $3
+           ORDER BY similarity DESC, tag_id
+           LIMIT $4`,
+          [embedding, eventId, minSimilarity, limit]
+        );
+        out.push(rows);
+      }
+      return out;
+    });
+  }
+  const { rows } = await pool.query(
+    `SELECT pe.id, pe.tag_id, t.name AS tag_name, pe.embedding
+     FROM person_embeddings pe
+     JOIN tags t ON t.id = pe.tag_id
+     WHERE t.event_id = $1`,
+    [eventId]
+  );
+  return embeddings.map((embedding) => bestPerTag(topK(rows, embedding, 'embedding', rows.length, minSimilarity), limit));
+}
+
+// Neighbour lists for clustering the faces of an event nobody has assigned by hand: for each,
+// the others at minSimilarity or better, closest first and at most `limit`, as a Map of
+// id -> ids. With pgvector one query scores every pair inside the event; otherwise the
+// embeddings are compared in Node, yielding to the event loop between rows so a large event
+// does not hold up other requests.
+export async function faceNeighbours(eventId, { minSimilarity, limit = 50 }) {
+  const { rows: [state] } = await pool.query(
+    `SELECT COUNT(*)::int AS faces, bool_and(${hasPgvector() ? 'f.face_vec IS NOT NULL' : 'FALSE'}) AS indexed
+     FROM faces f
+     JOIN photos p ON p.id = f.photo_id
+     WHERE p.event_id = $1 AND f.face_embedding IS NOT NULL AND f.assignment_source IS DISTINCT FROM 'manual'`,
+    [eventId]
+  );
+  const neighbours = new Map();
+  if (state.faces === 0) return neighbours;
+  if (state.indexed) {
+    const { rows } = await pool.query(
+      `WITH candidates AS MATERIALIZED (
+         SELECT f.id, f.face_vec
+         FROM faces f
+         JOIN photos p ON p.id = f.photo_id
+         WHERE p.event_id = $1 AND f.face_vec IS NOT NULL AND f.assignment_source IS DISTINCT FROM 'manual'
+       )
+       SELECT c.id, array_remove(array_agg(n.id ORDER BY n.distance, n.id), NULL) AS neighbours
+       FROM candidates c
+       LEFT JOIN LATERAL (
+         SELECT o.id, o.face_vec <=> c.face_vec AS distance
+         FROM candidates o
+         WHERE o.id <> c.id AND (o.face_vec <=> c.face_vec) <= $2
+         ORDER BY distance, o.id
+         LIMIT $3
+       ) n ON TRUE
+       GROUP BY c.id
+       ORDER BY c.id`,
+      [eventId, 1 - minSimilarity, limit]
+    );
+    for (const r of rows) neighbours.set(r.id, r.neighbours);
+    return neighbours;
+  }
+  const { rows } = await pool.query(
+    `SELECT f.id, f.face_embedding
+     FROM faces f
+     JOIN photos p ON p.id = f.photo_id
+     WHERE p.event_id = $1 AND f.face_embedding IS NOT NULL AND f.assignment_source IS DISTINCT FROM 'manual'
+     ORDER BY f.id`,
+    [eventId]
+  );
+  const unit = rows.map((r) => {
+    const v = Float32Array.from(r.face_embedding);
+    const norm = Math.sqrt(v.reduce((sum, x) => sum + x * x, 0)) || 1;
+    return v.map((x) => x / norm);
+  });
+  const found = rows.map(() => []);
+  for (let i = 0; i < rows.length; i++) {
+    for (let j = i + 1; j < rows.length; j++) {
+      if (unit[i].length !== unit[j].length) continue;
+      let dot = 0;
+      for (let d = 0; d < unit[i].length; d++) dot += unit[i][d] * unit[j][d];
+      if (dot >= minSimilarity) {
+        found[i].push({ id: rows[j].id, similarity: dot });
+        found[j].push({ id: rows[i].id, similarity: dot });
+      }
+    }
+    await new Promise((resolve) => setImmediate(resolve));
+  }
+  rows.forEach((r, i) => {
+    neighbours.set(r.id, found[i].sort((a, b) => b.similarity - a.similarity || a.id - b.id).slice(0, limit).map((n) => n.id));
+  });
+  return neighbours;
+}
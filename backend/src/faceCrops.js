@@ -0,0 +1,95 @@
+import fs from 'fs';
+import path from 'path';
+import sharp from 'sharp';
+import { fileURLToPath } from 'url';
+import { pool } from './db.js';
+
+// Square, padded face crops cut from the original photo (its JPEG rendition for RAW and
+// HEIC uploads), cached under uploads/faces as face_<id>.jpg and recorded in faces.crop_filename.
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const uploadsDir = path.join(__dirname, '..', 'uploads');
+export const faceCropsDir = path.join(uploadsDir, 'faces');
+const CROP_SIZE = parseInt(process.env.FACE_CROP_SIZE || '160', 10);
+// Extra context around the box on each side, as a fraction of the box's longer side
+const CROP_PADDING = 0.25;
+
+// Square region around a bbox, clamped to the image
+export function cropRegion(bbox, imageWidth, imageHeight, padding = CROP_PADDING) {
+  const side = Math.max(bbox.width, bbox.height) * (1 + 2 * padding);
+  const cx = bbox.left + bbox.width / 2;
+  const cy = bbox.top + bbox.height / 2;
+  const left = Math.max(0, Math.round(cx - side / 2));
+  const top = Math.max(0, Math.round(cy - side / 2));
+  const right = Math.min(imageWidth, Math.round(cx + side / 2));
+  const bottom = Math.min(imageHeight, Math.round(cy + side / 2));
+  if (right - left < 1 || bottom - top < 1) return null;
+  return { left, top, width: right - left, height: bottom - top };
+}
+
+// Write crops for faces of one photo, decoding the original only once.
+// Returns a Map of face id -> crop filename; faces that could not be cropped are left out.
+export async function writeFaceCrops(photoId, faceIds = null, db = pool) {
+  const { rows } = await db.query(
+    `SELECT f.id, f.bbox, COALESCE(p.render_filename, p.filename) AS filename, p.width, p.height
+     FROM faces f JOIN photos p ON p.id = f.photo_id
+     WHERE f.photo_id = $1 AND ($2::int[] IS NULL OR f.id = ANY($2::int[]))
+     ORDER BY f.id`,
+    [photoId, faceIds]
+  );
+  const written = new Map();
+  if (rows.length === 0) return written;
+  let decoded;
+  try {
+    decoded = await sharp(path.join(uploadsDir, rows[0].filename))
+      .rotate()
+      .removeAlpha()
+      .raw()
+      .toBuffer({ resolveWithObject: true });
+  } catch (e) {
+    console.error(`Face crop source for photo ${photoId} unreadable:`, e.message);
+    return written;
+  }
+  const { data, info } = decoded;
+  fs.mkdirSync(faceCropsDir, { recursive: true });
+  // Boxes are in photos.width/height space; the decoded original may differ (e.g. unknown dims)
+  const sx = rows[0].width ? info.width / rows[0].width : 1;
+  const sy = rows[0].height ? info.height / rows[0].height : sx;
+  for (const face of rows) {
+    const b = face.bbox || {};
+    const region = cropRegion(
+      { left: b.left * sx, top: b.top * sy, width: b.width * sx, height: b.height * sy },
+      info.width,
+      info.height
+    );
+    if (!region) continue;
+    const name = `face_${face.id}.jpg`;
+    try {
+      await sharp(data, { raw: { width: info.width, height: info.height, channels: info.channels } })
+        .extract(region)
+        .resize(CROP_SIZE, CROP_SIZE, { fit: 'cover' })
+        .jpeg({ quality: 85 })
+        .toFile(path.join(faceCropsDir, name));
+      written.set(face.id, name);
+    } catch (e) {
+      console.error(`Face crop ${face.id} failed:`, e.message);
+    }
+  }
+  if (written.size > 0) {
+    await db.query(
+      `UPDATE faces f SET crop_filename = u.name
+       FROM unnest($1::int[], $2::text[]) AS u(id, name)
+       WHERE f.id = u.id`,
+      [Array.from(written.keys()), Array.from(written.values())]
+    );
+  }
+  return written;
+}
+
+export function removeFaceCropFiles(names) {
+  for (const name of names) {
+    if (!name) continue;
+    const p = path.join(faceCropsDir, path.basename(name));
+    try { if (fs.existsSync(p)) fs.unlinkSync(p); } catch {}
+  }
+}
@@ -0,0 +1,241 @@
+import { pool } from './db.js';
+import { boxIou, matchBoxesByIou } from './peopleDetector.js';
+
+// The person gallery is derived from manual assignments: every face an operator
+// assigned to a tag (directly, by naming a cluster, or by tagging a single-face
+// photo) contributes its ArcFace embedding to that tag's person_embeddings.
+// Functions take an optional client so they can run inside a caller's transaction.
+
+// Assign a face to a tag by hand and enroll it; a null tag clears the assignment
+export async function assignFace(faceId, tagId, db = pool) {
+  await db.query(`DELETE FROM person_embeddings WHERE source_face_id = $1`, [faceId]);
+  const { rows } = await db.query(
+    `UPDATE faces
+     SET recognized_tag_id = $2, assignment_source = CASE WHEN $2::int IS NULL THEN NULL ELSE 'manual' END
+     WHERE id = $1
+     RETURNING id, photo_id, recognized_tag_id, assignment_source, face_embedding IS NOT NULL AS has_embedding`,
+    [faceId, tagId]
+  );
+  const face = rows[0];
+  if (!face) return null;
+  // An operator naming the face overrides an earlier "not this person" for that tag
+  if (tagId) await db.query(`DELETE FROM face_rejections WHERE face_id = $1 AND tag_id = $2`, [faceId, tagId]);
+  let enrolled = false;
+  if (tagId && face.has_embedding) {
+    await db.query(
+      `INSERT INTO person_embeddings (tag_id, embedding, source_face_id)
+       SELECT $2, face_embedding, id FROM faces WHERE id = $1`,
+      [faceId, tagId]
+    );
+    enrolled = true;
+  }
+  return { id: face.id, photo_id: face.photo_id, recognized_tag_id: face.recognized_tag_id, assignment_source: face.assignment_source, enrolled };
+}
+
+// Assign a face from the photo view: the person also becomes a tag of the photo. When a
+// hand-made assignment moves away, the old tag leaves the photo unless another face there
+// still carries it (automatic matches never added tags, so replacing one removes nothing).
+export async function tagFace(faceId, tagId, db = pool) {
+  const { rows } = await db.query(`SELECT photo_id, recognized_tag_id, assignment_source FROM faces WHERE id = $1`, [faceId]);
+  const before = rows[0];
+  if (!before) return null;
+  const assigned = await assignFace(faceId, tagId, db);
+  if (tagId) {
+    await db.query(`INSERT INTO photo_tags (photo_id, tag_id) VALUES ($1, $2) ON CONFLICT DO NOTHING`, [before.photo_id, tagId]);
+  }
+  const previous = before.assignment_source === 'manual' ? before.recognized_tag_id : null;
+  if (previous && previous !== tagId) {
+    await db.query(
+      `DELETE FROM photo_tags
+       WHERE photo_id = $1 AND tag_id = $2
+         AND NOT EXISTS (SELECT 1 FROM faces WHERE photo_id = $1 AND recognized_tag_id = $2)`,
+      [before.photo_id, previous]
+    );
+  }
+  return assigned;
+}
+
+// "Not this person": record the face as a negative example for the tag and drop the
+// assignment if the face currently carries that tag
+export async function rejectFaceTag(faceId, tagId, db = pool) {
+  const { rows } = await db.query(`SELECT recognized_tag_id FROM faces WHERE id = $1`, [faceId]);
+  if (!rows[0]) return null;
+  await db.query(
+    `INSERT INTO face_rejections (face_id, tag_id) VALUES ($1, $2) ON CONFLICT DO NOTHING`,
+    [faceId, tagId]
+  );
+  if (rows[0].recognized_tag_id === tagId) {
+    await tagFace(faceId, null, db);
+    await db.query(`UPDATE faces SET fused_score = NULL WHERE id = $1`, [faceId]);
+  }
+  const face = await db.query(`SELECT id, photo_id, recognized_tag_id, assignment_source FROM faces WHERE id = $1`, [faceId]);
+  return face.rows[0];
+}
+
+// Turn recognitions into photo tags for a batch of photos: every face assigned by hand, or
+// automatically with a fused score at or above the threshold, tags its photo.
+// Returns the tags this added, as { photo_id, tag_id, name } rows.
+export async function applyRecognizedTags(photoIds, threshold, db = pool) {
+  const { rows } = await db.query(
+    `WITH added AS (
+       INSERT INTO photo_tags (photo_id, tag_id)
+       SELECT DISTINCT f.photo_id, f.recognized_tag_id
+       FROM faces f
+       WHERE f.photo_id = ANY($1::int[]) AND f.recognized_tag_id IS NOT NULL
+         AND (f.assignment_source = 'manual' OR f.fused_score >= $2)
+       ON CONFLICT DO NOTHING
+       RETURNING photo_id, tag_id
+     )
+     SELECT a.photo_id, a.tag_id, t.name FROM added a JOIN tags t ON t.id = a.tag_id
+     ORDER BY a.photo_id, t.name`,
+    [photoIds, threshold]
+  );
+  return rows;
+}
+
+// Tagging a photo that shows exactly one face identifies that face, unless an
+// operator already assigned it to someone else by hand
+export async function enrollSinglePhotoFace(photoId, tagId, db = pool) {
+  const { rows } = await db.query(`SELECT id, recognized_tag_id, assignment_source FROM faces WHERE photo_id = $1`, [photoId]);
+  if (rows.length !== 1) return null;
+  const face = rows[0];
+  if (face.assignment_source === 'manual' && face.recognized_tag_id !== tagId) return null;
+  return assignFace(face.id, tagId, db);
+}
+
+// Removing a person tag from a photo also withdraws that photo's faces assigned to it
+export async function unassignPhotoFaces(photoId, tagId, db = pool) {
+  const { rows } = await db.query(
+    `SELECT id FROM faces WHERE photo_id = $1 AND recognized_tag_id = $2 AND assignment_source = 'manual'`,
+    [photoId, tagId]
+  );
+  for (const r of rows) await assignFace(r.id, null, db);
+  return rows.length;
+}
+
+// Name a group of faces (e.g. a proposed cluster): find or create the tag in the event,
+// tag every member photo and assign + enroll each face. Faces outside the event are ignored.
+export async function nameFaceGroup(eventId, name, faceIds, db = pool) {
+  const existing = await db.query(`SELECT id, name FROM tags WHERE event_id = $2 AND LOWER(name) = LOWER($1) LIMIT 1`, [name, eventId]);
+  const tag = existing.rows[0] || (await db.query(`INSERT INTO tags (name, event_id) VALUES ($1, $2) RETURNING id, name`, [name, eventId])).rows[0];
+  const { rows: faces } = await db.query(
+    `SELECT f.id, f.photo_id FROM faces f JOIN photos p ON p.id = f.photo_id
+     WHERE f.id = ANY($1::int[]) AND p.event_id = $2
+     ORDER BY f.id`,
+    [faceIds, eventId]
+  );
+  const photoIds = Array.from(new Set(faces.map((f) => f.photo_id)));
+  await db.query(
+    `INSERT INTO photo_tags (photo_id, tag_id) SELECT unnest($1::int[]), $2 ON CONFLICT DO NOTHING`,
+    [photoIds, tag.id]
+  );
+  let enrolled = 0;
+  for (const f of faces) {
+    const assigned = await assignFace(f.id, tag.id, db);
+    if (assigned?.enrolled) enrolled += 1;
+  }
+  return { tag, faces: faces.length, photos: photoIds.length, enrolled };
+}
+
+// Regenerate all gallery entries of an event from its manually assigned faces
+export async function rebuildEventGallery(eventId, db = pool) {
+  await db.query(
+    `DELETE FROM person_embeddings pe USING tags t WHERE t.id = pe.tag_id AND t.event_id = $1`,
+    [eventId]
+  );
+  const inserted = await db.query(
+    `INSERT INTO person_embeddings (tag_id, embedding, source_face_id)
+     SELECT f.recognized_tag_id, f.face_embedding, f.id
+     FROM faces f
+     JOIN tags t ON t.id = f.recognized_tag_id
+     WHERE t.event_id = $1 AND f.assignment_source = 'manual' AND f.face_embedding IS NOT NULL
+     RETURNING tag_id`,
+    [eventId]
+  );
+  const missing = await db.query(
+    `SELECT COUNT(*)::int AS n
+     FROM faces f
+     JOIN tags t ON t.id = f.recognized_tag_id
+     WHERE t.event_id = $1 AND f.assignment_source = 'manual' AND f.face_embedding IS NULL`,
+    [eventId]
+  );
+  return {
+    enrolled: inserted.rowCount,
+    tags: new Set(inserted.rows.map((r) => r.tag_id)).size,
+    skipped: missing.rows[0].n
+  };
+}
+
+// Replace a photo's detected faces with a new detection run ([{ box, embedding }], boxes in
+// upright photo pixels); run it inside the caller's transaction. What an operator decided about
+// an old face carries over to the new box that overlaps it best (IoU >= minIou): a manual
+// assignment, "not this person" rejections and the review status. Boxes an editor drew or
+// adjusted (box_source 'manual') stay, and new detections on top of them are dropped.
+export async function replaceDetectedFaces(photoId, detections, { detectorVersion, minIou }, db = pool) {
+  const previous = await db.query(
+    `SELECT f.id, f.bbox, f.recognized_tag_id, f.assignment_source, f.box_source, f.review_status, f.crop_filename,
+            COALESCE((SELECT array_agg(fr.tag_id ORDER BY fr.tag_id) FROM face_rejections fr WHERE fr.face_id = f.id), '{}') AS rejected_tag_ids
+     FROM faces f WHERE f.photo_id = $1 ORDER BY f.id`,
+    [photoId]
+  );
+  const editedBoxes = previous.rows.filter((f) => f.box_source === 'manual');
+  const replaced = previous.rows.filter((f) => f.box_source !== 'manual');
+  const fresh = detections.filter(({ box }) => !editedBoxes.some((f) => boxIou(f.bbox, box) >= minIou));
+  const decided = replaced.filter((f) =>
+    (f.assignment_source === 'manual' && f.recognized_tag_id) || f.rejected_tag_ids.length > 0 || f.review_status
+  );
+  const carried = matchBoxesByIou(decided.map((f) => f.bbox), fresh.map(({ box }) => box), minIou);
+  const matchedOld = new Set(carried.values());
+  const dropped = decided.filter((f, i) => f.assignment_source === 'manual' && f.recognized_tag_id && !matchedOld.has(i)).length;
+  // Gallery rows would only lose their source face, so drop them with it
+  await db.query(
+    `DELETE FROM person_embeddings WHERE source_face_id IN (SELECT id FROM faces WHERE photo_id = $1 AND box_source IS DISTINCT FROM 'manual')`,
+    [photoId]
+  );
+  await db.query(`DELETE FROM faces WHERE photo_id = $1 AND box_source IS DISTINCT FROM 'manual'`, [photoId]);
+
+  const items = [];
+  let preserved = 0;
+  for (let i = 0; i < fresh.length; i++) {
+    const { box: b, embedding } = fresh[i];
+    const faceEmbedding = embedding?.faceEmbedding || null;
+    const appearance = embedding?.appearanceEmbedding || null;
+    const old = carried.has(i) ? decided[carried.get(i)] : null;
+    const ins = await db.query(
+      `INSERT INTO faces (photo_id, bbox, landmarks, yaw, pitch, roll, face_score, face_embedding, appearance_embedding, detector_version, review_status)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11) RETURNING id, bbox, landmarks, face_score`,
+      [photoId, JSON.stringify({ left: b.left, top: b.top, width: b.width, height: b.height }), b.landmarks ? JSON.stringify(b.landmarks) : null, b.yaw ?? null, b.pitch ?? null, b.roll ?? null, b.score ?? null, faceEmbedding, appearance, detectorVersion, old?.review_status ?? null]
+    );
+    const face = ins.rows[0];
+    if (old?.rejected_tag_ids.length) {
+      await db.query(
+        `INSERT INTO face_rejections (face_id, tag_id) SELECT $1, unnest($2::int[]) ON CONFLICT DO NOTHING`,
+        [face.id, old.rejected_tag_ids]
+      );
+    }
+    let assigned = null;
+    if (old?.assignment_source === 'manual' && old.recognized_tag_id) {
+      assigned = await assignFace(face.id, old.recognized_tag_id, db);
+      preserved += 1;
+    }
+    items.push({
+      id: face.id,
+      bbox: face.bbox,
+      landmarks: face.landmarks,
+      score: face.face_score,
+      has_embedding: !!faceEmbedding,
+      has_appearance: !!appearance,
+      recognized_tag_id: assigned ? assigned.recognized_tag_id : null,
+      assignment_source: assigned ? assigned.assignment_source : null,
+      detector_version: detectorVersion
+    });
+  }
+  await db.query(`UPDATE photos SET faces_detected_at = now() WHERE id = $1`, [photoId]);
+  return {
+    items,
+    preserved,
+    dropped,
+    keptManualBoxes: editedBoxes.length,
+    staleCrops: replaced.map((f) => f.crop_filename)
+  };
+}
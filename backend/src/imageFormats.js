@@ -0,0 +1,147 @@
+import fs from 'fs';
+import path from 'path';
+import sharp from 'sharp';
+import decodeHeic from 'heic-decode';
+
+// Uploads sharp can't decode directly. Camera RAW files (CR2, NEF, ARW, DNG, ...) and HEIC
+// photos are stored untouched as the original, and a full-size JPEG rendition next to it
+// (photos.render_filename, <stem>_render.jpg) stands in for the original wherever pixels are
+// needed: preview, thumbnail, dHash, face crops. RAW renditions are the camera's embedded
+// JPEG preview; HEIC is decoded with libheif when the bundled libvips has no HEVC decoder.
+
+const RAW_EXTENSIONS = new Set([
+  '.3fr', '.arw', '.cr2', '.cr3', '.crw', '.dcr', '.dng', '.erf', '.iiq', '.k25', '.kdc', '.mef',
+  '.mos', '.mrw', '.nef', '.nrw', '.orf', '.pef', '.raf', '.raw', '.rw2', '.rwl', '.sr2', '.srf', '.srw', '.x3f'
+]);
+const HEIF_EXTENSIONS = new Set(['.heic', '.heif', '.hif']);
+// ISO-BMFF major brands of HEVC-coded HEIF files (AVIF is left to sharp)
+const HEIF_BRANDS = new Set(['heic', 'heix', 'heim', 'heis', 'hevc', 'hevx', 'mif1', 'msf1']);
+
+// Error with the status and code POST /photos answers for a file it can't use
+function unreadable(status, code, message) {
+  const err = new Error(message);
+  err.status = status;
+  err.code = code;
+  return err;
+}
+
+// 'raw', 'heif' or null (anything else goes to sharp as is), from the file name and its first bytes
+export function imageKind(originalName, head) {
+  const ext = path.extname(originalName || '').toLowerCase();
+  if (RAW_EXTENSIONS.has(ext)) return 'raw';
+  if (HEIF_EXTENSIONS.has(ext)) return 'heif';
+  if (head && head.length >= 12 && head.toString('latin1', 4, 8) === 'ftyp') {
+    const brand = head.toString('latin1', 8, 12);
+    if (brand === 'crx ') return 'raw';
+    if (HEIF_BRANDS.has(brand)) return 'heif';
+  }
+  if (head && head.toString('latin1', 0, 15) === 'FUJIFILMCCD-RAW') return 'raw';
+  return null;
+}
+
+const isRestart = (marker) => marker >= 0xd0 && marker <= 0xd7;
+// Baseline, extended and progressive Huffman frames; lossless ones (RAW sensor data) can't be shown
+const isDisplayableFrame = (marker) => marker === 0xc0 || marker === 0xc1 || marker === 0xc2;
+const isFrame = (marker) => marker >= 0xc0 && marker <= 0xcf && marker !== 0xc4 && marker !== 0xc8 && marker !== 0xcc;
+
+// End offset of the JPEG stream starting (SOI) at `start`, walking its marker segments;
+// -1 when it is truncated, malformed or not a displayable frame type
+function jpegStreamEnd(buf, start) {
+  let i = start + 2;
+  while (i + 1 < buf.length) {
+    if (buf[i] !== 0xff) return -1;
+    const marker = buf[i + 1];
+    if (marker === 0xff) { i += 1; continue; }
+    if (marker === 0xd9) return i + 2;
+    if (isRestart(marker) || marker === 0x01) { i += 2; continue; }
+    if (i + 4 > buf.length) return -1;
+    if (isFrame(marker) && !isDisplayableFrame(marker)) return -1;
+    i += 2 + buf.readUInt16BE(i + 2);
+    if (marker === 0xda) {
+      // Entropy-coded data runs up to the next marker that isn't a stuffed 0xff00 or a restart
+      while (i + 1 < buf.length && !(buf[i] === 0xff && buf[i + 1] !== 0 && !isRestart(buf[i + 1]))) i += 1;
+    }
+  }
+  return -1;
+}
+
+// Every complete, displayable JPEG stream inside a file, largest first
+export function findEmbeddedJpegs(buf) {
+  const found = [];
+  let start = buf.indexOf(Buffer.from([0xff, 0xd8, 0xff]));
+  while (start !== -1) {
+    const end = jpegStreamEnd(buf, start);
+    if (end !== -1) found.push(buf.subarray(start, end));
+    start = buf.indexOf(Buffer.from([0xff, 0xd8, 0xff]), start + 2);
+  }
+  return found.sort((a, b) => b.length - a.length);
+}
+
+// Largest embedded preview sharp can decode; the RAW's own EXIF orientation is carried
+// over, since the preview is stored as the sensor sees it
+async function renderRaw(filePath, renderPath, orientation) {
+  for (const jpeg of findEmbeddedJpegs(await fs.promises.readFile(filePath))) {
+    try {
+      const meta = await sharp(jpeg).metadata();
+      if (!meta.width || !meta.height) continue;
+      if (orientation > 1) await sharp(jpeg).withMetadata({ orientation }).jpeg({ quality: 92 }).toFile(renderPath);
+      else await fs.promises.writeFile(renderPath, jpeg);
+      return;
+    } catch {
+      // Not a usable preview; try the next one
+    }
+  }
+  throw unreadable(422, 'NO_RAW_PREVIEW', 'RAW file has no embedded preview that can be read');
+}
+
+// libheif applies the container's rotation and mirroring, so the rendition is upright
+async function renderHeif(filePath, renderPath) {
+  try {
+    await sharp(filePath).rotate().jpeg({ quality: 92 }).toFile(renderPath);
+    return;
+  } catch {
+    // No HEVC decoder in libvips; fall back to libheif below
+  }
+  try {
+    const { width, height, data } = await decodeHeic({ buffer: await fs.promises.readFile(filePath) });
+    await sharp(Buffer.from(data.buffer, data.byteOffset, data.byteLength), { raw: { width, height, channels: 4 } })
+      .jpeg({ quality: 92 })
+      .toFile(renderPath);
+  } catch {
+    throw unreadable(415, 'UNREADABLE_HEIF', 'HEIC/HEIF image could not be decoded');
+  }
+}
+
+// Make sure an upload in uploadsDir can be read, writing a JPEG rendition when it needs one.
+// Returns the rendition's file name, or null when sharp reads the original directly.
+// Throws an error with a 4xx status and a code when the file can't be used at all.
+export async function prepareUpload(uploadsDir, filename, originalName, { orientation = null } = {}) {
+  const filePath = path.join(uploadsDir, filename);
+  const handle = await fs.promises.open(filePath, 'r');
+  const head = Buffer.alloc(16);
+  try {
+    await handle.read(head, 0, head.length, 0);
+  } finally {
+    await handle.close();
+  }
+  const kind = imageKind(originalName, head);
+  if (!kind) {
+    try {
+      const meta = await sharp(filePath).metadata();
+      if (meta.width && meta.height) return null;
+    } catch {
+      // Reported below
+    }
+    throw unreadable(415, 'UNSUPPORTED_FORMAT', 'Unsupported or corrupt image file');
+  }
+  const renderName = filename.replace(/(\.[^.]+)?$/, '_render.jpg');
+  const renderPath = path.join(uploadsDir, renderName);
+  try {
+    if (kind === 'raw') await renderRaw(filePath, renderPath, orientation);
+    else await renderHeif(filePath, renderPath);
+  } catch (err) {
+    fs.unlink(renderPath, () => {});
+    throw err;
+  }
+  return renderName;
+}
@@ -4,12 +4,23 @@ import dotenv from 'dotenv';
 import multer from 'multer';
 import path from 'path';
 import fs from 'fs';
+import os from 'os';
 import { fileURLToPath } from 'url';
-import { initializeDatabase, pool, listPhotosWithTags, listAllTagsWithCounts, getPhotoWithTags, listPhotosWithTagsPaginated } from './db.js';
+import { initializeDatabase, pool, listPhotosWithTags, listAllTagsWithCounts, getPhotoWithTags, listPhotosWithTagsPaginated, withTransaction } from './db.js';
 import sharp from 'sharp';
 import archiver from 'archiver';
 import OpenAI from 'openai';
 import { detectPeopleInImage } from './peopleDetector.js';
+import { applyRecognizedTags, assignFace, enrollSinglePhotoFace, nameFaceGroup, rebuildEventGallery, rejectFaceTag, replaceDetectedFaces, tagFace, unassignPhotoFaces } from './gallery.js';
+import { CLUSTER_MIN_SIMILARITY, faceClusterInputSignature, listEventFaceClusters } from './clustering.js';
+import { faceCropsDir, removeFaceCropFiles, writeFaceCrops } from './faceCrops.js';
+import { searchFaces } from './embeddingSearch.js';
+import { readPhotoMetadata, writePhotoMetadata } from './photoMetadata.js';
+import { displaySize, writeDerivatives } from './derivatives.js';
+import { prepareUpload } from './imageFormats.js';
+import { differenceHash, groupBursts, groupNearDuplicates, sha256File } from './duplicates.js';
+import { cancelJob, cancelJobBatch, enqueueJob, enqueueJobBatch, getJob, getJobBatch, isJobKind, JOB_STATUSES, listJobs, registerJobHandler, startJobWorkers } from './jobs.js';
+import { getRecognitionSettings, listReviewQueue, parseRecognitionSettings, recognizeFaces, RECOGNITION_SETTINGS } from './recognition.js';
 import crypto from 'crypto';
 import bcrypt from 'bcryptjs';
 import cookieParser from 'cookie-parser';
@@ -45,12 +56,22 @@ const storage = multer.diskStorage({
   },
 });
 const upload = multer({ storage });
+// Reference selfies are only searched with, never kept: they go to the temp dir and are removed after
+const selfieUpload = multer({ dest: os.tmpdir(), limits: { fileSize: 20 * 1024 * 1024, files: 1 } }).single('photo');
 
-// Initialize DB
-initializeDatabase().catch((err) => {
+// Initialize DB; API routes below wait for the schema so early requests don't race its ALTERs
+const dbReady = initializeDatabase().catch((err) => {
   console.error('DB init error', err);
   process.exit(1);
 });
+app.use((_req, _res, next) => { dbReady.then(() => next(), next); });
+
+// Error carrying the HTTP status a route should answer with
+function httpError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
 
 // Resolve current event
 async function getCurrentEventId() {
@@ -219,13 +240,79 @@ app.get('/stats', async (req, res) => {
   }
 });
 
+// Cursor for capture-time order: '<taken_at ISO>_<id>', or '_<id>' once past the photos
+// without a capture time (they come last, in id order)
+function encodeTakenAtCursor(photo) {
+  return `${photo.taken_at ? new Date(photo.taken_at).toISOString() : ''}_${photo.id}`;
+}
+
+function decodeTakenAtCursor(raw) {
+  const m = String(raw).match(/^([^_]*)_(\d+)$/);
+  if (!m) return null;
+  const takenAt = m[1] ? new Date(m[1]) : null;
+  if (takenAt && Number.isNaN(takenAt.getTime())) return null;
+  return { takenAt, id: parseInt(m[2]) };
+}
+
 // Photos endpoints
 app.get('/photos', async (req, res) => {
   try {
     const scope = readPersonScope(req);
     const eventId = scope?.eventId ?? await getCurrentEventId();
     const limit = Math.min(100, Math.max(1, parseInt(req.query.limit) || 50));
+    const sort = req.query.sort || 'id';
+    if (sort !== 'id' && sort !== 'taken_at') return res.status(400).json({ error: "sort must be 'id' or 'taken_at'" });
+    if (sort === 'taken_at') {
+      // Chronological by capture time, so cards from several photographers interleave
+      const after = req.query.cursor ? decodeTakenAtCursor(req.query.cursor) : null;
+      if (req.query.cursor && !after) return res.status(400).json({ error: 'invalid cursor' });
+      const params = [eventId];
+      const where = ['p.event_id = $1'];
+      if (scope) {
+        params.push(scope.tagId);
+        where.push(`EXISTS (SELECT 1 FROM photo_tags x WHERE x.photo_id = p.id AND x.tag_id = $${params.length})`);
+      }
+      if (after?.takenAt) {
+        params.push(after.takenAt, after.id);
+        const t = `$${params.length - 1}`;
+        const i = `$${params.length}`;
+        where.push(`(p.taken_at > ${t} OR (p.taken_at = ${t} AND p.id > ${i}) OR p.taken_at IS NULL)`);
+      } else if (after) {
+        params.push(after.id);
+        where.push(`p.taken_at IS NULL AND p.id > $${params.length}`);
+      }
+      params.push(limit);
+      const { rows } = await pool.query(
+        `SELECT p.*, COALESCE(json_agg(t.name ORDER BY t.name) FILTER (WHERE t.name IS NOT NULL), '[]') AS tags
+         FROM photos p
+         LEFT JOIN photo_tags pt ON pt.photo_id = p.id
+         LEFT JOIN tags t ON t.id = pt.tag_id
+         WHERE ${where.join(' AND ')}
+         GROUP BY p.id
+         ORDER BY p.taken_at ASC NULLS LAST, p.id ASC
+         LIMIT $${params.length}`,
+        params
+      );
+      const nextCursor = rows.length > 0 ? encodeTakenAtCursor(rows[rows.length - 1]) : null;
+      return res.json({ items: rows, nextCursor });
+    }
     const cursor = req.query.cursor ? parseInt(req.query.cursor) : undefined;
+    if (req.query.ids !== undefined) {
+      // Explicit set of photos (e.g. the hits of a face search), still within the event and scope
+      const ids = String(req.query.ids).split(',').map((x) => parseInt(x)).filter((x) => Number.isInteger(x));
+      if (ids.length === 0 || ids.length > 500) return res.status(400).json({ error: 'ids must list 1 to 500 photo ids' });
+      const { rows } = await pool.query(
+        `SELECT p.*, COALESCE(json_agg(t.name ORDER BY t.name) FILTER (WHERE t.name IS NOT NULL), '[]') AS tags
+         FROM photos p
+         LEFT JOIN photo_tags pt ON pt.photo_id = p.id
+         LEFT JOIN tags t ON t.id = pt.tag_id
+         WHERE p.event_id = $1 AND p.id = ANY($2::int[]) ${scope ? 'AND EXISTS (SELECT 1 FROM photo_tags x WHERE x.photo_id = p.id AND x.tag_id = $3)' : ''}
+         GROUP BY p.id
+         ORDER BY p.id DESC`,
+        scope ? [eventId, ids, scope.tagId] : [eventId, ids]
+      );
+      return res.json({ items: rows, nextCursor: null });
+    }
     if (cursor || req.query.limit) {
       const { rows } = await pool.query(
         `SELECT p.*, COALESCE(json_agg(t.name ORDER BY t.name) FILTER (WHERE t.name IS NOT NULL), '[]') AS tags
@@ -274,6 +361,35 @@ app.post('/photos/:photoId/complete', async (req, res) => {
   }
 });
 
+// Reject a photo while culling, or take it back
+app.post('/photos/:photoId/reject', requireNoWritesInPersonScope, async (req, res) => {
+  try {
+    const photoId = parseInt(req.params.photoId);
+    if (!Number.isInteger(photoId)) return res.status(400).json({ error: 'invalid id' });
+    const updated = await pool.query(`UPDATE photos SET rejected = TRUE WHERE id = $1 RETURNING id`, [photoId]);
+    if (!updated.rows[0]) return res.status(404).json({ error: 'Photo not found' });
+    const photo = await getPhotoWithTags(photoId);
+    res.json(photo);
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Failed to reject photo' });
+  }
+});
+
+app.post('/photos/:photoId/unreject', requireNoWritesInPersonScope, async (req, res) => {
+  try {
+    const photoId = parseInt(req.params.photoId);
+    if (!Number.isInteger(photoId)) return res.status(400).json({ error: 'invalid id' });
+    const updated = await pool.query(`UPDATE photos SET rejected = FALSE WHERE id = $1 RETURNING id`, [photoId]);
+    if (!updated.rows[0]) return res.status(404).json({ error: 'Photo not found' });
+    const photo = await getPhotoWithTags(photoId);
+    res.json(photo);
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Failed to restore photo' });
+  }
+});
+
 // Mark photo as not completed
 app.post('/photos/:photoId/incomplete', async (req, res) => {
   try {
@@ -287,29 +403,79 @@ app.post('/photos/:photoId/incomplete', async (req, res) => {
   }
 });
 
+async function generatePhotoDerivatives(photoId) {
+  const r = await pool.query('SELECT id, filename, render_filename FROM photos WHERE id = $1', [photoId]);
+  const photo = r.rows[0];
+  if (!photo) throw httpError(404, 'Photo not found');
+  const { previewName, thumbName } = await writeDerivatives(photo.render_filename || photo.filename);
+  const dhash = await differenceHash(path.join(uploadsDir, previewName));
+  await pool.query(`UPDATE photos SET preview_filename = $1, thumb_filename = $2, dhash = $3 WHERE id = $4`, [previewName, thumbName, dhash, photoId]);
+  return { photo_id: photo.id, preview_filename: previewName, thumb_filename: thumbName };
+}
+
+// The same file uploaded to the event again: drop the new copy and answer with the photo
+// already there, flagged so clients don't list it twice
+async function respondWithDuplicate(res, eventId, contentHash, fileNames) {
+  for (const name of fileNames.filter(Boolean)) fs.unlink(path.join(uploadsDir, name), () => {});
+  const { rows } = await pool.query(`SELECT id FROM photos WHERE event_id = $1 AND content_sha256 = $2`, [eventId, contentHash]);
+  const photo = await getPhotoWithTags(rows[0].id);
+  res.json({ ...photo, duplicate: true });
+}
+
+// ?async=1 queues the work as a background job and answers 202 with the job row
+function wantsAsync(req) {
+  return req.query.async === '1' || req.query.async === 'true';
+}
+
 app.post('/photos', requireNoWritesInPersonScope, upload.single('photo'), async (req, res) => {
   try {
     if (!req.file) return res.status(400).json({ error: 'No file uploaded' });
     const eventId = await getCurrentEventId();
     const { filename, originalname, mimetype, size, path: filePath } = req.file;
+    const contentHash = await sha256File(filePath);
+    const known = await pool.query(`SELECT 1 FROM photos WHERE event_id = $1 AND content_sha256 = $2`, [eventId, contentHash]);
+    if (known.rows[0]) return respondWithDuplicate(res, eventId, contentHash, [filename]);
+    const captured = await readPhotoMetadata(filePath);
+    let renderName;
+    try {
+      renderName = await prepareUpload(uploadsDir, filename, originalname, { orientation: captured.orientation });
+    } catch (err) {
+      if (!err.status) throw err;
+      fs.unlink(filePath, () => {});
+      return res.status(err.status).json({ error: err.message, code: err.code, file: originalname });
+    }
+    const sourceName = renderName || filename;
+    const { width, height } = displaySize(await sharp(path.join(uploadsDir, sourceName)).metadata());
+
+    if (wantsAsync(req)) {
+      // Store the original now; preview, thumbnail and dHash follow from the job queue.
+      // A concurrent upload of the same file wins the unique index; this one then yields.
+      const result = await pool.query(
+        `INSERT INTO photos (filename, render_filename, original_name, mime_type, size_bytes, width, height, event_id, oriented, content_sha256)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, TRUE, $9)
+         ON CONFLICT (event_id, content_sha256) WHERE content_sha256 IS NOT NULL DO NOTHING
+         RETURNING id`,
+        [filename, renderName, originalname, mimetype, size, width, height, eventId, contentHash]
+      );
+      if (!result.rows[0]) return respondWithDuplicate(res, eventId, contentHash, [filename, renderName]);
+      await writePhotoMetadata(result.rows[0].id, captured);
+      const job = await enqueueJob('thumbnails', { photoId: result.rows[0].id });
+      const photo = await getPhotoWithTags(result.rows[0].id);
+      return res.status(201).json({ ...photo, job });
+    }
 
     // Generate preview and thumbnail
-    const previewName = filename.replace(/(\.[^.]+)?$/, '_preview$1');
-    const thumbName = filename.replace(/(\.[^.]+)?$/, '_thumb$1');
-    const previewPath = path.join(uploadsDir, previewName);
-    const thumbPath = path.join(uploadsDir, thumbName);
-    const meta = await sharp(filePath).metadata();
-    const width = meta.width || null;
-    const height = meta.height || null;
-    await sharp(filePath).resize({ width: 1600, height: 1600, fit: 'inside' }).toFile(previewPath);
-    await sharp(filePath).resize({ width: 256, height: 256, fit: 'cover' }).toFile(thumbPath);
-
+    const { previewName, thumbName } = await writeDerivatives(sourceName);
+    const dhash = await differenceHash(path.join(uploadsDir, previewName));
     const result = await pool.query(
-      `INSERT INTO photos (filename, thumb_filename, preview_filename, original_name, mime_type, size_bytes, width, height, event_id)
-       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+      `INSERT INTO photos (filename, render_filename, thumb_filename, preview_filename, original_name, mime_type, size_bytes, width, height, event_id, oriented, content_sha256, dhash)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, TRUE, $11, $12)
+       ON CONFLICT (event_id, content_sha256) WHERE content_sha256 IS NOT NULL DO NOTHING
        RETURNING id`,
-      [filename, thumbName, previewName, originalname, mimetype, size, width, height, eventId]
+      [filename, renderName, thumbName, previewName, originalname, mimetype, size, width, height, eventId, contentHash, dhash]
     );
+    if (!result.rows[0]) return respondWithDuplicate(res, eventId, contentHash, [filename, renderName, previewName, thumbName]);
+    await writePhotoMetadata(result.rows[0].id, captured);
     const photo = await getPhotoWithTags(result.rows[0].id);
     res.status(201).json(photo);
   } catch (err) {
@@ -318,48 +484,57 @@ app.post('/photos', requireNoWritesInPersonScope, upload.single('photo'), async
   }
 });
 // Generate description for a photo via OpenAI (uses preview if available)
+async function describePhoto(photoId) {
+  // Use saved settings if present
+  const settings = await pool.query('SELECT system_prompt, model FROM settings WHERE id = 1');
+  const model = (settings.rows[0]?.model) || process.env.OPENAI_IMAGE_CAPTION_MODEL || 'gpt-4o-mini';
+  const systemPrompt = (settings.rows[0]?.system_prompt) || 'You are a helpful photo captioning assistant.';
+
+  const { rows } = await pool.query('SELECT * FROM photos WHERE id = $1', [photoId]);
+  const photo = rows[0];
+  if (!photo) throw httpError(404, 'Photo not found');
+
+  const fileName = photo.preview_filename || photo.filename;
+  const absPath = path.join(uploadsDir, fileName);
+  if (!fs.existsSync(absPath)) throw httpError(404, 'Image file not found on server');
+  const buffer = fs.readFileSync(absPath);
+  const ext = path.extname(fileName).toLowerCase();
+  const mime = ext === '.png' ? 'image/png' : ext === '.webp' ? 'image/webp' : ext === '.gif' ? 'image/gif' : 'image/jpeg';
+  const dataUrl = `data:${mime};base64,${buffer.toString('base64')}`;
+
+  const client = getOpenAI();
+  const userPrompt = 'Provide a short, plain-English description for this photo. 1 sentence. Capturing the essence of the photo and the feelings it evokes.';
+  const resp = await client.chat.completions.create({
+    model,
+    messages: [
+      { role: 'system', content: systemPrompt },
+      { role: 'user', content: [
+        { type: 'text', text: userPrompt },
+        { type: 'image_url', image_url: { url: dataUrl } }
+      ] }
+    ]
+  });
+  const text = resp.choices?.[0]?.message?.content?.trim() || '';
+  await pool.query(
+    `UPDATE photos SET description = $1, description_model = $2, described_at = now() WHERE id = $3`,
+    [text, model, photoId]
+  );
+  return getPhotoWithTags(photoId);
+}
+
 app.post('/photos/:photoId/describe', requireNoWritesInPersonScope, async (req, res) => {
   try {
     const { photoId } = req.params;
-    // Use saved settings if present
-    const settings = await pool.query('SELECT system_prompt, model FROM settings WHERE id = 1');
-    const model = (settings.rows[0]?.model) || process.env.OPENAI_IMAGE_CAPTION_MODEL || 'gpt-4o-mini';
-    const systemPrompt = (settings.rows[0]?.system_prompt) || 'You are a helpful photo captioning assistant.';
-
-    const { rows } = await pool.query('SELECT * FROM photos WHERE id = $1', [photoId]);
-    const photo = rows[0];
-    if (!photo) return res.status(404).json({ error: 'Photo not found' });
-
-    const fileName = photo.preview_filename || photo.filename;
-    const absPath = path.join(uploadsDir, fileName);
-    if (!fs.existsSync(absPath)) {
-      return res.status(404).json({ error: 'Image file not found on server' });
+    if (wantsAsync(req)) {
+      const p = await pool.query('SELECT id FROM photos WHERE id = $1', [photoId]);
+      if (!p.rows[0]) return res.status(404).json({ error: 'Photo not found' });
+      const job = await enqueueJob('describe', { photoId: p.rows[0].id });
+      return res.status(202).json({ job });
     }
-    const buffer = fs.readFileSync(absPath);
-    const ext = path.extname(fileName).toLowerCase();
-    const mime = ext === '.png' ? 'image/png' : ext === '.webp' ? 'image/webp' : ext === '.gif' ? 'image/gif' : 'image/jpeg';
-    const dataUrl = `data:${mime};base64,${buffer.toString('base64')}`;
-
-    const client = getOpenAI();
-    const userPrompt = 'Provide a short, plain-English description for this photo. 1 sentence. Capturing the essence of the photo and the feelings it evokes.';
-    const resp = await client.chat.completions.create({
-      model,
-      messages: [
-        { role: 'system', content: systemPrompt },
-        { role: 'user', content: [
-          { type: 'text', text: userPrompt },
-          { type: 'image_url', image_url: { url: dataUrl } }
-        ] }
-      ]
-    });
-    const text = resp.choices?.[0]?.message?.content?.trim() || '';
-    await pool.query(
-      `UPDATE photos SET description = $1, description_model = $2, described_at = now() WHERE id = $3`,
-      [text, model, photoId]
-    );
-    const updated = await getPhotoWithTags(photoId);
+    const updated = await describePhoto(photoId);
     res.json(updated);
   } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
     console.error(err);
     res.status(500).json({ error: 'Failed to describe photo' });
   }
@@ -455,6 +630,8 @@ app.delete('/tags/:name', async (req, res) => {
     if (!tag.rows[0]) return res.status(404).json({ error: 'tag not found' });
     const id = tag.rows[0].id;
     await pool.query('BEGIN');
+    // Faces assigned to this person become unassigned; gallery rows cascade with the tag
+    await pool.query(`UPDATE faces SET assignment_source = NULL WHERE recognized_tag_id = $1`, [id]);
     // photo_tags has ON DELETE CASCADE, but deleting explicit relations is safe too
     await pool.query(`DELETE FROM tags WHERE id = $1`, [id]);
     await pool.query('COMMIT');
@@ -499,6 +676,13 @@ app.put('/tags/:oldName', async (req, res) => {
          ON CONFLICT DO NOTHING`,
         [destId, srcId]
       );
+      // Carry face assignments and gallery embeddings over to the destination person
+      await pool.query(`UPDATE faces SET recognized_tag_id = $1 WHERE recognized_tag_id = $2`, [destId, srcId]);
+      await pool.query(`UPDATE person_embeddings SET tag_id = $1 WHERE tag_id = $2`, [destId, srcId]);
+      await pool.query(
+        `INSERT INTO face_rejections (face_id, tag_id) SELECT face_id, $1 FROM face_rejections WHERE tag_id = $2 ON CONFLICT DO NOTHING`,
+        [destId, srcId]
+      );
       // Delete old relations and old tag
       await pool.query(`DELETE FROM photo_tags WHERE tag_id = $1`, [srcId]);
       await pool.query(`DELETE FROM tags WHERE id = $1`, [srcId]);
@@ -533,7 +717,11 @@ app.get('/settings', async (_req, res) => {
        WHERE s.id = 1`
     );
     const fallback = { system_prompt: '', model: process.env.OPENAI_IMAGE_CAPTION_MODEL || 'gpt-4o-mini', current_event_id: null, current_event_name: 'Default' };
-    res.json(rows[0] || fallback);
+    const row = rows[0] || fallback;
+    // Effective recognition values (stored or default), keyed by column name
+    const recognition = await getRecognitionSettings();
+    for (const [column, spec] of Object.entries(RECOGNITION_SETTINGS)) row[column] = recognition[spec.key];
+    res.json(row);
   } catch (err) {
     console.error(err);
     res.status(500).json({ error: 'Failed to get settings' });
@@ -543,9 +731,22 @@ app.get('/settings', async (_req, res) => {
 app.post('/settings', async (req, res) => {
   try {
     const { system_prompt, model } = req.body || {};
+    const { values, error } = parseRecognitionSettings(req.body);
+    if (error) return res.status(400).json({ error });
+    // Every field is optional: what the body leaves out keeps its stored value; an empty model clears it
     await pool.query(
-      `UPDATE settings SET system_prompt = $1, model = $2, updated_at = now() WHERE id = 1`,
-      [system_prompt || '', model || null]
+      `UPDATE settings
+       SET system_prompt = COALESCE($1, system_prompt),
+           model = CASE WHEN $2::text IS NULL THEN model ELSE NULLIF($2, '') END,
+           recognition_threshold = COALESCE($3, recognition_threshold),
+           face_weight = COALESCE($4, face_weight),
+           appearance_weight = COALESCE($5, appearance_weight),
+           pose_limit_degrees = COALESCE($6, pose_limit_degrees),
+           min_face_size = COALESCE($7, min_face_size),
+           review_margin = COALESCE($8, review_margin),
+           updated_at = now()
+       WHERE id = 1`,
+      [system_prompt == null ? null : String(system_prompt), model == null ? null : String(model), values.recognition_threshold, values.face_weight, values.appearance_weight, values.pose_limit_degrees, values.min_face_size, values.review_margin]
     );
     res.json({ ok: true });
   } catch (err) {
@@ -823,6 +1024,8 @@ app.post('/photos/:photoId/tags', requireNoWritesInPersonScope, async (req, res)
       `INSERT INTO photo_tags (photo_id, tag_id) VALUES ($1, $2) ON CONFLICT DO NOTHING`,
       [photoId, tagId]
     );
+    // A single-face photo identifies that face: enroll it into the person's gallery
+    await withTransaction((client) => enrollSinglePhotoFace(photoId, tagId, client));
     const photo = await getPhotoWithTags(photoId);
     res.json(photo);
   } catch (err) {
@@ -844,6 +1047,7 @@ app.delete('/photos/:photoId/tags', requireNoWritesInPersonScope, async (req, re
     const tagId = tagRow.rows[0]?.id;
     if (tagId) {
       await pool.query(`DELETE FROM photo_tags WHERE photo_id = $1 AND tag_id = $2`, [photoId, tagId]);
+      await withTransaction((client) => unassignPhotoFaces(photoId, tagId, client));
     }
     const photo = await getPhotoWithTags(photoId);
     res.json(photo);
@@ -853,6 +1057,41 @@ app.delete('/photos/:photoId/tags', requireNoWritesInPersonScope, async (req, re
   }
 });
 
+// Tag each photo with everyone recognized on it ("Tag all recognized"), in one transaction
+app.post('/photos/recognized-tags\\:apply', requireNoWritesInPersonScope, async (req, res) => {
+  try {
+    const raw = req.body?.photo_ids;
+    if (!Array.isArray(raw) || raw.length === 0 || raw.length > 500) return res.status(400).json({ error: 'photo_ids must list 1 to 500 photo ids' });
+    const photoIds = raw.map((x) => parseInt(x));
+    if (!photoIds.every(Number.isInteger)) return res.status(400).json({ error: 'photo_ids must be integers' });
+    const eventId = await getCurrentEventId();
+    const { threshold } = await getRecognitionSettings();
+    const { rows: photos } = await pool.query(`SELECT id FROM photos WHERE event_id = $1 AND id = ANY($2::int[]) ORDER BY id`, [eventId, photoIds]);
+    const ids = photos.map((p) => p.id);
+    const added = await withTransaction((client) => applyRecognizedTags(ids, threshold, client));
+    const { rows: tagged } = await pool.query(
+      `SELECT pt.photo_id, json_agg(t.name ORDER BY t.name) AS tags
+       FROM photo_tags pt JOIN tags t ON t.id = pt.tag_id
+       WHERE pt.photo_id = ANY($1::int[])
+       GROUP BY pt.photo_id`,
+      [ids]
+    );
+    const tagsByPhoto = new Map(tagged.map((r) => [r.photo_id, r.tags]));
+    res.json({
+      threshold,
+      added_count: added.length,
+      items: ids.map((id) => ({
+        photo_id: id,
+        added: added.filter((a) => a.photo_id === id).map((a) => a.name),
+        tags: tagsByPhoto.get(id) || []
+      }))
+    });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Failed to apply recognized tags' });
+  }
+});
+
 // Download all photos for a given tag as a ZIP
 app.get('/download', async (req, res) => {
   try {
@@ -906,7 +1145,11 @@ app.delete('/photos', requireNoWritesInPersonScope, async (req, res) => {
     if (idInts.length === 0) return res.status(400).json({ error: 'no valid ids' });
 
     const filesResult = await pool.query(
-      `SELECT id, filename, thumb_filename, preview_filename FROM photos WHERE id = ANY($1::int[])`,
+      `SELECT id, filename, render_filename, thumb_filename, preview_filename FROM photos WHERE id = ANY($1::int[])`,
+      [idInts]
+    );
+    const cropsResult = await pool.query(
+      `SELECT crop_filename FROM faces WHERE photo_id = ANY($1::int[]) AND crop_filename IS NOT NULL`,
       [idInts]
     );
 
@@ -916,12 +1159,13 @@ app.delete('/photos', requireNoWritesInPersonScope, async (req, res) => {
     await pool.query('COMMIT');
 
     for (const row of filesResult.rows) {
-      for (const name of [row.filename, row.thumb_filename, row.preview_filename]) {
+      for (const name of [row.filename, row.render_filename, row.thumb_filename, row.preview_filename]) {
         if (!name) continue;
         const p = path.join(uploadsDir, name);
         try { if (fs.existsSync(p)) fs.unlinkSync(p); } catch {}
       }
     }
+    removeFaceCropFiles(cropsResult.rows.map((r) => r.crop_filename));
     res.json({ deletedCount: del.rowCount });
   } catch (err) {
     try { await pool.query('ROLLBACK'); } catch {}
@@ -930,88 +1174,786 @@ app.delete('/photos', requireNoWritesInPersonScope, async (req, res) => {
   }
 });
 
-// Face detection: store detections (no embeddings yet)
-app.post('/photos/:photoId/faces:detect', requireNoWritesInPersonScope, async (req, res) => {
+// Face detection: store detections with their ArcFace and OSNet embeddings.
+// Re-running replaces the photo's previous detections (see replaceDetectedFaces); manual
+// assignments, rejections and review status carry over to the new box that overlaps the old
+// one best (IoU >= FACE_REDETECT_MIN_IOU), and boxes an editor drew or adjusted are kept.
+async function detectFacesForPhoto(photoId) {
+  const r = await pool.query('SELECT id, filename, render_filename, preview_filename, width, height FROM photos WHERE id = $1', [photoId]);
+  const row = r.rows[0];
+  if (!row) throw httpError(404, 'Photo not found');
+  const fileName = row.preview_filename || row.render_filename || row.filename;
+  const absPath = path.join(uploadsDir, fileName);
+  if (!fs.existsSync(absPath)) throw httpError(404, 'Image file not found on server');
+
+  // Run detection with a hard timeout to avoid hanging requests
+  const mod = await import('./peopleDetector.js');
+  const TIMEOUT_MS = parseInt(process.env.DETECT_TIMEOUT_MS || '10000', 10);
+  const timeoutSentinel = Symbol('timeout');
+  const detectAndEmbed = async () => {
+    const found = await mod.detectFacesScrfd(absPath);
+    const embeddings = await mod.embedFaces(absPath, found);
+    return { found, embeddings };
+  };
+  const outcome = await Promise.race([
+    detectAndEmbed(),
+    new Promise((resolve) => setTimeout(() => resolve(timeoutSentinel), TIMEOUT_MS))
+  ]);
+
+  if (outcome === timeoutSentinel) throw httpError(504, 'Detection timeout');
+  const { found: detected, embeddings } = outcome;
+
+  // Detection runs on the upright preview; store boxes in upright original pixel space (what the overlay expects)
+  let boxes = detected;
+  if (detected.length > 0 && row.width && fileName !== row.filename) {
+    const size = displaySize(await sharp(absPath).metadata());
+    if (size.width) boxes = mod.scaleDetections(detected, row.width / size.width, (row.height || size.height) / size.height);
+  }
+
+  // Persist detections
+  const detectorVersion = mod.faceDetectorVersion();
+  const minIou = parseFloat(process.env.FACE_REDETECT_MIN_IOU || '0.5');
+  const detections = boxes.map((box, i) => ({ box, embedding: embeddings[i] }));
+  const { items: results, preserved, dropped, keptManualBoxes, staleCrops } = await withTransaction((client) =>
+    replaceDetectedFaces(row.id, detections, { detectorVersion, minIou }, client)
+  );
+  removeFaceCropFiles(staleCrops);
+  if (results.length > 0) await writeFaceCrops(row.id, results.map((f) => f.id));
+
+  return {
+    count: results.length,
+    items: results,
+    detector_version: detectorVersion,
+    preserved_assignments: preserved,
+    dropped_assignments: dropped,
+    kept_manual_boxes: keptManualBoxes
+  };
+}
+
+app.post('/photos/:photoId/faces\\:detect', requireNoWritesInPersonScope, async (req, res) => {
   try {
     const { photoId } = req.params;
-    const r = await pool.query('SELECT id, filename, preview_filename FROM photos WHERE id = $1', [photoId]);
-    const row = r.rows[0];
-    if (!row) return res.status(404).json({ error: 'Photo not found' });
-    const fileName = row.preview_filename || row.filename;
-    const absPath = path.join(uploadsDir, fileName);
-    if (!fs.existsSync(absPath)) return res.status(404).json({ error: 'Image file not found on server' });
+    if (wantsAsync(req)) {
+      const p = await pool.query('SELECT id FROM photos WHERE id = $1', [photoId]);
+      if (!p.rows[0]) return res.status(404).json({ error: 'Photo not found' });
+      const job = await enqueueJob('detect_faces', { photoId: p.rows[0].id });
+      return res.status(202).json({ job });
+    }
+    res.json(await detectFacesForPhoto(photoId));
+  } catch (e) {
+    if (e.status === 504) return res.status(504).json({ error: e.message, count: 0, items: [] });
+    if (e.status) return res.status(e.status).json({ error: e.message });
+    console.error(e);
+    res.status(500).json({ error: 'Detection failed' });
+  }
+});
 
-    // Run detection with a hard timeout to avoid hanging requests
-    const mod = await import('./peopleDetector.js');
-    const TIMEOUT_MS = parseInt(process.env.DETECT_TIMEOUT_MS || '10000', 10);
-    const timeoutSentinel = Symbol('timeout');
-    const boxes = await Promise.race([
-      mod.detectFacesScrfd(absPath),
-      new Promise((resolve) => setTimeout(() => resolve(timeoutSentinel), TIMEOUT_MS))
-    ]);
-
-    if (boxes === timeoutSentinel) {
-      return res.status(504).json({ error: 'Detection timeout', count: 0, items: [] });
+const FACE_COLUMNS = `id, photo_id, bbox, landmarks, yaw, pitch, roll, recognized_tag_id, assignment_source, face_score, fused_score,
+  detector_version, box_source, face_embedding IS NOT NULL AS has_embedding, appearance_embedding IS NOT NULL AS has_appearance,
+  (SELECT name FROM tags WHERE tags.id = faces.recognized_tag_id) AS recognized_tag_name`;
+
+function toFaceResponse(row) {
+  return {
+    id: row.id,
+    bbox: row.bbox,
+    landmarks: row.landmarks,
+    yaw: row.yaw,
+    pitch: row.pitch,
+    roll: row.roll,
+    recognized_tag_id: row.recognized_tag_id,
+    recognized_tag_name: row.recognized_tag_name,
+    assignment_source: row.assignment_source,
+    score: row.face_score,
+    fused_score: row.fused_score,
+    has_embedding: row.has_embedding,
+    has_appearance: row.has_appearance,
+    detector_version: row.detector_version,
+    box_source: row.box_source,
+  };
+}
+
+// List stored faces for a photo
+app.get('/photos/:photoId/faces', async (req, res) => {
+  try {
+    const { photoId } = req.params;
+    const r = await pool.query(`SELECT ${FACE_COLUMNS} FROM faces WHERE photo_id = $1 ORDER BY id ASC`, [photoId]);
+    res.json(r.rows.map(toFaceResponse));
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: 'Failed to fetch faces' });
+  }
+});
+
+// Validate an edited box ({left, top, width, height} in original pixels), clamped to the photo
+function parseFaceBox(raw, photo) {
+  if (!raw || typeof raw !== 'object') return { error: 'bbox required' };
+  const [left, top, width, height] = ['left', 'top', 'width', 'height'].map((k) => Number(raw[k]));
+  if (![left, top, width, height].every(Number.isFinite)) return { error: 'bbox needs numeric left, top, width and height' };
+  if (width < 1 || height < 1) return { error: 'bbox must be at least 1px wide and high' };
+  const x1 = Math.max(0, left);
+  const y1 = Math.max(0, top);
+  const x2 = photo.width ? Math.min(photo.width, left + width) : left + width;
+  const y2 = photo.height ? Math.min(photo.height, top + height) : top + height;
+  if (x2 - x1 < 1 || y2 - y1 < 1) return { error: 'bbox lies outside the photo' };
+  return { bbox: { left: x1, top: y1, width: x2 - x1, height: y2 - y1 } };
+}
+
+// Embeddings for one hand-drawn box; nulls when the image or models are unavailable
+async function embedFaceBox(photo, bbox) {
+  const fileName = photo.preview_filename || photo.filename;
+  const absPath = path.join(uploadsDir, fileName);
+  if (!fs.existsSync(absPath)) return { faceEmbedding: null, appearanceEmbedding: null };
+  const mod = await import('./peopleDetector.js');
+  const space = photo.width && photo.height ? { width: photo.width, height: photo.height } : null;
+  const [embedded] = await mod.embedFaces(absPath, [bbox], { space });
+  return embedded || { faceEmbedding: null, appearanceEmbedding: null };
+}
+
+// Add a face box the detector missed
+app.post('/photos/:photoId/faces', requireNoWritesInPersonScope, async (req, res) => {
+  try {
+    const photoId = parseInt(req.params.photoId);
+    if (!Number.isInteger(photoId)) return res.status(400).json({ error: 'invalid id' });
+    const p = await pool.query('SELECT id, filename, preview_filename, width, height FROM photos WHERE id = $1', [photoId]);
+    const photo = p.rows[0];
+    if (!photo) return res.status(404).json({ error: 'Photo not found' });
+    const { bbox, error } = parseFaceBox(req.body?.bbox, photo);
+    if (error) return res.status(400).json({ error });
+    const { faceEmbedding, appearanceEmbedding } = await embedFaceBox(photo, bbox);
+    const ins = await pool.query(
+      `INSERT INTO faces (photo_id, bbox, face_embedding, appearance_embedding, box_source)
+       VALUES ($1, $2, $3, $4, 'manual') RETURNING ${FACE_COLUMNS}`,
+      [photo.id, JSON.stringify(bbox), faceEmbedding, appearanceEmbedding]
+    );
+    await writeFaceCrops(photo.id, [ins.rows[0].id]);
+    res.status(201).json(toFaceResponse(ins.rows[0]));
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: 'Failed to add face' });
+  }
+});
+
+// Move or resize a face box. Landmarks and pose belonged to the old box and are cleared;
+// embeddings are recomputed, a manual assignment is re-enrolled and an automatic one reset.
+app.patch('/faces/:id', requireNoWritesInPersonScope, async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    if (!Number.isInteger(id)) return res.status(400).json({ error: 'invalid id' });
+    const f = await pool.query(
+      `SELECT f.id, f.recognized_tag_id, f.assignment_source, p.id AS photo_id, p.filename, p.preview_filename, p.width, p.height
+       FROM faces f JOIN photos p ON p.id = f.photo_id WHERE f.id = $1`,
+      [id]
+    );
+    const face = f.rows[0];
+    if (!face) return res.status(404).json({ error: 'Face not found' });
+    const { bbox, error } = parseFaceBox(req.body?.bbox, face);
+    if (error) return res.status(400).json({ error });
+    const { faceEmbedding, appearanceEmbedding } = await embedFaceBox(face, bbox);
+    const updated = await withTransaction(async (client) => {
+      await client.query(
+        `UPDATE faces
+         SET bbox = $2, landmarks = NULL, yaw = NULL, pitch = NULL, roll = NULL, face_score = NULL,
+             face_embedding = $3, appearance_embedding = $4, box_source = 'manual', fused_score = NULL,
+             recognized_tag_id = CASE WHEN assignment_source = 'manual' THEN recognized_tag_id END,
+             assignment_source = CASE WHEN assignment_source = 'manual' THEN 'manual' END
+         WHERE id = $1`,
+        [id, JSON.stringify(bbox), faceEmbedding, appearanceEmbedding]
+      );
+      if (face.assignment_source === 'manual' && face.recognized_tag_id) await assignFace(id, face.recognized_tag_id, client);
+      const r = await client.query(`SELECT ${FACE_COLUMNS} FROM faces WHERE id = $1`, [id]);
+      return r.rows[0];
+    });
+    await writeFaceCrops(face.photo_id, [id]);
+    res.json(toFaceResponse(updated));
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: 'Failed to update face' });
+  }
+});
+
+// Square face thumbnail; crops missing from the cache (older faces) are cut on first request
+app.get('/faces/:id/crop', async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    if (!Number.isInteger(id)) return res.status(400).json({ error: 'invalid id' });
+    const f = await pool.query(`SELECT id, photo_id, crop_filename FROM faces WHERE id = $1`, [id]);
+    const face = f.rows[0];
+    if (!face) return res.status(404).json({ error: 'Face not found' });
+    let name = face.crop_filename;
+    if (!name || !fs.existsSync(path.join(faceCropsDir, name))) {
+      name = (await writeFaceCrops(face.photo_id, [id])).get(id);
+      if (!name) return res.status(404).json({ error: 'Face crop unavailable' });
     }
+    res.sendFile(path.join(faceCropsDir, name));
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: 'Failed to load face crop' });
+  }
+});
 
-    // Persist detections
-    const results = [];
-    await pool.query('BEGIN');
+// Faces most similar to this one, in its event or (?scope=all) in every event.
+// An editor tool, so it is not available from a personal view.
+app.get('/faces/:id/similar', requireNoWritesInPersonScope, async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    if (!Number.isInteger(id)) return res.status(400).json({ error: 'invalid id' });
+    const limit = req.query.limit === undefined ? 50 : parseInt(req.query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > 500) return res.status(400).json({ error: 'limit must be between 1 and 500' });
+    const scope = req.query.scope || 'event';
+    if (scope !== 'event' && scope !== 'all') return res.status(400).json({ error: "scope must be 'event' or 'all'" });
+    const f = await pool.query(
+      `SELECT f.id, f.face_embedding, p.event_id FROM faces f JOIN photos p ON p.id = f.photo_id WHERE f.id = $1`,
+      [id]
+    );
+    const face = f.rows[0];
+    if (!face) return res.status(404).json({ error: 'Face not found' });
+    if (!face.face_embedding) return res.status(409).json({ error: 'Face has no embedding' });
+    const matches = await searchFaces(face.face_embedding, {
+      eventId: scope === 'event' ? face.event_id : null,
+      limit,
+      excludeFaceIds: [id]
+    });
+    res.json({
+      face_id: id,
+      scope,
+      items: matches.map((m) => ({ ...m, crop_url: `/faces/${m.face_id}/crop` }))
+    });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: 'Failed to find similar faces' });
+  }
+});
+
+// Photos of the event a reference selfie's face appears in, best match first. Open to personal
+// views (limited to the share link's event) so guests can find themselves without being tagged.
+// Selfie searches run SCRFD and ArcFace on uploads of up to 20 MB and are open to anyone, so
+// like share logins they are rate limited in memory: per person-view session, else per client IP
+const selfieSearchMap = new Map(); // key -> { count, windowStart }
+const MAX_SELFIE_SEARCHES = process.env.NODE_ENV === 'test' ? 6 : 10;
+const SELFIE_WINDOW_MS = process.env.NODE_ENV === 'test' ? 2000 : 10 * 60 * 1000;
+
+function limitSelfieSearches(req, res, next) {
+  const now = Date.now();
+  if (selfieSearchMap.size > 1000) {
+    for (const [key, rate] of selfieSearchMap) if (now - rate.windowStart >= SELFIE_WINDOW_MS) selfieSearchMap.delete(key);
+  }
+  const clientIp = req.ip || req.connection?.remoteAddress || 'unknown';
+  const rateKey = readPersonScope(req) ? `session|${req.cookies.person_session}` : `ip|${clientIp}`;
+  let rate = selfieSearchMap.get(rateKey);
+  if (!rate || now - rate.windowStart >= SELFIE_WINDOW_MS) rate = { count: 0, windowStart: now };
+  rate.count += 1;
+  selfieSearchMap.set(rateKey, rate);
+  if (rate.count > MAX_SELFIE_SEARCHES) {
+    const retryAfter = Math.ceil((rate.windowStart + SELFIE_WINDOW_MS - now) / 1000);
+    return res.status(429).json({ error: 'Too many searches. Try again later.', code: 'RATE_LIMIT', retry_after: retryAfter });
+  }
+  next();
+}
+
+app.post('/search/by-face', limitSelfieSearches, (req, res, next) => {
+  selfieUpload(req, res, (err) => {
+    if (!err) return next();
+    res.status(err.code === 'LIMIT_FILE_SIZE' ? 413 : 400).json({ error: err.message });
+  });
+}, async (req, res) => {
+  const filePath = req.file?.path;
+  try {
+    if (!req.file) return res.status(400).json({ error: 'No file uploaded' });
+    const config = await getRecognitionSettings();
+    const raw = req.body?.min_similarity;
+    const minSimilarity = raw === undefined || raw === '' ? config.threshold : Number(raw);
+    if (!Number.isFinite(minSimilarity) || minSimilarity < 0 || minSimilarity > 1) {
+      return res.status(400).json({ error: 'min_similarity must be between 0 and 1' });
+    }
     try {
-      for (const b of boxes) {
-        const ins = await pool.query(
-          `INSERT INTO faces (photo_id, bbox, landmarks, yaw, pitch, roll, face_score)
-           VALUES ($1, $2, $3, $4, $5, $6, $7) RETURNING id, bbox, face_score`,
-          [photoId, JSON.stringify({ left: b.left, top: b.top, width: b.width, height: b.height }), b.landmarks ? JSON.stringify(b.landmarks) : null, b.yaw ?? null, b.pitch ?? null, b.roll ?? null, b.score ?? null]
-        );
-        results.push({ id: ins.rows[0].id, bbox: ins.rows[0].bbox, score: ins.rows[0].face_score });
-      }
-      await pool.query('COMMIT');
-    } catch (e) {
-      try { await pool.query('ROLLBACK'); } catch {}
-      throw e;
+      await sharp(filePath).metadata();
+    } catch {
+      return res.status(415).json({ error: 'Unsupported image' });
     }
+    const mod = await import('./peopleDetector.js');
+    const health = await mod.checkModelsHealth();
+    if (!health.ok) return res.status(503).json({ error: 'Face models unavailable' });
 
-    res.json({ count: results.length, items: results });
+    // A selfie may catch bystanders; the largest face is the person searching
+    const found = await mod.detectFacesScrfd(filePath);
+    if (found.length === 0) return res.status(422).json({ error: 'No face found in the image' });
+    const face = found.reduce((a, b) => (b.width * b.height > a.width * a.height ? b : a));
+    const [embedded] = await mod.embedFaces(filePath, [face]);
+    if (!embedded?.faceEmbedding) return res.status(503).json({ error: 'Face embedding unavailable' });
+
+    const scope = readPersonScope(req);
+    const eventId = scope?.eventId ?? await getCurrentEventId();
+    const matches = await searchFaces(embedded.faceEmbedding, { eventId, limit: 500, minSimilarity });
+    const best = new Map();
+    for (const m of matches) {
+      if (!best.has(m.photo_id)) best.set(m.photo_id, m);
+    }
+    const { rows } = best.size === 0 ? { rows: [] } : await pool.query(
+      `SELECT p.*, COALESCE(json_agg(t.name ORDER BY t.name) FILTER (WHERE t.name IS NOT NULL), '[]') AS tags
+       FROM photos p
+       LEFT JOIN photo_tags pt ON pt.photo_id = p.id
+       LEFT JOIN tags t ON t.id = pt.tag_id
+       WHERE p.id = ANY($1::int[])
+       GROUP BY p.id`,
+      [Array.from(best.keys())]
+    );
+    const byId = new Map(rows.map((p) => [p.id, p]));
+    const items = Array.from(best.values())
+      .filter((m) => byId.has(m.photo_id))
+      .map((m) => ({ ...byId.get(m.photo_id), face_id: m.face_id, similarity: m.similarity }));
+    res.json({
+      event_id: eventId,
+      min_similarity: minSimilarity,
+      face: { bbox: { left: face.left, top: face.top, width: face.width, height: face.height }, score: face.score },
+      photo_ids: items.map((p) => p.id),
+      items
+    });
   } catch (e) {
     console.error(e);
-    res.status(500).json({ error: 'Detection failed' });
+    res.status(500).json({ error: 'Face search failed' });
+  } finally {
+    if (filePath) fs.unlink(filePath, () => {});
   }
 });
 
-// List stored faces for a photo
-app.get('/photos/:photoId/faces', async (req, res) => {
+app.delete('/faces/:id', requireNoWritesInPersonScope, async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    if (!Number.isInteger(id)) return res.status(400).json({ error: 'invalid id' });
+    const deleted = await withTransaction(async (client) => {
+      // Unassigning first drops the face's gallery entries and takes a hand-assigned person's
+      // tag off the photo, unless another face there still carries it
+      await tagFace(id, null, client);
+      const r = await client.query(`DELETE FROM faces WHERE id = $1 RETURNING id, crop_filename`, [id]);
+      return r.rows[0];
+    });
+    if (!deleted) return res.status(404).json({ error: 'Face not found' });
+    removeFaceCropFiles([deleted.crop_filename]);
+    res.json({ ok: true, id });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: 'Failed to delete face' });
+  }
+});
+
+// Settings for a recognition run: stored weights and limits, with an optional threshold override
+async function resolveRecognitionSettings(body) {
+  const settings = await getRecognitionSettings();
+  const override = body?.threshold;
+  if (override !== undefined && override !== null) {
+    const t = Number(override);
+    if (!(t >= 0 && t <= 1)) return { error: 'threshold must be between 0 and 1' };
+    settings.threshold = t;
+  }
+  return { settings };
+}
+
+// Recognize faces of one photo against its event's person gallery
+app.post('/photos/:photoId/faces\\:recognize', requireNoWritesInPersonScope, async (req, res) => {
   try {
     const { photoId } = req.params;
-    const r = await pool.query(
-      `SELECT id, bbox, landmarks, yaw, pitch, roll, recognized_tag_id, face_score, fused_score
+    const p = await pool.query('SELECT id, event_id FROM photos WHERE id = $1', [photoId]);
+    const photo = p.rows[0];
+    if (!photo) return res.status(404).json({ error: 'Photo not found' });
+    const { settings, error } = await resolveRecognitionSettings(req.body);
+    if (error) return res.status(400).json({ error });
+    const f = await pool.query(
+      `SELECT id, photo_id, bbox, yaw, pitch, face_embedding, appearance_embedding, recognized_tag_id, assignment_source
        FROM faces WHERE photo_id = $1 ORDER BY id ASC`,
-      [photoId]
+      [photo.id]
     );
-    res.json(r.rows.map(row => ({
-      id: row.id,
-      bbox: row.bbox,
-      landmarks: row.landmarks,
-      yaw: row.yaw,
-      pitch: row.pitch,
-      roll: row.roll,
-      recognized_tag_id: row.recognized_tag_id,
-      score: row.face_score,
-      fused_score: row.fused_score,
-    })));
+    const items = await recognizeFaces(f.rows, photo.event_id, { settings });
+    res.json({ threshold: settings.threshold, count: items.length, recognized: items.filter((i) => i.recognized_tag_id).length, items });
   } catch (e) {
     console.error(e);
-    res.status(500).json({ error: 'Failed to fetch faces' });
+    res.status(500).json({ error: 'Recognition failed' });
+  }
+});
+
+// Recognize every face in an event
+app.post('/events/:id/faces\\:recognize', requireNoWritesInPersonScope, async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    if (!Number.isInteger(id)) return res.status(400).json({ error: 'invalid id' });
+    const ev = await pool.query('SELECT id FROM events WHERE id = $1', [id]);
+    if (!ev.rows[0]) return res.status(404).json({ error: 'Event not found' });
+    const { settings, error } = await resolveRecognitionSettings(req.body);
+    if (error) return res.status(400).json({ error });
+    const f = await pool.query(
+      `SELECT f.id, f.photo_id, f.bbox, f.yaw, f.pitch, f.face_embedding, f.appearance_embedding, f.recognized_tag_id, f.assignment_source
+       FROM faces f
+       JOIN photos p ON p.id = f.photo_id
+       WHERE p.event_id = $1
+       ORDER BY f.id ASC`,
+      [id]
+    );
+    const items = await recognizeFaces(f.rows, id, { settings });
+    res.json({ threshold: settings.threshold, count: items.length, recognized: items.filter((i) => i.recognized_tag_id).length, items });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: 'Recognition failed' });
+  }
+});
+
+// Manually assign a face to a person tag (created in the photo's event if missing), or clear it with null.
+// The photo's tags follow the assignment; the response carries them as photo_tags.
+app.put('/faces/:id/tag', requireNoWritesInPersonScope, async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    if (!Number.isInteger(id)) return res.status(400).json({ error: 'invalid id' });
+    const { tag } = req.body || {};
+    if (tag !== null && (typeof tag !== 'string' || !tag.trim())) return res.status(400).json({ error: 'tag required' });
+    const f = await pool.query(
+      `SELECT f.id, p.event_id FROM faces f JOIN photos p ON p.id = f.photo_id WHERE f.id = $1`,
+      [id]
+    );
+    const face = f.rows[0];
+    if (!face) return res.status(404).json({ error: 'Face not found' });
+
+    const result = await withTransaction(async (client) => {
+      let tagRow = null;
+      if (tag !== null) {
+        const normalized = tag.trim();
+        const existing = await client.query(`SELECT id, name FROM tags WHERE event_id = $2 AND LOWER(name) = LOWER($1) LIMIT 1`, [normalized, face.event_id]);
+        tagRow = existing.rows[0] || (await client.query(`INSERT INTO tags (name, event_id) VALUES ($1, $2) RETURNING id, name`, [normalized, face.event_id])).rows[0];
+      }
+      const assigned = await tagFace(id, tagRow ? tagRow.id : null, client);
+      return { ...assigned, recognized_tag_name: tagRow ? tagRow.name : null };
+    });
+    const photo = await getPhotoWithTags(result.photo_id);
+    res.json({ ...result, photo_tags: photo.tags });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: 'Failed to assign face' });
+  }
+});
+
+// "Not this person": body { tag_id } defaults to the face's current person. Clears the
+// assignment and keeps the pair as a negative example for recognition.
+app.post('/faces/:id/rejections', requireNoWritesInPersonScope, async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    if (!Number.isInteger(id)) return res.status(400).json({ error: 'invalid id' });
+    const f = await pool.query(
+      `SELECT f.id, f.recognized_tag_id, p.event_id FROM faces f JOIN photos p ON p.id = f.photo_id WHERE f.id = $1`,
+      [id]
+    );
+    const face = f.rows[0];
+    if (!face) return res.status(404).json({ error: 'Face not found' });
+    const raw = req.body?.tag_id;
+    const tagId = raw === undefined || raw === null ? face.recognized_tag_id : parseInt(raw);
+    if (!Number.isInteger(tagId)) return res.status(400).json({ error: 'tag_id required' });
+    const t = await pool.query(`SELECT id FROM tags WHERE id = $1 AND event_id = $2`, [tagId, face.event_id]);
+    if (!t.rows[0]) return res.status(404).json({ error: 'Tag not found' });
+    const updated = await withTransaction((client) => rejectFaceTag(id, tagId, client));
+    const photo = await getPhotoWithTags(updated.photo_id);
+    res.status(201).json({ ...updated, rejected_tag_id: tagId, photo_tags: photo.tags });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: 'Failed to reject person' });
+  }
+});
+
+// Set a face aside during review (not anyone worth naming); it leaves the queue for good
+app.post('/faces/:id\\:reject', requireNoWritesInPersonScope, async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    if (!Number.isInteger(id)) return res.status(400).json({ error: 'invalid id' });
+    const { rows } = await pool.query(
+      `UPDATE faces SET review_status = 'rejected' WHERE id = $1 RETURNING id, photo_id, review_status`,
+      [id]
+    );
+    if (!rows[0]) return res.status(404).json({ error: 'Face not found' });
+    res.json(rows[0]);
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: 'Failed to reject face' });
+  }
+});
+
+// Low-confidence recognitions awaiting a decision, with their top candidates
+app.get('/events/:id/review', requireNoWritesInPersonScope, async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    if (!Number.isInteger(id)) return res.status(400).json({ error: 'invalid id' });
+    const limit = req.query.limit === undefined ? 100 : parseInt(req.query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > 500) return res.status(400).json({ error: 'limit must be between 1 and 500' });
+    const ev = await pool.query('SELECT id FROM events WHERE id = $1', [id]);
+    if (!ev.rows[0]) return res.status(404).json({ error: 'Event not found' });
+    res.json(await listReviewQueue(id, { limit }));
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: 'Failed to load review queue' });
+  }
+});
+
+// Burst stacks of an event: frames from one camera at most STACK_MAX_GAP_MS apart whose dHashes differ by at
+// most STACK_MAX_DISTANCE bits. A stack is identified by its first frame; its cover is the
+// first frame not rejected, so after "pick best" it is the pick.
+const STACK_MAX_GAP_MS = parseInt(process.env.STACK_MAX_GAP_MS || '2000', 10);
+const STACK_MAX_DISTANCE = parseInt(process.env.STACK_MAX_DISTANCE || '10', 10);
+
+async function listEventStacks(eventId) {
+  const { rows } = await pool.query(
+    `SELECT id, taken_at, dhash, camera_make, camera_model, rejected FROM photos WHERE event_id = $1 AND taken_at IS NOT NULL AND dhash IS NOT NULL`,
+    [eventId]
+  );
+  return groupBursts(rows, { maxGapMs: STACK_MAX_GAP_MS, maxDistance: STACK_MAX_DISTANCE }).map((frames) => ({
+    id: frames[0].id,
+    photo_ids: frames.map((p) => p.id),
+    cover_photo_id: (frames.find((p) => !p.rejected) || frames[0]).id,
+    rejected_ids: frames.filter((p) => p.rejected).map((p) => p.id)
+  }));
+}
+
+app.get('/events/:id/stacks', requireNoWritesInPersonScope, async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    if (!Number.isInteger(id)) return res.status(400).json({ error: 'invalid id' });
+    const ev = await pool.query('SELECT id FROM events WHERE id = $1', [id]);
+    if (!ev.rows[0]) return res.status(404).json({ error: 'Event not found' });
+    res.json({ event_id: id, stacks: await listEventStacks(id) });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: 'Failed to list stacks' });
+  }
+});
+
+// Keep this frame of its burst and reject the others
+app.post('/photos/:photoId/stack\\:pick', requireNoWritesInPersonScope, async (req, res) => {
+  try {
+    const photoId = parseInt(req.params.photoId);
+    if (!Number.isInteger(photoId)) return res.status(400).json({ error: 'invalid id' });
+    const p = await pool.query('SELECT id, event_id FROM photos WHERE id = $1', [photoId]);
+    if (!p.rows[0]) return res.status(404).json({ error: 'Photo not found' });
+    const stack = (await listEventStacks(p.rows[0].event_id)).find((st) => st.photo_ids.includes(photoId));
+    if (!stack) return res.status(409).json({ error: 'Photo is not part of a stack' });
+    await pool.query(`UPDATE photos SET rejected = (id <> $1) WHERE id = ANY($2::int[])`, [photoId, stack.photo_ids]);
+    res.json({ ...stack, cover_photo_id: photoId, rejected_ids: stack.photo_ids.filter((id) => id !== photoId) });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: 'Failed to pick stack photo' });
+  }
+});
+
+// Groups of visually near-identical photos (bursts, re-exports) for culling. ?max_distance
+// is the largest dHash difference in bits still counted as a duplicate (0-20, default 6).
+app.get('/events/:id/near-duplicates', requireNoWritesInPersonScope, async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    if (!Number.isInteger(id)) return res.status(400).json({ error: 'invalid id' });
+    const maxDistance = req.query.max_distance === undefined ? 6 : parseInt(req.query.max_distance);
+    if (!Number.isInteger(maxDistance) || maxDistance < 0 || maxDistance > 20) return res.status(400).json({ error: 'max_distance must be between 0 and 20' });
+    const ev = await pool.query('SELECT id FROM events WHERE id = $1', [id]);
+    if (!ev.rows[0]) return res.status(404).json({ error: 'Event not found' });
+    const { rows } = await pool.query(
+      `SELECT id, filename, thumb_filename, preview_filename, original_name, width, height, size_bytes, taken_at, dhash
+       FROM photos WHERE event_id = $1 AND dhash IS NOT NULL`,
+      [id]
+    );
+    const groups = groupNearDuplicates(rows, maxDistance);
+    res.json({
+      event_id: id,
+      max_distance: maxDistance,
+      unhashed: (await pool.query(`SELECT COUNT(*)::int AS n FROM photos WHERE event_id = $1 AND dhash IS NULL`, [id])).rows[0].n,
+      groups: groups.map((photos) => ({ photos }))
+    });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: 'Failed to find near duplicates' });
+  }
+});
+
+// Regenerate an event's person gallery from its manually assigned faces
+app.post('/events/:id/gallery\\:rebuild', requireNoWritesInPersonScope, async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    if (!Number.isInteger(id)) return res.status(400).json({ error: 'invalid id' });
+    const ev = await pool.query('SELECT id FROM events WHERE id = $1', [id]);
+    if (!ev.rows[0]) return res.status(404).json({ error: 'Event not found' });
+    const summary = await withTransaction((client) => rebuildEventGallery(id, client));
+    res.json(summary);
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: 'Failed to rebuild gallery' });
+  }
+});
+
+// Propose person groups by clustering the event's not-yet-assigned face embeddings. Clustering
+// runs as a cluster_faces job and its result is served while the faces it was built from stay
+// the same; until then the answer is 202 with the job to poll (its result holds the groups)
+app.get('/events/:id/face-clusters', requireNoWritesInPersonScope, async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    if (!Number.isInteger(id)) return res.status(400).json({ error: 'invalid id' });
+    const minSimilarity = req.query.min_similarity === undefined ? undefined : Number(req.query.min_similarity);
+    if (minSimilarity !== undefined && !(minSimilarity >= 0 && minSimilarity <= 1)) return res.status(400).json({ error: 'min_similarity must be between 0 and 1' });
+    const minSize = req.query.min_size === undefined ? 2 : parseInt(req.query.min_size);
+    if (!Number.isInteger(minSize) || minSize < 1) return res.status(400).json({ error: 'min_size must be a positive integer' });
+    const ev = await pool.query('SELECT id FROM events WHERE id = $1', [id]);
+    if (!ev.rows[0]) return res.status(404).json({ error: 'Event not found' });
+    const payload = {
+      eventId: id,
+      minSimilarity: minSimilarity ?? CLUSTER_MIN_SIMILARITY,
+      minSize,
+      signature: await faceClusterInputSignature(id)
+    };
+    const { rows } = await pool.query(
+      `SELECT * FROM jobs
+       WHERE kind = 'cluster_faces' AND payload = $1::jsonb AND status IN ('queued', 'running', 'succeeded')
+       ORDER BY id DESC
+       LIMIT 1`,
+      [JSON.stringify(payload)]
+    );
+    const job = rows[0] || await enqueueJob('cluster_faces', payload);
+    if (job.status === 'succeeded') return res.json(job.result);
+    res.status(202).json({ job });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: 'Failed to cluster faces' });
+  }
+});
+
+// Name a cluster: create the tag, attach it to every member photo and enroll the faces
+app.post('/events/:id/face-clusters\\:name', requireNoWritesInPersonScope, async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    if (!Number.isInteger(id)) return res.status(400).json({ error: 'invalid id' });
+    const { name, face_ids } = req.body || {};
+    if (!name || typeof name !== 'string' || !name.trim()) return res.status(400).json({ error: 'name required' });
+    if (!Array.isArray(face_ids) || face_ids.length === 0) return res.status(400).json({ error: 'face_ids required' });
+    const faceIds = face_ids.map((f) => parseInt(f));
+    if (!faceIds.every(Number.isInteger)) return res.status(400).json({ error: 'face_ids must be integers' });
+    const ev = await pool.query('SELECT id FROM events WHERE id = $1', [id]);
+    if (!ev.rows[0]) return res.status(404).json({ error: 'Event not found' });
+    const result = await withTransaction((client) => nameFaceGroup(id, name.trim(), faceIds, client));
+    res.json(result);
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: 'Failed to name cluster' });
+  }
+});
+
+// Background jobs
+registerJobHandler('thumbnails', ({ photoId }) => generatePhotoDerivatives(photoId), { concurrency: 2 });
+registerJobHandler('detect_faces', async ({ photoId }) => {
+  const { count, preserved_assignments, dropped_assignments } = await detectFacesForPhoto(photoId);
+  return { photo_id: photoId, count, preserved_assignments, dropped_assignments };
+}, { concurrency: 1 });
+registerJobHandler('describe', async ({ photoId }) => {
+  const photo = await describePhoto(photoId);
+  return { photo_id: photo.id, description: photo.description };
+}, { concurrency: 2 });
+registerJobHandler('cluster_faces', ({ eventId, minSimilarity, minSize }) => listEventFaceClusters(eventId, { minSimilarity, minSize }), { concurrency: 1 });
+
+app.get('/jobs', async (req, res) => {
+  try {
+    const { status, kind } = req.query;
+    if (status !== undefined && !JOB_STATUSES.includes(status)) return res.status(400).json({ error: 'invalid status' });
+    if (kind !== undefined && !isJobKind(kind)) return res.status(400).json({ error: 'invalid kind' });
+    const limit = Math.min(Math.max(parseInt(req.query.limit || '100', 10) || 100, 1), 500);
+    res.json(await listJobs({ status, kind, limit }));
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: 'Failed to list jobs' });
+  }
+});
+
+app.get('/jobs/:id', async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    if (!Number.isInteger(id)) return res.status(400).json({ error: 'invalid id' });
+    const job = await getJob(id);
+    if (!job) return res.status(404).json({ error: 'Job not found' });
+    res.json(job);
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: 'Failed to get job' });
+  }
+});
+
+app.post('/jobs/:id\\:cancel', requireNoWritesInPersonScope, async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    if (!Number.isInteger(id)) return res.status(400).json({ error: 'invalid id' });
+    const job = await getJob(id);
+    if (!job) return res.status(404).json({ error: 'Job not found' });
+    const cancelled = await cancelJob(id);
+    if (!cancelled) return res.status(409).json({ error: `Job already ${job.status}` });
+    res.json(cancelled);
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: 'Failed to cancel job' });
+  }
+});
+
+// Queue face detection for every photo of an event that has not been processed yet
+// (all photos with `force`); poll GET /job-batches/:id for progress
+app.post('/events/:id/faces\\:detect', requireNoWritesInPersonScope, async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    if (!Number.isInteger(id)) return res.status(400).json({ error: 'invalid id' });
+    const force = req.body?.force === true || req.query.force === '1' || req.query.force === 'true';
+    const ev = await pool.query('SELECT id FROM events WHERE id = $1', [id]);
+    if (!ev.rows[0]) return res.status(404).json({ error: 'Event not found' });
+    const { rows } = await pool.query(
+      `SELECT p.id,
+              (p.faces_detected_at IS NOT NULL OR EXISTS (SELECT 1 FROM faces f WHERE f.photo_id = p.id)) AS processed,
+              EXISTS (
+                SELECT 1 FROM jobs j
+                WHERE j.kind = 'detect_faces' AND j.status IN ('queued', 'running') AND (j.payload->>'photoId')::int = p.id
+              ) AS pending
+       FROM photos p
+       WHERE p.event_id = $1
+       ORDER BY p.id ASC`,
+      [id]
+    );
+    const todo = rows.filter((r) => !r.pending && (force || !r.processed));
+    const batch = await enqueueJobBatch('detect_faces', todo.map((r) => ({ photoId: r.id })), { eventId: id, params: { force } });
+    res.status(202).json({ batch, skipped: rows.length - todo.length });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: 'Failed to start detection' });
+  }
+});
+
+app.get('/job-batches/:id', async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    if (!Number.isInteger(id)) return res.status(400).json({ error: 'invalid id' });
+    const batch = await getJobBatch(id);
+    if (!batch) return res.status(404).json({ error: 'Batch not found' });
+    res.json(batch);
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: 'Failed to get batch' });
+  }
+});
+
+app.post('/job-batches/:id\\:cancel', requireNoWritesInPersonScope, async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    if (!Number.isInteger(id)) return res.status(400).json({ error: 'invalid id' });
+    const batch = await cancelJobBatch(id);
+    if (!batch) return res.status(404).json({ error: 'Batch not found' });
+    res.json(batch);
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: 'Failed to cancel batch' });
   }
 });
 
-export { app };
+export { app, dbReady };
 
 if (process.env.NODE_ENV !== 'test') {
   const port = process.env.PORT || 4000;
   app.listen(port, () => {
     console.log(`API listening on http://localhost:${port}`);
   });
+  // Tests drive the queue with processNextJob instead of polling workers
+  dbReady
+    .then(() => startJobWorkers())
+    .catch((err) => console.error('Job workers failed to start', err));
 }
 
 
@@ -0,0 +1,200 @@
+import { pool, withTransaction } from './db.js';
+
+// Postgres-backed job queue. Jobs are rows in `jobs`; workers claim them with
+// FOR UPDATE SKIP LOCKED so several processes can share the table. Failed jobs are
+// retried with exponential backoff until max_attempts, then marked failed.
+
+const handlers = new Map();
+const RETRY_BASE_MS = parseInt(process.env.JOB_RETRY_BASE_MS || '5000', 10);
+const RETRY_MAX_MS = 10 * 60 * 1000;
+// No handler runs this long (detection has its own timeout), so older 'running' rows are orphans
+const STALE_MS = parseInt(process.env.JOB_STALE_MS || String(15 * 60 * 1000), 10);
+
+export const JOB_STATUSES = ['queued', 'running', 'succeeded', 'failed', 'cancelled'];
+
+// handler(payload, { job, isCancelled }) resolves to a JSON-serializable result.
+// Errors with a 4xx `status` (e.g. photo not found) are permanent and not retried.
+export function registerJobHandler(kind, handler, { concurrency = 1, maxAttempts = 3 } = {}) {
+  const envKey = `JOB_CONCURRENCY_${kind.toUpperCase()}`;
+  const limit = parseInt(process.env[envKey] || String(concurrency), 10);
+  handlers.set(kind, { handler, concurrency: Math.max(1, limit), maxAttempts, running: 0 });
+}
+
+export function isJobKind(kind) {
+  return handlers.has(kind);
+}
+
+export async function enqueueJob(kind, payload = {}, { maxAttempts, db = pool } = {}) {
+  const entry = handlers.get(kind);
+  if (!entry) throw new Error(`Unknown job kind: ${kind}`);
+  const { rows } = await db.query(
+    `INSERT INTO jobs (kind, payload, max_attempts) VALUES ($1, $2, $3) RETURNING *`,
+    [kind, JSON.stringify(payload), maxAttempts ?? entry.maxAttempts]
+  );
+  return rows[0];
+}
+
+export async function getJob(id) {
+  const { rows } = await pool.query(`SELECT * FROM jobs WHERE id = $1`, [id]);
+  return rows[0] || null;
+}
+
+export async function listJobs({ status, kind, limit = 100 } = {}) {
+  const params = [];
+  const where = [];
+  if (status) { params.push(status); where.push(`status = $${params.length}`); }
+  if (kind) { params.push(kind); where.push(`kind = $${params.length}`); }
+  params.push(limit);
+  const { rows } = await pool.query(
+    `SELECT * FROM jobs ${where.length ? `WHERE ${where.join(' AND ')}` : ''} ORDER BY id DESC LIMIT $${params.length}`,
+    params
+  );
+  return rows;
+}
+
+// Queue one job per payload under a new batch, atomically
+export async function enqueueJobBatch(kind, payloads, { eventId = null, params = {} } = {}) {
+  const entry = handlers.get(kind);
+  if (!entry) throw new Error(`Unknown job kind: ${kind}`);
+  return withTransaction(async (client) => {
+    const { rows } = await client.query(
+      `INSERT INTO job_batches (kind, event_id, params, total) VALUES ($1, $2, $3, $4) RETURNING id`,
+      [kind, eventId, JSON.stringify(params), payloads.length]
+    );
+    const batchId = rows[0].id;
+    await client.query(
+      `INSERT INTO jobs (kind, payload, max_attempts, batch_id)
+       SELECT $1, p, $2, $3 FROM jsonb_array_elements($4::jsonb) AS p`,
+      [kind, entry.maxAttempts, batchId, JSON.stringify(payloads)]
+    );
+    return getJobBatch(batchId, client);
+  });
+}
+
+// Batch progress: done counts succeeded jobs; the batch is finished once nothing is queued or running
+export async function getJobBatch(id, db = pool) {
+  const { rows } = await db.query(
+    `SELECT b.id, b.kind, b.event_id, b.params, b.total, b.created_at,
+            COUNT(j.id) FILTER (WHERE j.status = 'succeeded')::int AS done,
+            COUNT(j.id) FILTER (WHERE j.status = 'failed')::int AS failed,
+            COUNT(j.id) FILTER (WHERE j.status = 'cancelled')::int AS cancelled,
+            COUNT(j.id) FILTER (WHERE j.status = 'running')::int AS running,
+            COUNT(j.id) FILTER (WHERE j.status = 'queued')::int AS queued
+     FROM job_batches b
+     LEFT JOIN jobs j ON j.batch_id = b.id
+     WHERE b.id = $1
+     GROUP BY b.id`,
+    [id]
+  );
+  const batch = rows[0];
+  if (!batch) return null;
+  return { ...batch, finished: batch.queued + batch.running === 0 };
+}
+
+export async function cancelJobBatch(id) {
+  await pool.query(
+    `UPDATE jobs SET status = 'cancelled', finished_at = now(), updated_at = now()
+     WHERE batch_id = $1 AND status IN ('queued', 'running')`,
+    [id]
+  );
+  return getJobBatch(id);
+}
+
+// Queued jobs never start; a running job finishes its current step but its outcome is discarded
+export async function cancelJob(id) {
+  const { rows } = await pool.query(
+    `UPDATE jobs SET status = 'cancelled', finished_at = now(), updated_at = now()
+     WHERE id = $1 AND status IN ('queued', 'running')
+     RETURNING *`,
+    [id]
+  );
+  return rows[0] || null;
+}
+
+async function claimJob(kind) {
+  const { rows } = await pool.query(
+    `UPDATE jobs SET status = 'running', attempts = attempts + 1, started_at = now(), updated_at = now()
+     WHERE id = (
+       SELECT id FROM jobs
+       WHERE kind = $1 AND status = 'queued' AND run_at <= now()
+       ORDER BY run_at, id
+       FOR UPDATE SKIP LOCKED
+       LIMIT 1
+     )
+     RETURNING *`,
+    [kind]
+  );
+  return rows[0] || null;
+}
+
+export function retryDelayMs(attempts) {
+  return Math.min(RETRY_MAX_MS, RETRY_BASE_MS * 2 ** Math.max(0, attempts - 1));
+}
+
+async function runJob(job, entry) {
+  const isCancelled = async () => (await getJob(job.id))?.status === 'cancelled';
+  try {
+    const result = await entry.handler(job.payload, { job, isCancelled });
+    const { rows } = await pool.query(
+      `UPDATE jobs SET status = 'succeeded', result = $2, last_error = NULL, finished_at = now(), updated_at = now()
+       WHERE id = $1 AND status = 'running' RETURNING *`,
+      [job.id, JSON.stringify(result ?? null)]
+    );
+    return rows[0] || await getJob(job.id);
+  } catch (err) {
+    const permanent = err && err.status >= 400 && err.status < 500;
+    const retry = !permanent && job.attempts < job.max_attempts;
+    const message = String(err?.message || err);
+    if (!permanent) console.error(`Job ${job.id} (${job.kind}) failed:`, err);
+    const { rows } = await pool.query(
+      retry
+        ? `UPDATE jobs SET status = 'queued', last_error = $2, run_at = now() + ($3 || ' milliseconds')::interval, updated_at = now()
+           WHERE id = $1 AND status = 'running' RETURNING *`
+        : `UPDATE jobs SET status = 'failed', last_error = $2, finished_at = now(), updated_at = now()
+           WHERE id = $1 AND status = 'running' RETURNING *`,
+      retry ? [job.id, message, String(retryDelayMs(job.attempts))] : [job.id, message]
+    );
+    return rows[0] || await getJob(job.id);
+  }
+}
+
+// Claim and run one due job of a kind; resolves to the finished row, or null when idle
+export async function processNextJob(kind) {
+  const entry = handlers.get(kind);
+  if (!entry) throw new Error(`Unknown job kind: ${kind}`);
+  const job = await claimJob(kind);
+  if (!job) return null;
+  return runJob(job, entry);
+}
+
+// Jobs left 'running' by a process that died are picked up again once they go stale
+export async function requeueInterruptedJobs({ staleMs = STALE_MS } = {}) {
+  const { rowCount } = await pool.query(
+    `UPDATE jobs SET status = 'queued', run_at = now(), updated_at = now()
+     WHERE status = 'running' AND updated_at < now() - ($1 || ' milliseconds')::interval`,
+    [String(staleMs)]
+  );
+  return rowCount;
+}
+
+// Poll for work, running up to each kind's concurrency limit at once
+export function startJobWorkers({ pollMs = parseInt(process.env.JOB_POLL_MS || '1000', 10) } = {}) {
+  const fill = (kind, entry) => {
+    while (entry.running < entry.concurrency) {
+      entry.running += 1;
+      processNextJob(kind)
+        .then((job) => { entry.running -= 1; if (job) fill(kind, entry); })
+        .catch((err) => { entry.running -= 1; console.error(`Job worker (${kind}) error:`, err); });
+    }
+  };
+  // A slot that finds no due job frees up until the next poll; one that ran a job claims the next right away
+  const tick = () => { for (const [kind, entry] of handlers) fill(kind, entry); };
+  const timer = setInterval(tick, pollMs);
+  timer.unref();
+  const sweeper = setInterval(() => {
+    requeueInterruptedJobs().catch((err) => console.error('Job sweeper error:', err));
+  }, 60 * 1000);
+  sweeper.unref();
+  tick();
+  return () => { clearInterval(timer); clearInterval(sweeper); };
+}
@@ -1,14 +1,32 @@
 import { InferenceSession, Tensor } from 'onnxruntime-node';
 import fs from 'fs';
+import path from 'path';
 import sharp from 'sharp';
 
 let scrfdSession = null;
 let arcfaceSession = null;
 let osnetSession = null;
 
+// Model files, overridable per deployment
+const MODEL_FILES = {
+  scrfd: ['SCRFD_MODEL_PATH', 'models/scrfd_person_2.5g.onnx'],
+  arcface: ['ARCFACE_MODEL_PATH', 'models/arcface_r50.onnx'],
+  osnet: ['OSNET_MODEL_PATH', 'models/osnet_x0_25.onnx']
+};
+
+function modelFile(name) {
+  const [envKey, fallback] = MODEL_FILES[name];
+  return process.env[envKey] || fallback;
+}
+
+// Names the models behind a detection; stored per face as faces.detector_version
+export function faceDetectorVersion() {
+  return Object.keys(MODEL_FILES).map((name) => `${name}:${path.basename(modelFile(name), '.onnx')}`).join('+');
+}
+
 export async function getScrfd() {
   if (scrfdSession) return scrfdSession;
-  const modelPath = process.env.SCRFD_MODEL_PATH || 'models/scrfd_person_2.5g.onnx';
+  const modelPath = modelFile('scrfd');
   if (!fs.existsSync(modelPath)) throw new Error(`SCRFD model not found at ${modelPath}`);
   scrfdSession = await InferenceSession.create(modelPath);
   return scrfdSession;
@@ -16,7 +34,7 @@ export async function getScrfd() {
 
 export async function getArcface() {
   if (arcfaceSession) return arcfaceSession;
-  const modelPath = process.env.ARCFACE_MODEL_PATH || 'models/arcface_r50.onnx';
+  const modelPath = modelFile('arcface');
   if (!fs.existsSync(modelPath)) throw new Error(`ArcFace model not found at ${modelPath}`);
   arcfaceSession = await InferenceSession.create(modelPath);
   return arcfaceSession;
@@ -24,7 +42,7 @@ export async function getArcface() {
 
 export async function getOsnet() {
   if (osnetSession) return osnetSession;
-  const modelPath = process.env.OSNET_MODEL_PATH || 'models/osnet_x0_25.onnx';
+  const modelPath = modelFile('osnet');
   if (!fs.existsSync(modelPath)) throw new Error(`OSNet model not found at ${modelPath}`);
   osnetSession = await InferenceSession.create(modelPath);
   return osnetSession;
@@ -39,91 +57,231 @@ export async function checkModelsHealth() {
   }
 }
 
-function hwcToNchwFloat32BgrLetterbox(pixels, width, height) {
-  // Convert HWC RGB uint8 -> NCHW BGR float32 normalized
-  // Normalize to [0,1]. Some SCRFD variants expect mean/std; adjust if needed later.
-  const chw = new Float32Array(3 * width * height);
-  let idx = 0;
-  for (let y = 0; y < height; y++) {
-    for (let x = 0; x < width; x++) {
-      const r = pixels[idx++];
-      const g = pixels[idx++];
-      const b = pixels[idx++];
-      const pi = y * width + x;
-      // B, G, R order
-      chw[0 * width * height + pi] = b / 255;
-      chw[1 * width * height + pi] = g / 255;
-      chw[2 * width * height + pi] = r / 255;
-    }
+// SCRFD expects RGB input normalized as (x - 127.5) / 128, letterboxed into a 640x640 square
+const SCRFD_INPUT_SIZE = 640;
+const SCRFD_MEAN = [127.5, 127.5, 127.5];
+const SCRFD_STD = [128, 128, 128];
+const SCRFD_STRIDES = [8, 16, 32, 64, 128];
+const SCRFD_MAX_DETECTIONS = 150;
+
+function hwcToNchwFloat32(pixels, width, height, mean, std) {
+  // Convert HWC RGB uint8 -> NCHW RGB float32 using per-channel mean/std
+  const plane = width * height;
+  const chw = new Float32Array(3 * plane);
+  for (let pi = 0, idx = 0; pi < plane; pi++, idx += 3) {
+    chw[pi] = (pixels[idx] - mean[0]) / std[0];
+    chw[plane + pi] = (pixels[idx + 1] - mean[1]) / std[1];
+    chw[2 * plane + pi] = (pixels[idx + 2] - mean[2]) / std[2];
   }
   return chw;
 }
 
+// Group raw output tensors into per-stride heads. SCRFD exports differ in output
+// names and order, so heads are identified by shape: the row count encodes the
+// stride and anchors per location, the last dim tells score (1), bbox (4), kps (10).
+function resolveScrfdHeads(outputs, inputWidth, inputHeight) {
+  const heads = new Map();
+  for (const tensor of Object.values(outputs)) {
+    const dims = tensor.dims || [];
+    const last = dims[dims.length - 1];
+    if (last !== 1 && last !== 4 && last !== 10) continue;
+    const rows = tensor.data.length / last;
+    for (const stride of SCRFD_STRIDES) {
+      const cells = Math.ceil(inputHeight / stride) * Math.ceil(inputWidth / stride);
+      if (rows % cells !== 0) continue;
+      const anchors = rows / cells;
+      if (anchors !== 1 && anchors !== 2) continue;
+      const head = heads.get(stride) || { stride, anchors };
+      if (last === 1) head.scores = tensor.data;
+      else if (last === 4) head.bboxes = tensor.data;
+      else head.kps = tensor.data;
+      heads.set(stride, head);
+      break;
+    }
+  }
+  return Array.from(heads.values())
+    .filter((h) => h.scores && h.bboxes)
+    .sort((a, b) => a.stride - b.stride);
+}
+
+function sigmoid(x) {
+  return 1 / (1 + Math.exp(-x));
+}
+
+// Decode SCRFD outputs into boxes in input (letterboxed) pixel space.
+// Boxes are distance-encoded from anchor centers: (left, top, right, bottom) * stride,
+// keypoints are (dx, dy) * stride offsets from the same centers.
+export function decodeScrfdOutputs(outputs, { inputWidth = SCRFD_INPUT_SIZE, inputHeight = SCRFD_INPUT_SIZE, scoreThreshold = 0.5 } = {}) {
+  const heads = resolveScrfdHeads(outputs, inputWidth, inputHeight);
+  // Some exports emit logits instead of probabilities
+  const needsSigmoid = heads.some((h) => h.scores.some((v) => v < 0 || v > 1));
+  const candidates = [];
+  for (const { stride, anchors, scores, bboxes, kps } of heads) {
+    const cols = Math.ceil(inputWidth / stride);
+    for (let i = 0; i < scores.length; i++) {
+      const score = needsSigmoid ? sigmoid(scores[i]) : scores[i];
+      if (score < scoreThreshold) continue;
+      const cell = Math.floor(i / anchors);
+      const cx = (cell % cols) * stride;
+      const cy = Math.floor(cell / cols) * stride;
+      const box = {
+        x1: cx - bboxes[i * 4] * stride,
+        y1: cy - bboxes[i * 4 + 1] * stride,
+        x2: cx + bboxes[i * 4 + 2] * stride,
+        y2: cy + bboxes[i * 4 + 3] * stride,
+        score,
+        cls: 0,
+        landmarks: null
+      };
+      if (kps) {
+        box.landmarks = [];
+        for (let k = 0; k < 5; k++) {
+          box.landmarks.push([cx + kps[i * 10 + k * 2] * stride, cy + kps[i * 10 + k * 2 + 1] * stride]);
+        }
+      }
+      candidates.push(box);
+    }
+  }
+  return candidates;
+}
+
+export function iou(a, b) {
+  const ix = Math.max(0, Math.min(a.x2, b.x2) - Math.max(a.x1, b.x1));
+  const iy = Math.max(0, Math.min(a.y2, b.y2) - Math.max(a.y1, b.y1));
+  const inter = ix * iy;
+  const union = (a.x2 - a.x1) * (a.y2 - a.y1) + (b.x2 - b.x1) * (b.y2 - b.y1) - inter;
+  return union > 0 ? inter / union : 0;
+}
+
+// IoU of two {left, top, width, height} boxes
+export function boxIou(a, b) {
+  const corners = (r) => ({ x1: r.left, y1: r.top, x2: r.left + r.width, y2: r.top + r.height });
+  return iou(corners(a), corners(b));
+}
+
+// Pair boxes ({left, top, width, height}) from two detection runs one-to-one, best
+// overlap first. Returns a Map of next index -> previous index for pairs at minIou or above.
+export function matchBoxesByIou(previous, next, minIou = 0.5) {
+  const pairs = [];
+  previous.forEach((p, i) => next.forEach((n, j) => {
+    const overlap = boxIou(p, n);
+    if (overlap >= minIou) pairs.push({ i, j, overlap });
+  }));
+  pairs.sort((a, b) => b.overlap - a.overlap);
+  const matches = new Map();
+  const usedPrevious = new Set();
+  for (const { i, j } of pairs) {
+    if (usedPrevious.has(i) || matches.has(j)) continue;
+    usedPrevious.add(i);
+    matches.set(j, i);
+  }
+  return matches;
+}
+
+// Greedy non-maximum suppression, applied independently per class
+export function nms(boxes, iouThreshold = 0.4) {
+  const byClass = new Map();
+  for (const b of boxes) {
+    const key = b.cls ?? 0;
+    if (!byClass.has(key)) byClass.set(key, []);
+    byClass.get(key).push(b);
+  }
+  const kept = [];
+  for (const group of byClass.values()) {
+    group.sort((a, b) => b.score - a.score);
+    const keep = [];
+    for (const b of group) {
+      if (keep.every((k) => iou(k, b) <= iouThreshold)) keep.push(b);
+    }
+    kept.push(...keep);
+  }
+  return kept.sort((a, b) => b.score - a.score);
+}
+
+// Rough head pose in degrees from 5 landmarks (eyes, nose, mouth corners).
+// Roll is the eye-line angle; after de-rolling, yaw comes from the nose offset
+// against the eye midpoint and pitch from the nose height between eyes and mouth.
+export function estimatePose(landmarks) {
+  if (!Array.isArray(landmarks) || landmarks.length < 5) return { yaw: null, pitch: null, roll: null };
+  const [le, re, nose, lm, rm] = landmarks;
+  const roll = Math.atan2(re[1] - le[1], re[0] - le[0]);
+  const cx = (le[0] + re[0]) / 2;
+  const cy = (le[1] + re[1]) / 2;
+  const cos = Math.cos(-roll);
+  const sin = Math.sin(-roll);
+  const derolled = ([x, y]) => [(x - cx) * cos - (y - cy) * sin, (x - cx) * sin + (y - cy) * cos];
+  const eyeHalf = Math.hypot(re[0] - le[0], re[1] - le[1]) / 2 || 1;
+  const [nx, ny] = derolled(nose);
+  const mouthY = (derolled(lm)[1] + derolled(rm)[1]) / 2;
+  const clamp = (v) => Math.max(-1, Math.min(1, v));
+  const deg = (r) => (r * 180) / Math.PI;
+  // A frontal face has its nose tip roughly halfway between eye line and mouth line
+  const noseDepth = mouthY > 0 ? ny / mouthY : 0.5;
+  return {
+    yaw: deg(Math.asin(clamp(nx / eyeHalf))),
+    pitch: deg(Math.asin(clamp((noseDepth - 0.5) / 0.5))),
+    roll: deg(roll)
+  };
+}
+
+// Rescale detections (e.g. from preview to original pixel space)
+export function scaleDetections(boxes, sx, sy = sx) {
+  return boxes.map((b) => ({
+    ...b,
+    left: b.left * sx,
+    top: b.top * sy,
+    width: b.width * sx,
+    height: b.height * sy,
+    landmarks: Array.isArray(b.landmarks) ? b.landmarks.map(([x, y]) => [x * sx, y * sy]) : b.landmarks
+  }));
+}
+
 export async function detectFacesScrfd(absImagePath) {
   try {
     const session = await getScrfd();
     const inputName = session.inputNames[0];
+    // Boxes are reported in the upright image (EXIF orientation applied), like every other pixel space
     const meta = await sharp(absImagePath).metadata();
-    const origW = meta.width || 0;
-    const origH = meta.height || 0;
-    const target = 640;
+    const origW = meta.autoOrient?.width || meta.width || 0;
+    const origH = meta.autoOrient?.height || meta.height || 0;
+    const target = SCRFD_INPUT_SIZE;
     const scale = Math.min(target / Math.max(1, origW), target / Math.max(1, origH));
-    const newW = Math.max(1, Math.round(origW * scale));
-    const newH = Math.max(1, Math.round(origH * scale));
-    const padX = Math.floor((target - newW) / 2);
-    const padY = Math.floor((target - newH) / 2);
+    const newW = Math.max(1, Math.min(target, Math.round(origW * scale)));
+    const newH = Math.max(1, Math.min(target, Math.round(origH * scale)));
+    const sx = newW / Math.max(1, origW);
+    const sy = newH / Math.max(1, origH);
 
+    // Letterbox: resized image anchored top-left, padded to target on the right/bottom
     const resized = await sharp(absImagePath)
-      .resize(target, target, { fit: 'contain', background: { r: 0, g: 0, b: 0, alpha: 1 } })
+      .rotate()
+      .resize(newW, newH, { fit: 'fill' })
+      .extend({ top: 0, left: 0, right: target - newW, bottom: target - newH, background: { r: 0, g: 0, b: 0, alpha: 1 } })
       .removeAlpha()
       .raw()
       .toBuffer({ resolveWithObject: true });
     const width = resized.info.width; // expect 640
     const height = resized.info.height; // expect 640
-    const inputData = hwcToNchwFloat32BgrLetterbox(resized.data, width, height);
+    const inputData = hwcToNchwFloat32(resized.data, width, height, SCRFD_MEAN, SCRFD_STD);
     const tensor = new Tensor('float32', inputData, [1, 3, height, width]);
     const outputs = await session.run({ [inputName]: tensor });
 
-    const outNames = Object.keys(outputs);
-    const scoreNames = outNames.filter((n) => /score/i.test(n));
-    const bboxNames = outNames.filter((n) => /bbox|boxes/i.test(n));
-
-    if (scoreNames.length === 0 || bboxNames.length === 0) {
-      return [];
-    }
-
-    const scores = outputs[scoreNames[0]].data;
-    const bboxes = outputs[bboxNames[0]].data;
+    const scoreThreshold = parseFloat(process.env.SCRFD_SCORE_THRESHOLD || '0.5');
+    const nmsThreshold = parseFloat(process.env.SCRFD_NMS_THRESHOLD || '0.4');
+    const decoded = decodeScrfdOutputs(outputs, { inputWidth: width, inputHeight: height, scoreThreshold });
+    const kept = nms(decoded, nmsThreshold).slice(0, SCRFD_MAX_DETECTIONS);
 
     const candidates = [];
-    const n = Math.floor(bboxes.length / 4);
-    for (let i = 0; i < n; i++) {
-      const s = scores[i] ?? 0;
-      if (s < 0.3) continue;
-      const x1 = bboxes[i * 4 + 0];
-      const y1 = bboxes[i * 4 + 1];
-      const x2 = bboxes[i * 4 + 2];
-      const y2 = bboxes[i * 4 + 3];
-      // Map from 640x640 letterboxed space back to original image coords
-      let lx = Math.min(x1, x2);
-      let ly = Math.min(y1, y2);
-      let rx = Math.max(x1, x2);
-      let by = Math.max(y1, y2);
-      // Remove padding, then inverse scale
-      let left = (lx - padX) / (scale || 1);
-      let top = (ly - padY) / (scale || 1);
-      let right = (rx - padX) / (scale || 1);
-      let bottom = (by - padY) / (scale || 1);
-      // Clamp to original bounds
-      left = Math.max(0, Math.min(left, origW));
-      top = Math.max(0, Math.min(top, origH));
-      right = Math.max(0, Math.min(right, origW));
-      bottom = Math.max(0, Math.min(bottom, origH));
-      const w = Math.max(0, right - left);
-      const h = Math.max(0, bottom - top);
+    for (const b of kept) {
+      // Map from letterboxed space back to original image coords, clamped to bounds
+      const left = Math.max(0, Math.min(b.x1 / sx, origW));
+      const top = Math.max(0, Math.min(b.y1 / sy, origH));
+      const right = Math.max(0, Math.min(b.x2 / sx, origW));
+      const bottom = Math.max(0, Math.min(b.y2 / sy, origH));
+      const w = right - left;
+      const h = bottom - top;
       if (w <= 1 || h <= 1) continue;
-      candidates.push({ left, top, width: w, height: h, score: s });
-      if (candidates.length >= 150) break;
+      const landmarks = b.landmarks ? b.landmarks.map(([x, y]) => [x / sx, y / sy]) : null;
+      candidates.push({ left, top, width: w, height: h, score: b.score, landmarks, ...estimatePose(landmarks) });
     }
     return candidates;
   } catch (e) {
@@ -132,6 +290,186 @@ export async function detectFacesScrfd(absImagePath) {
   }
 }
 
+// Canonical 5-point ArcFace template (eyes, nose tip, mouth corners) for 112x112 crops
+const ARCFACE_SIZE = 112;
+const ARCFACE_TEMPLATE = [
+  [38.2946, 51.6963],
+  [73.5318, 51.5014],
+  [56.0252, 71.7366],
+  [41.5493, 92.3655],
+  [70.7299, 92.2041]
+];
+
+export async function loadImageRgb(absImagePath) {
+  const { data, info } = await sharp(absImagePath).rotate().removeAlpha().raw().toBuffer({ resolveWithObject: true });
+  return { data, width: info.width, height: info.height };
+}
+
+export function l2Normalize(vec) {
+  let sum = 0;
+  for (const v of vec) sum += v * v;
+  const norm = Math.sqrt(sum) || 1;
+  return Array.from(vec, (v) => v / norm);
+}
+
+// Least-squares 2D similarity (rotation + uniform scale + translation) mapping src -> dst.
+// Returns { a, b, tx, ty } with x' = a*x - b*y + tx, y' = b*x + a*y + ty.
+export function estimateSimilarityTransform(src, dst) {
+  const n = Math.min(src.length, dst.length);
+  let msx = 0, msy = 0, mdx = 0, mdy = 0;
+  for (let i = 0; i < n; i++) {
+    msx += src[i][0]; msy += src[i][1];
+    mdx += dst[i][0]; mdy += dst[i][1];
+  }
+  msx /= n; msy /= n; mdx /= n; mdy /= n;
+  let num1 = 0, num2 = 0, den = 0;
+  for (let i = 0; i < n; i++) {
+    const xs = src[i][0] - msx, ys = src[i][1] - msy;
+    const xd = dst[i][0] - mdx, yd = dst[i][1] - mdy;
+    num1 += xs * xd + ys * yd;
+    num2 += xs * yd - ys * xd;
+    den += xs * xs + ys * ys;
+  }
+  const a = den > 0 ? num1 / den : 1;
+  const b = den > 0 ? num2 / den : 0;
+  return { a, b, tx: mdx - (a * msx - b * msy), ty: mdy - (b * msx + a * msy) };
+}
+
+// Warp an RGB image into an outW x outH crop; each output pixel is mapped back
+// through the inverse transform and bilinearly sampled (black outside the source).
+export function warpSimilarityRgb(image, { a, b, tx, ty }, outW, outH) {
+  const { data, width, height } = image;
+  const out = new Uint8Array(outW * outH * 3);
+  const det = a * a + b * b || 1;
+  for (let v = 0; v < outH; v++) {
+    for (let u = 0; u < outW; u++) {
+      const du = u - tx;
+      const dv = v - ty;
+      const x = (a * du + b * dv) / det;
+      const y = (-b * du + a * dv) / det;
+      const x0 = Math.floor(x);
+      const y0 = Math.floor(y);
+      const fx = x - x0;
+      const fy = y - y0;
+      const o = (v * outW + u) * 3;
+      for (let c = 0; c < 3; c++) {
+        let acc = 0;
+        for (const [xx, yy, w] of [[x0, y0, (1 - fx) * (1 - fy)], [x0 + 1, y0, fx * (1 - fy)], [x0, y0 + 1, (1 - fx) * fy], [x0 + 1, y0 + 1, fx * fy]]) {
+          if (w === 0 || xx < 0 || yy < 0 || xx >= width || yy >= height) continue;
+          acc += data[(yy * width + xx) * 3 + c] * w;
+        }
+        out[o + c] = Math.round(acc);
+      }
+    }
+  }
+  return out;
+}
+
+// Without detector keypoints (manual boxes, older rows), place the template inside the box
+function landmarksFromBbox({ left, top, width, height }) {
+  const side = Math.max(width, height);
+  const ox = left + (width - side) / 2;
+  const oy = top + (height - side) / 2;
+  return ARCFACE_TEMPLATE.map(([x, y]) => [ox + (x / ARCFACE_SIZE) * side, oy + (y / ARCFACE_SIZE) * side]);
+}
+
+export function alignFace(image, face) {
+  const landmarks = Array.isArray(face.landmarks) && face.landmarks.length === 5 ? face.landmarks : landmarksFromBbox(face);
+  const transform = estimateSimilarityTransform(landmarks, ARCFACE_TEMPLATE);
+  return warpSimilarityRgb(image, transform, ARCFACE_SIZE, ARCFACE_SIZE);
+}
+
+export async function extractFaceEmbedding(image, face) {
+  const session = await getArcface();
+  const aligned = alignFace(image, face);
+  const input = hwcToNchwFloat32(aligned, ARCFACE_SIZE, ARCFACE_SIZE, [127.5, 127.5, 127.5], [127.5, 127.5, 127.5]);
+  const tensor = new Tensor('float32', input, [1, 3, ARCFACE_SIZE, ARCFACE_SIZE]);
+  const outputs = await session.run({ [session.inputNames[0]]: tensor });
+  return l2Normalize(outputs[session.outputNames[0]].data);
+}
+
+// OSNet re-id input is 256x128 (HxW), ImageNet mean/std on 0..255 pixels
+const OSNET_HEIGHT = 256;
+const OSNET_WIDTH = 128;
+const IMAGENET_MEAN = [0.485 * 255, 0.456 * 255, 0.406 * 255];
+const IMAGENET_STD = [0.229 * 255, 0.224 * 255, 0.225 * 255];
+
+// Person region for a face: the tightest person box containing the face center when
+// one is available, otherwise an upper-body estimate (head plus torso) around the face.
+export function estimatePersonBox(face, imageWidth, imageHeight, personBoxes = []) {
+  const cx = face.left + face.width / 2;
+  const cy = face.top + face.height / 2;
+  const containing = personBoxes
+    .filter((p) => cx >= p.left && cx <= p.left + p.width && cy >= p.top && cy <= p.top + p.height)
+    .sort((a, b) => a.width * a.height - b.width * b.height);
+  let box = containing[0];
+  if (!box) {
+    const width = face.width * 3;
+    box = { left: cx - width / 2, top: face.top - face.height * 0.5, width, height: face.height * 4.5 };
+  }
+  const left = Math.max(0, Math.floor(box.left));
+  const top = Math.max(0, Math.floor(box.top));
+  const right = Math.min(imageWidth, Math.ceil(box.left + box.width));
+  const bottom = Math.min(imageHeight, Math.ceil(box.top + box.height));
+  return { left, top, width: Math.max(1, right - left), height: Math.max(1, bottom - top) };
+}
+
+export async function extractAppearanceEmbedding(image, face, personBoxes = []) {
+  const session = await getOsnet();
+  const region = estimatePersonBox(face, image.width, image.height, personBoxes);
+  const crop = await sharp(image.data, { raw: { width: image.width, height: image.height, channels: 3 } })
+    .extract(region)
+    .resize(OSNET_WIDTH, OSNET_HEIGHT, { fit: 'fill' })
+    .raw()
+    .toBuffer();
+  const input = hwcToNchwFloat32(crop, OSNET_WIDTH, OSNET_HEIGHT, IMAGENET_MEAN, IMAGENET_STD);
+  const tensor = new Tensor('float32', input, [1, 3, OSNET_HEIGHT, OSNET_WIDTH]);
+  const outputs = await session.run({ [session.inputNames[0]]: tensor });
+  return l2Normalize(outputs[session.outputNames[0]].data);
+}
+
+// Compute face (ArcFace) and appearance (OSNet) embeddings for faces of one image.
+// Faces and person boxes are given in the pixel space of `space` ({ width, height },
+// e.g. the original photo) or of the image itself when omitted. Each model fails
+// independently so a missing OSNet file does not cost us face embeddings, and each face
+// too: one crop that can't be taken leaves only that face without an embedding.
+export async function embedFaces(absImagePath, faces, { space = null, personBoxes = [] } = {}) {
+  const results = faces.map(() => ({ faceEmbedding: null, appearanceEmbedding: null }));
+  if (faces.length === 0) return results;
+  let image;
+  try {
+    image = await loadImageRgb(absImagePath);
+  } catch (e) {
+    console.error('Embedding image load error:', e.message);
+    return results;
+  }
+  const sx = space?.width ? image.width / space.width : 1;
+  const sy = space?.height ? image.height / space.height : sx;
+  const rescale = (boxes) => (sx === 1 && sy === 1 ? boxes : scaleDetections(boxes, sx, sy));
+  const scaled = rescale(faces);
+  const people = rescale(personBoxes);
+  const extractors = [
+    ['faceEmbedding', getArcface, (face) => extractFaceEmbedding(image, face)],
+    ['appearanceEmbedding', getOsnet, (face) => extractAppearanceEmbedding(image, face, people)]
+  ];
+  for (const [key, loadModel, extract] of extractors) {
+    try {
+      await loadModel();
+    } catch (e) {
+      console.error(`${key} error:`, e.message);
+      continue;
+    }
+    for (let i = 0; i < scaled.length; i++) {
+      try {
+        results[i][key] = await extract(scaled[i]);
+      } catch (e) {
+        console.error(`${key} error (face ${i}):`, e.message);
+      }
+    }
+  }
+  return results;
+}
+
 export async function detectPeopleInImage(absImagePath) {
   try {
     const meta = await sharp(absImagePath).metadata();
@@ -144,8 +482,8 @@ export async function detectPeopleInImage(absImagePath) {
         height: Math.round(b.height),
         score: b.score || 0
       })),
-      imageWidth: meta.width || 0,
-      imageHeight: meta.height || 0
+      imageWidth: meta.autoOrient?.width || meta.width || 0,
+      imageHeight: meta.autoOrient?.height || meta.height || 0
     };
   } catch (e) {
     return { boxes: [], imageWidth: 0, imageHeight: 0 };
@@ -0,0 +1,87 @@
+import exifr from 'exifr';
+import { pool } from './db.js';
+
+// Capture metadata read from a photo's EXIF block and stored on its photos row.
+// Every field is null when the file has no EXIF (screenshots, exports) or lacks that tag.
+
+export const PHOTO_METADATA_COLUMNS = [
+  'taken_at',
+  'camera_make',
+  'camera_model',
+  'lens_model',
+  'focal_length_mm',
+  'exposure_time_s',
+  'f_number',
+  'iso',
+  'gps_latitude',
+  'gps_longitude',
+  'gps_altitude_m',
+  'orientation'
+];
+
+function text(value) {
+  if (typeof value !== 'string') return null;
+  const trimmed = value.replace(/\0/g, '').trim();
+  return trimmed || null;
+}
+
+function number(value) {
+  const n = Array.isArray(value) ? Number(value[0]) : Number(value);
+  return value !== null && value !== undefined && Number.isFinite(n) ? n : null;
+}
+
+// EXIF dates look like '2024:05:01 12:34:56' in the camera's local time. With an
+// OffsetTime tag the instant is exact; without one the clock reading is kept as UTC so
+// photos from cameras set to the same zone still sort correctly against each other.
+export function parseExifDate(value, subSec, offset) {
+  const m = typeof value === 'string' && value.match(/^(\d{4}):(\d{2}):(\d{2})[ T](\d{2}):(\d{2}):(\d{2})/);
+  if (!m || m[1] === '0000') return null;
+  const digits = typeof subSec === 'string' ? subSec.trim().replace(/\D/g, '') : '';
+  const ms = digits ? `.${digits.padEnd(3, '0').slice(0, 3)}` : '';
+  const zone = typeof offset === 'string' && /^[+-]\d{2}:\d{2}$/.test(offset.trim()) ? offset.trim() : 'Z';
+  const date = new Date(`${m[1]}-${m[2]}-${m[3]}T${m[4]}:${m[5]}:${m[6]}${ms}${zone}`);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+// Read the capture metadata of an image (path or Buffer); never throws
+export async function readPhotoMetadata(input) {
+  const empty = Object.fromEntries(PHOTO_METADATA_COLUMNS.map((c) => [c, null]));
+  let tags;
+  try {
+    tags = await exifr.parse(input, { tiff: true, exif: true, gps: true, reviveValues: false, translateValues: false });
+  } catch {
+    return empty;
+  }
+  if (!tags) return empty;
+  const takenAt =
+    parseExifDate(tags.DateTimeOriginal, tags.SubSecTimeOriginal, tags.OffsetTimeOriginal) ||
+    parseExifDate(tags.CreateDate, tags.SubSecTimeDigitized, tags.OffsetTimeDigitized) ||
+    parseExifDate(tags.ModifyDate, tags.SubSecTime, tags.OffsetTime);
+  const altitude = number(tags.GPSAltitude);
+  const belowSeaLevel = number(tags.GPSAltitudeRef) === 1;
+  const orientation = number(tags.Orientation);
+  const iso = number(tags.ISO);
+  return {
+    taken_at: takenAt,
+    camera_make: text(tags.Make),
+    camera_model: text(tags.Model),
+    lens_model: text(tags.LensModel),
+    focal_length_mm: number(tags.FocalLength),
+    exposure_time_s: number(tags.ExposureTime),
+    f_number: number(tags.FNumber),
+    iso: iso === null ? null : Math.round(iso),
+    gps_latitude: number(tags.latitude),
+    gps_longitude: number(tags.longitude),
+    gps_altitude_m: altitude === null ? null : (belowSeaLevel ? -altitude : altitude),
+    orientation: orientation >= 1 && orientation <= 8 ? orientation : null
+  };
+}
+
+// Store metadata read by readPhotoMetadata on a photo
+export async function writePhotoMetadata(photoId, metadata, db = pool) {
+  const assignments = PHOTO_METADATA_COLUMNS.map((c, i) => `${c} = $${i + 2}`).join(', ');
+  await db.query(
+    `UPDATE photos SET ${assignments}, metadata_read_at = now() WHERE id = $1`,
+    [photoId, ...PHOTO_METADATA_COLUMNS.map((c) => metadata[c])]
+  );
+}
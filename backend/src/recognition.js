@@ -0,0 +1,267 @@
+import { pool } from './db.js';
+import { searchGalleryMany } from './embeddingSearch.js';
+
+// Tunable recognition settings (settings columns) with defaults and accepted ranges
+export const RECOGNITION_SETTINGS = {
+  recognition_threshold: { key: 'threshold', default: 0.45, min: 0, max: 1 },
+  face_weight: { key: 'faceWeight', default: 0.75, min: 0, max: 1 },
+  appearance_weight: { key: 'appearanceWeight', default: 0.25, min: 0, max: 1 },
+  pose_limit_degrees: { key: 'poseLimit', default: 45, min: 0, max: 90 },
+  min_face_size: { key: 'minFaceSize', default: 40, min: 0, max: 10000 },
+  review_margin: { key: 'reviewMargin', default: 0.1, min: 0, max: 1 }
+};
+
+export function cosineSimilarity(a, b) {
+  if (!a || !b || a.length !== b.length || a.length === 0) return 0;
+  let dot = 0;
+  let na = 0;
+  let nb = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    na += a[i] * a[i];
+    nb += b[i] * b[i];
+  }
+  return na > 0 && nb > 0 ? dot / Math.sqrt(na * nb) : 0;
+}
+
+export async function getRecognitionSettings() {
+  const columns = Object.keys(RECOGNITION_SETTINGS);
+  const { rows } = await pool.query(`SELECT ${columns.join(', ')} FROM settings WHERE id = 1`);
+  const out = {};
+  for (const [column, spec] of Object.entries(RECOGNITION_SETTINGS)) {
+    out[spec.key] = rows[0]?.[column] ?? spec.default;
+  }
+  return out;
+}
+
+// Validate recognition settings from a request body; absent fields stay null (unchanged)
+export function parseRecognitionSettings(body) {
+  const values = {};
+  for (const [column, spec] of Object.entries(RECOGNITION_SETTINGS)) {
+    const raw = body?.[column];
+    if (raw === undefined || raw === null || raw === '') { values[column] = null; continue; }
+    const n = Number(raw);
+    if (!(n >= spec.min && n <= spec.max)) return { error: `${column} must be between ${spec.min} and ${spec.max}` };
+    values[column] = n;
+  }
+  return { values };
+}
+
+// How much to trust the face term for this detection: 1 for frontal, well-sized faces,
+// falling off linearly past the pose limit (0 at 90 degrees) and below the minimum size.
+export function faceReliability(face, { poseLimit, minFaceSize }) {
+  const worst = Math.max(Math.abs(face.yaw ?? 0), Math.abs(face.pitch ?? 0));
+  const pose = worst <= poseLimit ? 1 : Math.max(0, 1 - (worst - poseLimit) / Math.max(1, 90 - poseLimit));
+  const bbox = face.bbox || {};
+  const side = Math.min(bbox.width ?? Infinity, bbox.height ?? Infinity);
+  const size = !minFaceSize || side >= minFaceSize ? 1 : Math.max(0, side / minFaceSize);
+  return pose * size;
+}
+
+// Weighted mean of the available similarities; a missing term drops out entirely
+export function fuseScores({ faceScore, appearanceScore, reliability = 1 }, { faceWeight, appearanceWeight }) {
+  const hasFace = faceScore !== null && faceScore !== undefined;
+  const hasAppearance = appearanceScore !== null && appearanceScore !== undefined;
+  if (!hasFace && !hasAppearance) return null;
+  if (!hasAppearance) return faceScore;
+  if (!hasFace) return appearanceScore;
+  const wf = faceWeight * reliability;
+  const wa = appearanceWeight;
+  if (wf + wa <= 0) return faceScore;
+  return (wf * faceScore + wa * appearanceScore) / (wf + wa);
+}
+
+// How many people the face search shortlists per face before appearance is fused in
+const GALLERY_SHORTLIST = parseInt(process.env.RECOGNITION_SHORTLIST || '20', 10);
+
+// The gallery entries to score each face against, as a Map of face id -> entries
+// ({ tag_id, tag_name, face_score, appearance_embedding }). The face term comes from
+// searchGalleryMany (pgvector when available), which shortlists the closest people; only
+// those people's enrolled appearance vectors are loaded. A face without a face embedding
+// is scored on appearance against everyone in the event.
+export async function loadCandidateGallery(faces, eventId) {
+  const searched = faces.filter((f) => f.face_embedding);
+  const found = await searchGalleryMany(searched.map((f) => f.face_embedding), { eventId, limit: GALLERY_SHORTLIST });
+  const shortlists = new Map(searched.map((f, i) => [f.id, found[i]]));
+  const needsEveryone = faces.some((f) => !f.face_embedding && f.appearance_embedding);
+  const tagIds = needsEveryone ? null : Array.from(new Set(found.flat().map((c) => c.tag_id)));
+  const { rows } = await pool.query(
+    `SELECT pe.tag_id, t.name AS tag_name, sf.appearance_embedding
+     FROM person_embeddings pe
+     JOIN tags t ON t.id = pe.tag_id
+     LEFT JOIN faces sf ON sf.id = pe.source_face_id
+     WHERE t.event_id = $1 AND ($2::int[] IS NULL OR pe.tag_id = ANY($2::int[]))`,
+    [eventId, tagIds]
+  );
+  const byTag = new Map();
+  for (const r of rows) {
+    if (!byTag.has(r.tag_id)) byTag.set(r.tag_id, { tag_name: r.tag_name, appearances: [] });
+    if (r.appearance_embedding) byTag.get(r.tag_id).appearances.push(r.appearance_embedding);
+  }
+  const entriesFor = (tagId, tagName, faceScore) => {
+    const appearances = byTag.get(tagId)?.appearances || [];
+    const base = { tag_id: tagId, tag_name: tagName, face_score: faceScore };
+    return appearances.length > 0 ? appearances.map((a) => ({ ...base, appearance_embedding: a })) : [{ ...base, appearance_embedding: null }];
+  };
+  const out = new Map();
+  for (const face of faces) {
+    const shortlist = shortlists.get(face.id);
+    out.set(face.id, shortlist
+      ? shortlist.flatMap((c) => entriesFor(c.tag_id, c.tag_name, c.similarity))
+      : Array.from(byTag.entries()).flatMap(([tagId, t]) => entriesFor(tagId, t.tag_name, null)));
+  }
+  return out;
+}
+
+// "Not this person" records of an event's faces, with the rejected face's embedding
+export async function loadEventRejections(eventId) {
+  const { rows } = await pool.query(
+    `SELECT fr.face_id, fr.tag_id, f.face_embedding
+     FROM face_rejections fr
+     JOIN faces f ON f.id = fr.face_id
+     JOIN tags t ON t.id = fr.tag_id
+     WHERE t.event_id = $1`,
+    [eventId]
+  );
+  return indexRejections(rows);
+}
+
+// byFace: tags each face must never be matched to; negatives: per tag, embeddings of faces known not to be that person
+export function indexRejections(rows) {
+  const byFace = new Map();
+  const negatives = new Map();
+  for (const r of rows) {
+    if (!byFace.has(r.face_id)) byFace.set(r.face_id, new Set());
+    byFace.get(r.face_id).add(r.tag_id);
+    if (!r.face_embedding) continue;
+    if (!negatives.has(r.tag_id)) negatives.set(r.tag_id, []);
+    negatives.get(r.tag_id).push({ face_id: r.face_id, embedding: r.face_embedding });
+  }
+  return { byFace, negatives };
+}
+
+// Score each tag for one face: best face and best appearance similarity over the
+// tag's gallery entries, fused with the face term down-weighted by reliability. An entry
+// carries either its face embedding or a face_score already computed by the search.
+// Tags rejected for this face are skipped. When the face resembles a face rejected
+// for a tag more than that tag's own gallery, the candidate loses the difference.
+export function rankCandidates(face, gallery, settings, limit = 3, rejections = null) {
+  const excluded = rejections?.byFace.get(face.id);
+  const perTag = new Map();
+  for (const g of gallery) {
+    if (excluded?.has(g.tag_id)) continue;
+    const entry = perTag.get(g.tag_id) || { tag_id: g.tag_id, tag_name: g.tag_name, face_score: null, appearance_score: null };
+    const faceScore = g.face_score ?? (face.face_embedding && g.embedding ? cosineSimilarity(face.face_embedding, g.embedding) : null);
+    if (faceScore !== null && (entry.face_score === null || faceScore > entry.face_score)) entry.face_score = faceScore;
+    if (face.appearance_embedding && g.appearance_embedding) {
+      const s = cosineSimilarity(face.appearance_embedding, g.appearance_embedding);
+      if (entry.appearance_score === null || s > entry.appearance_score) entry.appearance_score = s;
+    }
+    perTag.set(g.tag_id, entry);
+  }
+  const reliability = faceReliability(face, settings);
+  const negativeScore = (tagId) => {
+    const examples = rejections?.negatives.get(tagId);
+    if (!face.face_embedding || !examples) return null;
+    let best = null;
+    for (const n of examples) {
+      if (n.face_id === face.id) continue;
+      const s = cosineSimilarity(face.face_embedding, n.embedding);
+      if (best === null || s > best) best = s;
+    }
+    return best;
+  };
+  return Array.from(perTag.values())
+    .map((c) => {
+      const fused = fuseScores({ faceScore: c.face_score, appearanceScore: c.appearance_score, reliability }, settings);
+      const negative = negativeScore(c.tag_id);
+      const penalty = negative !== null && c.face_score !== null ? Math.max(0, negative - c.face_score) : 0;
+      return { ...c, negative_score: negative, score: fused === null ? null : fused - penalty };
+    })
+    .filter((c) => c.score !== null)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit);
+}
+
+// Match faces against the event gallery and persist the best tag when its fused score
+// clears the threshold. Manually assigned faces and faces without any embedding are
+// reported and left untouched.
+export async function recognizeFaces(faces, eventId, { settings, topK = 3 } = {}) {
+  const config = settings || await getRecognitionSettings();
+  const gallery = await loadCandidateGallery(faces.filter((f) => f.assignment_source !== 'manual'), eventId);
+  const rejections = await loadEventRejections(eventId);
+  const items = [];
+  const updates = { ids: [], tagIds: [], scores: [] };
+  for (const face of faces) {
+    if (face.assignment_source === 'manual' || (!face.face_embedding && !face.appearance_embedding)) {
+      items.push({ face_id: face.id, photo_id: face.photo_id, recognized_tag_id: face.recognized_tag_id ?? null, recognized_tag_name: null, assignment_source: face.assignment_source ?? null, score: null, candidates: [] });
+      continue;
+    }
+    const candidates = rankCandidates(face, gallery.get(face.id), config, topK, rejections);
+    const best = candidates[0];
+    const match = best && best.score >= config.threshold ? best : null;
+    updates.ids.push(face.id);
+    updates.tagIds.push(match ? match.tag_id : null);
+    updates.scores.push(best ? best.score : null);
+    items.push({
+      face_id: face.id,
+      photo_id: face.photo_id,
+      recognized_tag_id: match ? match.tag_id : null,
+      recognized_tag_name: match ? match.tag_name : null,
+      assignment_source: match ? 'auto' : null,
+      score: best ? best.score : null,
+      candidates
+    });
+  }
+  if (updates.ids.length > 0) {
+    await pool.query(
+      `UPDATE faces f
+       SET recognized_tag_id = u.tag_id, fused_score = u.score,
+           assignment_source = CASE WHEN u.tag_id IS NULL THEN NULL ELSE 'auto' END
+       FROM unnest($1::int[], $2::int[], $3::real[]) AS u(id, tag_id, score)
+       WHERE f.id = u.id AND f.assignment_source IS DISTINCT FROM 'manual'`,
+      [updates.ids, updates.tagIds, updates.scores]
+    );
+  }
+  return items;
+}
+
+// Faces whose last recognition score landed within reviewMargin of the threshold, either
+// side, and that nobody has assigned or set aside yet. Candidates are ranked against the
+// current gallery, so names enrolled since the run already show up.
+export async function listReviewQueue(eventId, { limit = 100, topK = 3 } = {}) {
+  const config = await getRecognitionSettings();
+  const low = Math.max(0, config.threshold - config.reviewMargin);
+  const high = config.threshold + config.reviewMargin;
+  const inBand = `FROM faces f
+     JOIN photos p ON p.id = f.photo_id
+     WHERE p.event_id = $1
+       AND f.fused_score >= $2 AND f.fused_score < $3
+       AND f.assignment_source IS DISTINCT FROM 'manual'
+       AND f.review_status IS DISTINCT FROM 'rejected'`;
+  const { rows: shown } = await pool.query(
+    `SELECT f.id, f.photo_id, f.bbox, f.yaw, f.pitch, f.face_embedding, f.appearance_embedding,
+            f.fused_score, f.recognized_tag_id, p.filename, p.preview_filename, p.width, p.height
+     ${inBand}
+     ORDER BY f.photo_id, f.id
+     LIMIT $4`,
+    [eventId, low, high, limit]
+  );
+  const { rows: [{ total }] } = await pool.query(`SELECT COUNT(*)::int AS total ${inBand}`, [eventId, low, high]);
+  const gallery = await loadCandidateGallery(shown, eventId);
+  const rejections = await loadEventRejections(eventId);
+  const items = shown.map((f) => ({
+    face_id: f.id,
+    photo_id: f.photo_id,
+    bbox: f.bbox,
+    crop_url: `/faces/${f.id}/crop`,
+    score: f.fused_score,
+    recognized_tag_id: f.recognized_tag_id,
+    filename: f.filename,
+    preview_filename: f.preview_filename,
+    width: f.width,
+    height: f.height,
+    candidates: rankCandidates(f, gallery.get(f.id), config, topK, rejections).map((c) => ({ tag_id: c.tag_id, tag_name: c.tag_name, score: c.score }))
+  }));
+  return { threshold: config.threshold, low, high, total, items };
+}
@@ -0,0 +1,150 @@
+import test, { before } from 'node:test';
+import assert from 'node:assert/strict';
+import request from 'supertest';
+import { app, dbReady } from '../src/index.js';
+import { hasPgvector, pool, VECTOR_DIMS } from '../src/db.js';
+import { CLUSTER_MIN_SIMILARITY, clusterEmbeddings, rankByCentroid } from '../src/clustering.js';
+import { faceNeighbours } from '../src/embeddingSearch.js';
+import { getJob, processNextJob } from '../src/jobs.js';
+
+before(() => dbReady);
+
+function basis(i, dims = 8) {
+  const v = new Array(dims).fill(0);
+  v[i] = 1;
+  return v;
+}
+
+function blend(a, b, wb) {
+  return a.map((x, i) => x * (1 - wb) + b[i] * wb);
+}
+
+async function createEventFixture() {
+  const name = `Cluster_${Date.now()}_${Math.floor(Math.random() * 100000)}`;
+  const ev = await pool.query(`INSERT INTO events (name) VALUES ($1) RETURNING id`, [name]);
+  return ev.rows[0].id;
+}
+
+async function createPhotoWithFaces(eventId, embeddings) {
+  const p = await pool.query(
+    `INSERT INTO photos (filename, original_name, mime_type, size_bytes, event_id) VALUES ('c.jpg','c.jpg','image/jpeg',1,$1) RETURNING id`,
+    [eventId]
+  );
+  const ids = [];
+  for (const e of embeddings) {
+    const f = await pool.query(
+      `INSERT INTO faces (photo_id, bbox, face_embedding) VALUES ($1, $2, $3) RETURNING id`,
+      [p.rows[0].id, JSON.stringify({ left: 0, top: 0, width: 50, height: 50 }), e]
+    );
+    ids.push(f.rows[0].id);
+  }
+  return { photoId: p.rows[0].id, faceIds: ids };
+}
+
+// GET an event's clusters, running the clustering job when the answer is 202
+async function getClusters(eventId, query = '') {
+  const url = `/events/${eventId}/face-clusters${query}`;
+  const first = await request(app).get(url);
+  if (first.status !== 202) return first;
+  // jobs left queued by earlier runs go first
+  for (let i = 0; i < 50 && (await getJob(first.body.job.id)).status === 'queued'; i++) await processNextJob('cluster_faces');
+  return request(app).get(url).expect(200);
+}
+
+test('clusterEmbeddings chains through core points and drops noise', () => {
+  const a = basis(0);
+  const b = basis(1);
+  const groups = clusterEmbeddings([a, blend(a, b, 0.3), basis(4), blend(a, b, 0.6), b, basis(5), basis(4)], { minSimilarity: 0.7 });
+  assert.deepEqual(groups, [[0, 1, 3, 4], [2, 6]]);
+  // a higher minimum size turns the pair into noise
+  assert.deepEqual(clusterEmbeddings([basis(4), basis(4), basis(0)], { minSimilarity: 0.9, minSize: 3 }), []);
+});
+
+test('rankByCentroid puts the most typical member first', () => {
+  const ranked = rankByCentroid([basis(0), blend(basis(0), basis(1), 0.5), basis(1)]);
+  assert.equal(ranked[0].index, 1);
+});
+
+test('event clusters propose groups and naming tags and enrolls every member', async () => {
+  const eventId = await createEventFixture();
+  const one = await createPhotoWithFaces(eventId, [basis(0), basis(1)]);
+  const two = await createPhotoWithFaces(eventId, [blend(basis(0), basis(2), 0.1)]);
+  const three = await createPhotoWithFaces(eventId, [basis(1), basis(6)]);
+
+  const queued = await request(app).get(`/events/${eventId}/face-clusters?min_similarity=0.8`).expect(202);
+  assert.equal(queued.body.job.kind, 'cluster_faces');
+  const resp = await getClusters(eventId, '?min_similarity=0.8');
+  assert.equal(resp.body.total_faces, 5);
+  assert.equal(resp.body.unclustered, 1);
+  assert.equal(resp.body.clusters.length, 2);
+  const first = resp.body.clusters.find((c) => c.cluster_id === one.faceIds[0]);
+  assert.deepEqual(first.faces.map((f) => f.face_id), [one.faceIds[0], two.faceIds[0]]);
+  assert.equal(first.photo_count, 2);
+  assert.equal(first.representatives[0].filename, 'c.jpg');
+  // served from the job's result while the faces stay the same
+  const again = await request(app).get(`/events/${eventId}/face-clusters?min_similarity=0.8`).expect(200);
+  assert.deepEqual(again.body, resp.body);
+
+  const named = await request(app)
+    .post(`/events/${eventId}/face-clusters:name`)
+    .send({ name: 'Groom', face_ids: first.faces.map((f) => f.face_id) })
+    .expect(200);
+  assert.equal(named.body.tag.name, 'Groom');
+  assert.deepEqual([named.body.faces, named.body.photos, named.body.enrolled], [2, 2, 2]);
+  const tagged = await pool.query(`SELECT photo_id FROM photo_tags WHERE tag_id = $1 ORDER BY photo_id`, [named.body.tag.id]);
+  assert.deepEqual(tagged.rows.map((r) => r.photo_id), [one.photoId, two.photoId]);
+  const gallery = await pool.query(`SELECT COUNT(*)::int AS n FROM person_embeddings WHERE tag_id = $1`, [named.body.tag.id]);
+  assert.equal(gallery.rows[0].n, 2);
+
+  // named faces leave the proposals
+  const after = await getClusters(eventId, '?min_similarity=0.8');
+  assert.deepEqual(after.body.clusters.map((c) => c.faces.map((f) => f.face_id)), [[one.faceIds[1], three.faceIds[0]]]);
+});
+
+async function assertNeighbourLists(dims) {
+  const eventId = await createEventFixture();
+  const at = (i) => basis(i, dims);
+  const { faceIds: [a, near, nearer, far] } = await createPhotoWithFaces(eventId, [at(0), blend(at(0), at(1), 0.4), blend(at(0), at(1), 0.1), at(1)]);
+  const otherEvent = await createEventFixture();
+  await createPhotoWithFaces(otherEvent, [at(0)]);
+  const lists = await faceNeighbours(eventId, { minSimilarity: 0.7, limit: 1 });
+  assert.deepEqual([...lists.keys()].sort((x, y) => x - y), [a, near, nearer, far]);
+  assert.deepEqual(lists.get(a), [nearer]);
+  assert.deepEqual(lists.get(far), []);
+  const all = await faceNeighbours(eventId, { minSimilarity: 0.7 });
+  assert.deepEqual(all.get(a), [nearer, near]);
+}
+
+test('neighbour lists hold the event\'s closest faces above the similarity, capped per face', () => assertNeighbourLists(8));
+
+test('with pgvector, neighbour lists come from one query over the event', (t) => {
+  if (!hasPgvector()) return t.skip('pgvector is not installed');
+  return assertNeighbourLists(VECTOR_DIMS);
+});
+
+test('clusters use their own, stricter similarity unless one is asked for', async () => {
+  const eventId = await createEventFixture();
+  // about 0.55 similar: enough for recognition's default threshold, not to be proposed as one person
+  await createPhotoWithFaces(eventId, [basis(0), blend(basis(0), basis(1), 0.6)]);
+  const resp = await getClusters(eventId);
+  assert.equal(resp.body.min_similarity, CLUSTER_MIN_SIMILARITY);
+  assert.deepEqual(resp.body.clusters, []);
+  const loose = await getClusters(eventId, '?min_similarity=0.45');
+  assert.equal(loose.body.clusters.length, 1);
+});
+
+test('face cluster endpoints validate input', async () => {
+  const eventId = await createEventFixture();
+  const other = await createEventFixture();
+  const foreign = await createPhotoWithFaces(other, [basis(0)]);
+  await request(app).get(`/events/abc/face-clusters`).expect(400);
+  await request(app).get(`/events/${eventId}/face-clusters?min_similarity=2`).expect(400);
+  await request(app).get(`/events/${eventId}/face-clusters?min_size=0`).expect(400);
+  await request(app).get(`/events/999999/face-clusters`).expect(404);
+  await request(app).post(`/events/${eventId}/face-clusters:name`).send({ face_ids: [1] }).expect(400);
+  await request(app).post(`/events/${eventId}/face-clusters:name`).send({ name: 'X', face_ids: [] }).expect(400);
+  await request(app).post(`/events/999999/face-clusters:name`).send({ name: 'X', face_ids: [1] }).expect(404);
+  // faces from another event are not pulled in
+  const resp = await request(app).post(`/events/${eventId}/face-clusters:name`).send({ name: 'Nobody', face_ids: foreign.faceIds }).expect(200);
+  assert.equal(resp.body.faces, 0);
+});
@@ -0,0 +1,50 @@
+import test, { before } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import request from 'supertest';
+import sharp from 'sharp';
+import { fileURLToPath } from 'url';
+import { app, dbReady } from '../src/index.js';
+import { displaySize, orientBox, orientPoint } from '../src/derivatives.js';
+import { loadImageRgb } from '../src/peopleDetector.js';
+import { uniqueImage } from './fixtures.js';
+
+before(() => dbReady);
+
+const uploadsDir = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'uploads');
+
+// 40x20 pixels as stored, tagged to be shown rotated 90° clockwise (20x40 upright)
+function sidewaysJpeg() {
+  return uniqueImage(40, 20)
+    .jpeg()
+    .withMetadata({ orientation: 6 })
+    .toBuffer();
+}
+
+test('every EXIF orientation maps the stored grid onto the upright image', () => {
+  // Stored top-left corner of a 40x20 image
+  const corners = [1, 2, 3, 4, 5, 6, 7, 8].map((o) => orientPoint([0, 0], o, 40, 20));
+  assert.deepEqual(corners, [[0, 0], [40, 0], [40, 20], [0, 20], [0, 0], [20, 0], [20, 40], [0, 40]]);
+  const box = orientBox({ left: 5, top: 2, width: 10, height: 4, landmarks: [[6, 3]] }, 6, 40, 20);
+  assert.deepEqual(box, { left: 14, top: 5, width: 4, height: 10, landmarks: [[17, 6]] });
+});
+
+test('sideways uploads get upright dimensions, previews and thumbnails', async () => {
+  const jpeg = await sidewaysJpeg();
+  assert.deepEqual(displaySize(await sharp(jpeg).metadata()), { width: 20, height: 40 });
+  const resp = await request(app).post('/photos').attach('photo', jpeg, 'portrait.jpg').expect(201);
+  assert.equal(resp.body.width, 20);
+  assert.equal(resp.body.height, 40);
+  assert.equal(resp.body.oriented, true);
+  const preview = await sharp(path.join(uploadsDir, resp.body.preview_filename)).metadata();
+  assert.equal(preview.height, preview.width * 2);
+  assert.equal(preview.orientation ?? 1, 1);
+  assert.ok(fs.existsSync(path.join(uploadsDir, resp.body.thumb_filename)));
+  await request(app).delete('/photos').send({ ids: [resp.body.id] }).expect(200);
+});
+
+test('the detector reads pixels upright', async () => {
+  const image = await loadImageRgb(await sidewaysJpeg());
+  assert.deepEqual([image.width, image.height], [20, 40]);
+});
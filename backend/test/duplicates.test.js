@@ -0,0 +1,134 @@
+import test, { before } from 'node:test';
+import assert from 'node:assert/strict';
+import request from 'supertest';
+import sharp from 'sharp';
+import { app, dbReady } from '../src/index.js';
+import { differenceHash, groupBursts, groupNearDuplicates, hammingDistance } from '../src/duplicates.js';
+import { pool } from '../src/db.js';
+
+before(() => dbReady);
+
+// Left-to-right gradient with a seed in one corner; uploads take the clock as seed so a rerun
+// after a failed one (which left its photos behind) doesn't collide with them
+function gradientJpeg(seed, { quality = 90, flip = false } = {}) {
+  const width = 64;
+  const height = 48;
+  const pixels = Buffer.alloc(width * height * 3);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const v = Math.round(((flip ? width - 1 - x : x) / (width - 1)) * 255);
+      pixels.fill(v, (y * width + x) * 3, (y * width + x) * 3 + 3);
+    }
+  }
+  pixels[0] = seed % 256;
+  pixels[1] = Math.floor(seed / 256) % 256;
+  return sharp(pixels, { raw: { width, height, channels: 3 } }).jpeg({ quality }).toBuffer();
+}
+
+test('hamming distance counts differing bits of two dHashes', () => {
+  assert.equal(hammingDistance('0000000000000000', '0000000000000000'), 0);
+  assert.equal(hammingDistance('ffffffffffffffff', '0000000000000000'), 64);
+  assert.equal(hammingDistance('8000000000000001', '0000000000000000'), 2);
+});
+
+test('near duplicates group transitively and singletons are left out', () => {
+  const groups = groupNearDuplicates([
+    { id: 4, dhash: '0000000000000003' },
+    { id: 1, dhash: '0000000000000000' },
+    { id: 2, dhash: '0000000000000001' },
+    { id: 3, dhash: 'ffffffffffffffff' },
+    { id: 5, dhash: null }
+  ], 1);
+  assert.deepEqual(groups.map((g) => g.map((p) => p.id)), [[1, 2, 4]]);
+});
+
+test('a re-encoded copy hashes close and a mirrored image far apart', async () => {
+  const seed = 7;
+  const original = await differenceHash(await gradientJpeg(seed));
+  assert.ok(hammingDistance(original, await differenceHash(await gradientJpeg(seed, { quality: 40 }))) <= 2);
+  assert.ok(hammingDistance(original, await differenceHash(await gradientJpeg(seed, { flip: true }))) > 32);
+});
+
+test('uploading the same file twice to an event returns the first photo', async () => {
+  const seed = Date.now() % 65536;
+  const jpeg = await gradientJpeg(seed);
+  const first = await request(app).post('/photos').attach('photo', jpeg, 'card_a.jpg').expect(201);
+  assert.equal(first.body.duplicate, undefined);
+  const again = await request(app).post('/photos').attach('photo', jpeg, 'card_b.jpg').expect(200);
+  assert.equal(again.body.duplicate, true);
+  assert.equal(again.body.id, first.body.id);
+  const queued = await request(app).post('/photos?async=1').attach('photo', jpeg, 'card_c.jpg').expect(200);
+  assert.equal(queued.body.id, first.body.id);
+
+  // A recompressed copy is a different file but a near duplicate
+  const copy = await request(app).post('/photos').attach('photo', await gradientJpeg(seed, { quality: 40 }), 'export.jpg').expect(201);
+  const settings = await request(app).get('/settings').expect(200);
+  const dupes = await request(app).get(`/events/${settings.body.current_event_id}/near-duplicates?max_distance=2`).expect(200);
+  const group = dupes.body.groups.find((g) => g.photos.some((p) => p.id === first.body.id));
+  assert.ok(group.photos.some((p) => p.id === copy.body.id));
+
+  await request(app).get(`/events/${settings.body.current_event_id}/near-duplicates?max_distance=99`).expect(400);
+  await request(app).get('/events/999999999/near-duplicates').expect(404);
+  await request(app).delete('/photos').send({ ids: [first.body.id, copy.body.id] }).expect(200);
+});
+
+test('bursts are runs of alike frames shot moments apart', () => {
+  const at = (s) => new Date(Date.UTC(2024, 5, 1, 14, 0, s));
+  const stacks = groupBursts([
+    { id: 1, taken_at: at(0), dhash: '0000000000000000' },
+    { id: 3, taken_at: at(2), dhash: '0000000000000003' },
+    { id: 2, taken_at: at(1), dhash: '0000000000000001' },
+    // a different scene straight after the burst
+    { id: 4, taken_at: at(3), dhash: 'ffffffffffffffff' },
+    { id: 5, taken_at: at(30), dhash: 'ffffffffffffffff' },
+    { id: 6, taken_at: null, dhash: '0000000000000000' }
+  ], { maxGapMs: 2000, maxDistance: 4 });
+  assert.deepEqual(stacks.map((st) => st.map((p) => p.id)), [[1, 2, 3]]);
+});
+
+test('bursts from two cameras shooting the same seconds stay apart', () => {
+  const at = (ms) => new Date(Date.UTC(2024, 5, 1, 14, 0, 0, ms));
+  const canon = { camera_make: 'Canon', camera_model: 'EOS R6' };
+  const sony = { camera_make: 'SONY', camera_model: 'ILCE-7M4' };
+  const stacks = groupBursts([
+    { id: 1, taken_at: at(0), dhash: '0000000000000000', ...canon },
+    { id: 2, taken_at: at(300), dhash: 'ffffffffffffffff', ...sony },
+    { id: 3, taken_at: at(600), dhash: '0000000000000001', ...canon },
+    { id: 4, taken_at: at(900), dhash: 'fffffffffffffffe', ...sony },
+    { id: 5, taken_at: at(1200), dhash: '0000000000000003', ...canon },
+    { id: 6, taken_at: at(1500), dhash: 'fffffffffffffffc', ...sony }
+  ], { maxGapMs: 2000, maxDistance: 4 });
+  assert.deepEqual(stacks.map((st) => st.map((p) => p.id)), [[1, 3, 5], [2, 4, 6]]);
+});
+
+test('picking the best frame of a stack rejects the others', async () => {
+  const ev = await pool.query(`INSERT INTO events (name) VALUES ($1) RETURNING id`, [`Stacks_${Date.now()}_${Math.floor(Math.random() * 100000)}`]);
+  const eventId = ev.rows[0].id;
+  const insert = async (takenAt, dhash) => (await pool.query(
+    `INSERT INTO photos (filename, original_name, mime_type, size_bytes, event_id, taken_at, dhash) VALUES ('b.jpg','b.jpg','image/jpeg',1,$1,$2,$3) RETURNING id`,
+    [eventId, takenAt, dhash]
+  )).rows[0].id;
+  const a = await insert('2024-06-01T14:00:00Z', '00000000000000f0');
+  const b = await insert('2024-06-01T14:00:00.400Z', '00000000000000f1');
+  const c = await insert('2024-06-01T14:00:01Z', '00000000000000f3');
+  const alone = await insert('2024-06-01T15:00:00Z', '00000000000000f0');
+
+  const listed = await request(app).get(`/events/${eventId}/stacks`).expect(200);
+  assert.deepEqual(listed.body.stacks, [{ id: a, photo_ids: [a, b, c], cover_photo_id: a, rejected_ids: [] }]);
+
+  const picked = await request(app).post(`/photos/${b}/stack:pick`).expect(200);
+  assert.equal(picked.body.cover_photo_id, b);
+  assert.deepEqual(picked.body.rejected_ids, [a, c]);
+  const after = await request(app).get(`/events/${eventId}/stacks`).expect(200);
+  assert.equal(after.body.stacks[0].cover_photo_id, b);
+
+  await request(app).post(`/photos/${a}/unreject`).expect(200);
+  const flags = await pool.query(`SELECT id, rejected FROM photos WHERE event_id = $1 ORDER BY id`, [eventId]);
+  assert.deepEqual(flags.rows.map((r) => r.rejected), [false, false, true, false]);
+
+  await request(app).post(`/photos/${alone}/stack:pick`).expect(409);
+  await request(app).post('/photos/999999999/stack:pick').expect(404);
+  await request(app).post('/photos/999999999/reject').expect(404);
+  await request(app).post('/photos/abc/unreject').expect(400);
+  await request(app).get('/events/999999999/stacks').expect(404);
+});
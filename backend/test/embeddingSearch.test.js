@@ -0,0 +1,196 @@
+import test, { before } from 'node:test';
+import assert from 'node:assert/strict';
+import request from 'supertest';
+import sharp from 'sharp';
+import { app, dbReady } from '../src/index.js';
+import { hasPgvector, pool, VECTOR_DIMS } from '../src/db.js';
+import { searchFaces, searchGallery, searchGalleryMany, usesPgvector } from '../src/embeddingSearch.js';
+import { checkModelsHealth } from '../src/peopleDetector.js';
+
+before(() => dbReady);
+
+function basis(i, dims = 8) {
+  const v = new Array(dims).fill(0);
+  v[i] = 1;
+  return v;
+}
+
+function blend(a, b, wb) {
+  return a.map((x, i) => x * (1 - wb) + b[i] * wb);
+}
+
+async function createEventFixture() {
+  const ev = await pool.query(`INSERT INTO events (name) VALUES ($1) RETURNING id`, [`Search_${Date.now()}_${Math.floor(Math.random() * 100000)}`]);
+  return ev.rows[0].id;
+}
+
+async function createFace(eventId, embedding) {
+  const p = await pool.query(
+    `INSERT INTO photos (filename, original_name, mime_type, size_bytes, event_id) VALUES ('s.jpg','s.jpg','image/jpeg',1,$1) RETURNING id`,
+    [eventId]
+  );
+  const f = await pool.query(
+    `INSERT INTO faces (photo_id, bbox, face_embedding) VALUES ($1, '{"left":0,"top":0,"width":10,"height":10}', $2) RETURNING id`,
+    [p.rows[0].id, embedding]
+  );
+  return f.rows[0].id;
+}
+
+test('short test vectors never take the pgvector path', () => {
+  assert.equal(usesPgvector(basis(0)), false);
+  assert.equal(usesPgvector(null), false);
+});
+
+test('face search ranks an event\'s faces by cosine similarity', async () => {
+  const eventId = await createEventFixture();
+  const exact = await createFace(eventId, basis(0));
+  const near = await createFace(eventId, blend(basis(0), basis(1), 0.3));
+  const far = await createFace(eventId, basis(1));
+  await createFace(eventId, null);
+  const otherEvent = await createEventFixture();
+  await createFace(otherEvent, basis(0));
+
+  const all = await searchFaces(basis(0), { eventId });
+  assert.deepEqual(all.map((r) => r.face_id), [exact, near, far]);
+  assert.ok(Math.abs(all[0].similarity - 1) < 1e-6);
+
+  const close = await searchFaces(basis(0), { eventId, minSimilarity: 0.5, excludeFaceIds: [exact] });
+  assert.deepEqual(close.map((r) => r.face_id), [near]);
+  const one = await searchFaces(basis(0), { eventId, limit: 1 });
+  assert.equal(one.length, 1);
+});
+
+test('gallery search keeps each person\'s closest entry', async () => {
+  const eventId = await createEventFixture();
+  const tag = async (name, embeddings) => {
+    const t = await pool.query(`INSERT INTO tags (name, event_id) VALUES ($1, $2) RETURNING id`, [name, eventId]);
+    for (const e of embeddings) await pool.query(`INSERT INTO person_embeddings (tag_id, embedding) VALUES ($1, $2)`, [t.rows[0].id, e]);
+    return t.rows[0].id;
+  };
+  const alice = await tag('Alice', [basis(2), basis(0)]);
+  const bob = await tag('Bob', [blend(basis(0), basis(1), 0.5)]);
+  await tag('Carol', [basis(3)]);
+
+  const found = await searchGallery(basis(0), { eventId, minSimilarity: 0.1 });
+  assert.deepEqual(found.map((r) => r.tag_id), [alice, bob]);
+  assert.ok(Math.abs(found[0].similarity - 1) < 1e-6);
+  assert.equal(found[0].tag_name, 'Alice');
+
+  // a batch answers each embedding as searchGallery would
+  const batch = await searchGalleryMany([basis(0), basis(3)], { eventId, limit: 1 });
+  assert.deepEqual(batch.map((r) => r.map((c) => c.tag_name)), [['Alice'], ['Carol']]);
+});
+
+test('similar faces come from the face\'s event unless every event is asked for', async () => {
+  const eventId = await createEventFixture();
+  const probe = await createFace(eventId, basis(4));
+  const near = await createFace(eventId, blend(basis(4), basis(5), 0.2));
+  await createFace(eventId, basis(5));
+  const otherEvent = await createEventFixture();
+  const elsewhere = await createFace(otherEvent, basis(4));
+
+  const local = await request(app).get(`/faces/${probe}/similar?limit=2`).expect(200);
+  assert.equal(local.body.items.length, 2);
+  assert.equal(local.body.items[0].face_id, near);
+  assert.equal(local.body.items[0].crop_url, `/faces/${near}/crop`);
+  assert.ok(local.body.items.every((i) => i.event_id === eventId));
+
+  const global = await request(app).get(`/faces/${probe}/similar?scope=all&limit=500`).expect(200);
+  const hit = global.body.items.find((i) => i.face_id === elsewhere);
+  assert.ok(hit && Math.abs(hit.similarity - 1) < 1e-6);
+
+  const bare = await createFace(eventId, null);
+  await request(app).get(`/faces/${bare}/similar`).expect(409);
+  await request(app).get(`/faces/${probe}/similar?scope=bogus`).expect(400);
+  await request(app).get(`/faces/${probe}/similar?limit=0`).expect(400);
+  await request(app).get(`/faces/abc/similar`).expect(400);
+  await request(app).get(`/faces/999999999/similar`).expect(404);
+});
+
+// The tests above use short vectors, which pgvector never indexes; these run the SQL the
+// HNSW-backed searches use, on full-size embeddings, wherever the extension is installed
+test('with pgvector, an event\'s matches are found however many closer faces other events have', async (t) => {
+  if (!hasPgvector()) return t.skip('pgvector is not installed');
+  const query = basis(0, VECTOR_DIMS);
+  const crowd = await createEventFixture();
+  const p = await pool.query(
+    `INSERT INTO photos (filename, original_name, mime_type, size_bytes, event_id) VALUES ('s.jpg','s.jpg','image/jpeg',1,$1) RETURNING id`,
+    [crowd]
+  );
+  // More faces than ef_search candidates, each closer to the query than anything in the event
+  await pool.query(
+    `INSERT INTO faces (photo_id, bbox, face_embedding)
+     SELECT $1, '{"left":0,"top":0,"width":10,"height":10}',
+            (SELECT array_agg(CASE WHEN d = 0 THEN 1 WHEN d = 1 + g % ($2 - 1) THEN 0.05 ELSE 0 END ORDER BY d) FROM generate_series(0, $2 - 1) d)::real[]
+     FROM generate_series(1, 300) g`,
+    [p.rows[0].id, VECTOR_DIMS]
+  );
+  try {
+    const eventId = await createEventFixture();
+    const near = await createFace(eventId, blend(query, basis(1, VECTOR_DIMS), 0.3));
+    const far = await createFace(eventId, basis(1, VECTOR_DIMS));
+    const found = await searchFaces(query, { eventId, limit: 5 });
+    assert.deepEqual(found.map((r) => r.face_id), [near, far]);
+    assert.ok(found[0].similarity > 0.9 && found[0].similarity < 1);
+    assert.deepEqual((await searchFaces(query, { eventId, minSimilarity: 0.5 })).map((r) => r.face_id), [near]);
+    assert.deepEqual(await searchFaces(query, { eventId, excludeFaceIds: [near, far] }), []);
+
+    // across every event the index answers, nearest first
+    const global = await searchFaces(query, { limit: 10 });
+    assert.equal(global.length, 10);
+    assert.ok(global.every((r, i) => i === 0 || r.similarity <= global[i - 1].similarity));
+    assert.ok(global[0].similarity > 0.99);
+
+    const tag = await pool.query(`INSERT INTO tags (name, event_id) VALUES ('Dana', $1) RETURNING id`, [eventId]);
+    await pool.query(`INSERT INTO person_embeddings (tag_id, embedding) VALUES ($1, $2), ($1, $3)`, [tag.rows[0].id, basis(1, VECTOR_DIMS), query]);
+    const other = await pool.query(`INSERT INTO tags (name, event_id) VALUES ('Eli', $1) RETURNING id`, [eventId]);
+    await pool.query(`INSERT INTO person_embeddings (tag_id, embedding) VALUES ($1, $2)`, [other.rows[0].id, basis(2, VECTOR_DIMS)]);
+    const crowdTag = await pool.query(`INSERT INTO tags (name, event_id) VALUES ('Crowd', $1) RETURNING id`, [crowd]);
+    await pool.query(`INSERT INTO person_embeddings (tag_id, embedding) VALUES ($1, $2)`, [crowdTag.rows[0].id, query]);
+    const [people, none] = await searchGalleryMany([query, basis(3, VECTOR_DIMS)], { eventId, minSimilarity: 0.5 });
+    assert.deepEqual(people.map((r) => [r.tag_name, Math.round(r.similarity * 1000) / 1000]), [['Dana', 1]]);
+    assert.deepEqual(none, []);
+    const ranked = await searchGallery(query, { eventId });
+    assert.deepEqual(ranked.map((r) => r.tag_name), ['Dana', 'Eli']);
+  } finally {
+    await pool.query(`DELETE FROM events WHERE id = $1`, [crowd]);
+  }
+});
+
+test('photos can be listed by id within the current event', async () => {
+  const settings = await request(app).get('/settings').expect(200);
+  const mine = await createFace(settings.body.current_event_id, null);
+  const photo = await pool.query(`SELECT photo_id FROM faces WHERE id = $1`, [mine]);
+  const otherEvent = await createEventFixture();
+  const other = await createFace(otherEvent, null);
+  const otherPhoto = await pool.query(`SELECT photo_id FROM faces WHERE id = $1`, [other]);
+
+  const resp = await request(app).get(`/photos?ids=${photo.rows[0].photo_id},${otherPhoto.rows[0].photo_id}`).expect(200);
+  assert.deepEqual(resp.body.items.map((p) => p.id), [photo.rows[0].photo_id]);
+  await request(app).get('/photos?ids=abc').expect(400);
+});
+
+test('selfie search validates the upload before running any model', async () => {
+  await request(app).post('/search/by-face').expect(400);
+  await request(app).post('/search/by-face').attach('photo', Buffer.from('not an image'), 'selfie.jpg').expect(415);
+  const png = await sharp({ create: { width: 32, height: 32, channels: 3, background: { r: 120, g: 90, b: 70 } } }).png().toBuffer();
+  const bad = await request(app).post('/search/by-face').field('min_similarity', '2').attach('photo', png, 'selfie.png').expect(400);
+  assert.equal(bad.body.error, 'min_similarity must be between 0 and 1');
+
+  // A plain colour square has no face; without the detector model the search cannot run at all
+  const health = await checkModelsHealth();
+  await request(app).post('/search/by-face').attach('photo', png, 'selfie.png').expect(health.ok ? 422 : 503);
+});
+
+// Runs last: it uses up this client's allowance for the rest of the window
+test('selfie search is rate limited per client', async () => {
+  let limited;
+  for (let i = 0; i < 20 && !limited; i++) {
+    const resp = await request(app).post('/search/by-face');
+    if (resp.status === 429) limited = resp;
+    else assert.equal(resp.status, 400);
+  }
+  assert.ok(limited, 'expected a 429 within 20 searches');
+  assert.equal(limited.body.code, 'RATE_LIMIT');
+  assert.ok(limited.body.retry_after > 0);
+});
@@ -4,8 +4,11 @@ import request from 'supertest';
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import sharp from 'sharp';
 import { app } from '../src/index.js';
-import { pool } from '../src/db.js';
+import { pool, withTransaction } from '../src/db.js';
+import { replaceDetectedFaces } from '../src/gallery.js';
+import { cropRegion, faceCropsDir } from '../src/faceCrops.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -73,3 +76,154 @@ if (process.env.TEST_PHOTO_ID) {
     });
   }
 }
+
+test('re-detection replaces the previous face rows instead of adding to them', async () => {
+  const photoId = await createPhotoFixture();
+  const tag = await pool.query(`INSERT INTO tags (name, event_id) SELECT $1, event_id FROM photos WHERE id = $2 RETURNING id`, [`Redetect_${Date.now()}`, photoId]);
+  const f = await pool.query(
+    `INSERT INTO faces (photo_id, bbox, face_embedding, recognized_tag_id, assignment_source)
+     VALUES ($1, '{"left":0,"top":0,"width":10,"height":10}', ARRAY[1,0]::real[], $2, 'manual') RETURNING id`,
+    [photoId, tag.rows[0].id]
+  );
+  await pool.query(`INSERT INTO person_embeddings (tag_id, embedding, source_face_id) VALUES ($1, ARRAY[1,0]::real[], $2)`, [tag.rows[0].id, f.rows[0].id]);
+
+  const first = await request(app).post(`/photos/${photoId}/faces:detect`).expect(200);
+  const second = await request(app).post(`/photos/${photoId}/faces:detect`).expect(200);
+  assert.equal(second.body.count, first.body.count);
+  const list = await request(app).get(`/photos/${photoId}/faces`).expect(200);
+  assert.equal(list.body.length, second.body.count);
+  assert.ok(list.body.every((face) => face.detector_version === second.body.detector_version));
+  // the placeholder image yields no boxes, so the manual assignment has nothing to carry over to
+  if (first.body.count === 0) {
+    assert.equal(first.body.dropped_assignments, 1);
+    const gallery = await pool.query(`SELECT COUNT(*)::int AS n FROM person_embeddings WHERE tag_id = $1`, [tag.rows[0].id]);
+    assert.equal(gallery.rows[0].n, 0);
+  }
+});
+
+test('re-detection moves a manual assignment to the overlapping new box only', async () => {
+  const photoId = await createPhotoFixture();
+  const name = `Carry_${Date.now()}`;
+  const tag = await pool.query(`INSERT INTO tags (name, event_id) SELECT $1, event_id FROM photos WHERE id = $2 RETURNING id`, [name, photoId]);
+  const assignedFace = async (bbox) => {
+    const f = await pool.query(`INSERT INTO faces (photo_id, bbox) VALUES ($1, $2) RETURNING id`, [photoId, JSON.stringify(bbox)]);
+    await request(app).put(`/faces/${f.rows[0].id}/tag`).send({ tag: name }).expect(200);
+    return f.rows[0].id;
+  };
+  await assignedFace({ left: 0, top: 0, width: 100, height: 100 });
+  await assignedFace({ left: 300, top: 0, width: 100, height: 100 });
+
+  // One new box overlaps the first face well (IoU ~0.82); the other barely touches the second (IoU ~0.18)
+  const boxes = [{ left: 10, top: 0, width: 100, height: 100 }, { left: 370, top: 0, width: 100, height: 100 }];
+  const result = await withTransaction((client) =>
+    replaceDetectedFaces(photoId, boxes.map((box) => ({ box, embedding: null })), { detectorVersion: 'test', minIou: 0.5 }, client)
+  );
+  assert.equal(result.preserved, 1);
+  assert.equal(result.dropped, 1);
+  const [moved, missed] = result.items;
+  assert.equal(moved.recognized_tag_id, tag.rows[0].id);
+  assert.equal(moved.assignment_source, 'manual');
+  assert.equal(missed.recognized_tag_id, null);
+  const list = await request(app).get(`/photos/${photoId}/faces`).expect(200);
+  assert.deepEqual(list.body.map((f) => [f.bbox.left, f.recognized_tag_id]), [[10, tag.rows[0].id], [370, null]]);
+});
+
+test('face boxes can be added, moved and removed by hand', async () => {
+  const photoId = await createPhotoFixture();
+  await pool.query(`UPDATE photos SET width = 200, height = 100 WHERE id = $1`, [photoId]);
+
+  const added = await request(app).post(`/photos/${photoId}/faces`).send({ bbox: { left: 10, top: 10, width: 40, height: 40 } }).expect(201);
+  assert.equal(added.body.box_source, 'manual');
+  assert.deepEqual(added.body.bbox, { left: 10, top: 10, width: 40, height: 40 });
+
+  // boxes are clamped to the photo
+  const moved = await request(app).patch(`/faces/${added.body.id}`).send({ bbox: { left: 180, top: -5, width: 40, height: 40 } }).expect(200);
+  assert.deepEqual(moved.body.bbox, { left: 180, top: 0, width: 20, height: 35 });
+
+  // an edited box keeps its manual assignment and re-enrolls it
+  const assigned = await request(app).put(`/faces/${added.body.id}/tag`).send({ tag: `Boxed_${Date.now()}` }).expect(200);
+  const resized = await request(app).patch(`/faces/${added.body.id}`).send({ bbox: { left: 100, top: 20, width: 50, height: 50 } }).expect(200);
+  assert.equal(resized.body.recognized_tag_id, assigned.body.recognized_tag_id);
+  assert.equal(resized.body.assignment_source, 'manual');
+
+  await request(app).post(`/photos/${photoId}/faces`).send({ bbox: { left: 0, top: 0, width: 0, height: 10 } }).expect(400);
+  await request(app).post(`/photos/${photoId}/faces`).send({ bbox: { left: 500, top: 0, width: 10, height: 10 } }).expect(400);
+  await request(app).post(`/photos/${photoId}/faces`).send({}).expect(400);
+  await request(app).post(`/photos/999999/faces`).send({ bbox: { left: 0, top: 0, width: 10, height: 10 } }).expect(404);
+  await request(app).patch(`/faces/abc`).send({ bbox: { left: 0, top: 0, width: 10, height: 10 } }).expect(400);
+  await request(app).patch(`/faces/999999999`).send({ bbox: { left: 0, top: 0, width: 10, height: 10 } }).expect(404);
+
+  await request(app).delete(`/faces/${added.body.id}`).expect(200);
+  await request(app).delete(`/faces/${added.body.id}`).expect(404);
+  const list = await request(app).get(`/photos/${photoId}/faces`).expect(200);
+  assert.deepEqual(list.body, []);
+});
+
+test('deleting a hand-assigned face takes its person off the photo once no other face there has them', async () => {
+  const photoId = await createPhotoFixture();
+  const face = async () => (await pool.query(
+    `INSERT INTO faces (photo_id, bbox, face_embedding) VALUES ($1, '{"left":0,"top":0,"width":10,"height":10}', $2) RETURNING id`,
+    [photoId, [1, 0, 0, 0]]
+  )).rows[0].id;
+  const [first, second] = [await face(), await face()];
+  const name = `Deleted_${Date.now()}`;
+  const assigned = await request(app).put(`/faces/${first}/tag`).send({ tag: name }).expect(200);
+  const tagId = assigned.body.recognized_tag_id;
+  await request(app).put(`/faces/${second}/tag`).send({ tag: name }).expect(200);
+  const tagged = async () => (await pool.query(`SELECT 1 FROM photo_tags WHERE photo_id = $1 AND tag_id = $2`, [photoId, tagId])).rowCount;
+  const enrolled = async () => (await pool.query(`SELECT source_face_id FROM person_embeddings WHERE tag_id = $1 ORDER BY source_face_id`, [tagId])).rows.map((r) => r.source_face_id);
+
+  await request(app).delete(`/faces/${first}`).expect(200);
+  assert.equal(await tagged(), 1);
+  assert.deepEqual(await enrolled(), [second]);
+  await request(app).delete(`/faces/${second}`).expect(200);
+  assert.equal(await tagged(), 0);
+  assert.deepEqual(await enrolled(), []);
+});
+
+test('re-detection keeps boxes drawn by hand', async () => {
+  const photoId = await createPhotoFixture();
+  const drawn = await request(app).post(`/photos/${photoId}/faces`).send({ bbox: { left: 1, top: 1, width: 20, height: 20 } }).expect(201);
+  await pool.query(`INSERT INTO faces (photo_id, bbox) VALUES ($1, '{"left":30,"top":30,"width":10,"height":10}')`, [photoId]);
+
+  const resp = await request(app).post(`/photos/${photoId}/faces:detect`).expect(200);
+  assert.equal(resp.body.kept_manual_boxes, 1);
+  const list = await request(app).get(`/photos/${photoId}/faces`).expect(200);
+  assert.ok(list.body.some((f) => f.id === drawn.body.id));
+  assert.equal(list.body.length, resp.body.count + 1);
+});
+
+test('crop regions are padded squares clamped to the image', () => {
+  assert.deepEqual(cropRegion({ left: 40, top: 40, width: 20, height: 20 }, 200, 100), { left: 35, top: 35, width: 30, height: 30 });
+  assert.deepEqual(cropRegion({ left: 0, top: 0, width: 20, height: 10 }, 200, 100), { left: 0, top: 0, width: 25, height: 20 });
+  assert.equal(cropRegion({ left: 300, top: 0, width: 10, height: 10 }, 200, 100), null);
+});
+
+test('face crops are cut when boxes are added, served per face and removed with the photo', async () => {
+  const file = `crop_${Date.now()}.png`;
+  await sharp({ create: { width: 200, height: 100, channels: 3, background: { r: 10, g: 120, b: 200 } } }).png().toFile(path.join(__dirname, '..', 'uploads', file));
+  const ev = await pool.query(`SELECT id FROM events WHERE LOWER(name)=LOWER('Default') LIMIT 1`);
+  const p = await pool.query(
+    `INSERT INTO photos (filename, original_name, mime_type, size_bytes, event_id, width, height) VALUES ($1, $1, 'image/png', 1, $2, 200, 100) RETURNING id`,
+    [file, ev.rows[0].id]
+  );
+  const photoId = p.rows[0].id;
+  const added = await request(app).post(`/photos/${photoId}/faces`).send({ bbox: { left: 20, top: 20, width: 40, height: 40 } }).expect(201);
+  const cropFile = path.join(faceCropsDir, `face_${added.body.id}.jpg`);
+  assert.ok(fs.existsSync(cropFile));
+
+  const crop = await request(app).get(`/faces/${added.body.id}/crop`).expect(200);
+  assert.equal(crop.headers['content-type'], 'image/jpeg');
+  const meta = await sharp(crop.body).metadata();
+  assert.equal(meta.width, meta.height);
+
+  // a crop lost from the cache is cut again on request
+  fs.unlinkSync(cropFile);
+  await request(app).get(`/faces/${added.body.id}/crop`).expect(200);
+  assert.ok(fs.existsSync(cropFile));
+
+  await request(app).delete('/photos').send({ ids: [photoId] }).expect(200);
+  assert.equal(fs.existsSync(cropFile), false);
+  await request(app).get(`/faces/${added.body.id}/crop`).expect(404);
+  await request(app).get(`/faces/abc/crop`).expect(400);
+});
@@ -0,0 +1,43 @@
+import fs from 'fs';
+import path from 'path';
+import sharp from 'sharp';
+import { fileURLToPath } from 'url';
+
+// Images for upload tests. Uploads are deduplicated by content hash per event, so a fixture
+// whose bytes an earlier run already left in the database would be answered 200 as a
+// duplicate. Each image here carries a stamp of its own (the clock, this process and a
+// counter, one bit per black or white pixel from the top-left corner) on a flat background.
+
+let counter = 0;
+
+function stampBits() {
+  counter += 1;
+  const bits = [];
+  const push = (value, width) => {
+    for (let i = width - 1; i >= 0; i--) bits.push(Math.floor(value / 2 ** i) % 2);
+  };
+  push(Date.now(), 44);
+  push(process.pid % 2 ** 22, 22);
+  push(counter % 2 ** 12, 12);
+  return bits;
+}
+
+// A sharp pipeline for a width x height RGB image (at least 78 pixels), ready for .jpeg() or .png()
+export function uniqueImage(width, height, { background = { r: 120, g: 90, b: 70 } } = {}) {
+  const data = Buffer.alloc(width * height * 3);
+  for (let i = 0; i < width * height; i++) data.set([background.r, background.g, background.b], i * 3);
+  stampBits().forEach((bit, i) => data.fill(bit ? 255 : 0, i * 3, i * 3 + 3));
+  return sharp(data, { raw: { width, height, channels: 3 } });
+}
+
+const imagesDir = path.join(path.dirname(fileURLToPath(import.meta.url)), 'images');
+
+// A real 96x64 HEVC-coded HEIC (a red/green gradient on blue, encoded with libheif and kvazaar).
+// The stamp goes in a 'free' box after the image, which HEIF readers skip.
+export function uniqueHeic() {
+  const stamp = Buffer.from(stampBits().join(''), 'latin1');
+  const box = Buffer.alloc(8);
+  box.writeUInt32BE(8 + stamp.length, 0);
+  box.write('free', 4, 'latin1');
+  return Buffer.concat([fs.readFileSync(path.join(imagesDir, 'gradient_96x64.heic')), box, stamp]);
+}
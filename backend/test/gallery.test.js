@@ -0,0 +1,233 @@
+import test, { before } from 'node:test';
+import assert from 'node:assert/strict';
+import request from 'supertest';
+import { app, dbReady } from '../src/index.js';
+import { pool } from '../src/db.js';
+
+before(() => dbReady);
+
+function basis(i, dims = 8) {
+  const v = new Array(dims).fill(0);
+  v[i] = 1;
+  return v;
+}
+
+function uniqueName(prefix) {
+  return `${prefix}_${Date.now()}_${Math.floor(Math.random() * 100000)}`;
+}
+
+async function createEventFixture() {
+  const ev = await pool.query(`INSERT INTO events (name) VALUES ($1) RETURNING id`, [uniqueName('Gallery')]);
+  return ev.rows[0].id;
+}
+
+async function createPhoto(eventId) {
+  const p = await pool.query(
+    `INSERT INTO photos (filename, original_name, mime_type, size_bytes, event_id) VALUES ('g.jpg','g.jpg','image/jpeg',1,$1) RETURNING id`,
+    [eventId]
+  );
+  return p.rows[0].id;
+}
+
+async function createFace(photoId, embedding) {
+  const f = await pool.query(
+    `INSERT INTO faces (photo_id, bbox, face_embedding) VALUES ($1, $2, $3) RETURNING id`,
+    [photoId, JSON.stringify({ left: 0, top: 0, width: 100, height: 100 }), embedding]
+  );
+  return f.rows[0].id;
+}
+
+async function galleryFor(tagId) {
+  const { rows } = await pool.query(`SELECT source_face_id, embedding FROM person_embeddings WHERE tag_id = $1 ORDER BY id`, [tagId]);
+  return rows;
+}
+
+test('tagging a single-face photo enrolls that face', async () => {
+  const eventId = await createEventFixture();
+  const single = await createPhoto(eventId);
+  const faceId = await createFace(single, basis(0));
+  const group = await createPhoto(eventId);
+  const a = await createFace(group, basis(1));
+  await createFace(group, basis(2));
+  const name = uniqueName('Alice');
+
+  await request(app).post(`/photos/${single}/tags`).send({ tag: name }).expect(200);
+  await request(app).post(`/photos/${group}/tags`).send({ tag: name }).expect(200);
+  const face = (await pool.query(`SELECT recognized_tag_id, assignment_source FROM faces WHERE id = $1`, [faceId])).rows[0];
+  assert.equal(face.assignment_source, 'manual');
+  const gallery = await galleryFor(face.recognized_tag_id);
+  assert.deepEqual(gallery.map((g) => g.source_face_id), [faceId]);
+  const other = (await pool.query(`SELECT assignment_source FROM faces WHERE id = $1`, [a])).rows[0];
+  assert.equal(other.assignment_source, null);
+
+  // removing the tag withdraws the enrollment
+  await request(app).delete(`/photos/${single}/tags`).send({ tag: name }).expect(200);
+  assert.deepEqual(await galleryFor(face.recognized_tag_id), []);
+  const cleared = (await pool.query(`SELECT recognized_tag_id, assignment_source FROM faces WHERE id = $1`, [faceId])).rows[0];
+  assert.deepEqual(cleared, { recognized_tag_id: null, assignment_source: null });
+});
+
+test('assigning a face box moves its enrollment between people', async () => {
+  const eventId = await createEventFixture();
+  const photoId = await createPhoto(eventId);
+  const faceId = await createFace(photoId, basis(3));
+
+  const first = await request(app).put(`/faces/${faceId}/tag`).send({ tag: 'Bob' }).expect(200);
+  assert.equal(first.body.assignment_source, 'manual');
+  assert.equal(first.body.recognized_tag_name, 'Bob');
+  assert.equal(first.body.enrolled, true);
+  const second = await request(app).put(`/faces/${faceId}/tag`).send({ tag: 'Carol' }).expect(200);
+  assert.deepEqual(await galleryFor(first.body.recognized_tag_id), []);
+  assert.equal((await galleryFor(second.body.recognized_tag_id)).length, 1);
+  const tag = await pool.query(`SELECT event_id FROM tags WHERE id = $1`, [second.body.recognized_tag_id]);
+  assert.equal(tag.rows[0].event_id, eventId);
+
+  const cleared = await request(app).put(`/faces/${faceId}/tag`).send({ tag: null }).expect(200);
+  assert.equal(cleared.body.recognized_tag_id, null);
+  assert.deepEqual(await galleryFor(second.body.recognized_tag_id), []);
+
+  await request(app).put(`/faces/${faceId}/tag`).send({ tag: '  ' }).expect(400);
+  await request(app).put(`/faces/abc/tag`).send({ tag: 'Bob' }).expect(400);
+  await request(app).put(`/faces/999999/tag`).send({ tag: 'Bob' }).expect(404);
+});
+
+test('recognition leaves manual assignments alone', async () => {
+  const eventId = await createEventFixture();
+  const photoId = await createPhoto(eventId);
+  const enrolled = await createFace(photoId, basis(0));
+  const assigned = await request(app).put(`/faces/${enrolled}/tag`).send({ tag: 'Dana' }).expect(200);
+  const other = await createPhoto(eventId);
+  const probe = await createFace(other, basis(0));
+  const manual = await createFace(other, basis(0));
+  await request(app).put(`/faces/${manual}/tag`).send({ tag: 'Eve' }).expect(200);
+
+  const resp = await request(app).post(`/photos/${other}/faces:recognize`).send({ threshold: 0.5 }).expect(200);
+  const byId = Object.fromEntries(resp.body.items.map((i) => [i.face_id, i]));
+  assert.equal(byId[probe].recognized_tag_id, assigned.body.recognized_tag_id);
+  assert.equal(byId[probe].assignment_source, 'auto');
+  assert.equal(byId[manual].assignment_source, 'manual');
+  const stored = await pool.query(`SELECT t.name FROM faces f JOIN tags t ON t.id = f.recognized_tag_id WHERE f.id = $1`, [manual]);
+  assert.equal(stored.rows[0].name, 'Eve');
+});
+
+test('rebuild regenerates the event gallery from manual assignments', async () => {
+  const eventId = await createEventFixture();
+  const p1 = await createPhoto(eventId);
+  const p2 = await createPhoto(eventId);
+  const f1 = await createFace(p1, basis(0));
+  const f2 = await createFace(p2, basis(1));
+  const bare = await createFace(p2, null);
+  const r1 = await request(app).put(`/faces/${f1}/tag`).send({ tag: 'Frank' }).expect(200);
+  await request(app).put(`/faces/${f2}/tag`).send({ tag: 'Frank' }).expect(200);
+  await request(app).put(`/faces/${bare}/tag`).send({ tag: 'Gina' }).expect(200);
+  const frank = r1.body.recognized_tag_id;
+
+  // simulate a stale gallery: a drifted embedding and a lost row
+  await pool.query(`UPDATE person_embeddings SET embedding = $1 WHERE source_face_id = $2`, [basis(7), f1]);
+  await pool.query(`DELETE FROM person_embeddings WHERE source_face_id = $1`, [f2]);
+
+  const resp = await request(app).post(`/events/${eventId}/gallery:rebuild`).expect(200);
+  assert.deepEqual(resp.body, { enrolled: 2, tags: 1, skipped: 1 });
+  const gallery = await galleryFor(frank);
+  assert.deepEqual(gallery.map((g) => g.source_face_id).sort(), [f1, f2].sort());
+  assert.deepEqual(gallery.find((g) => g.source_face_id === f1).embedding, basis(0));
+
+  await request(app).post(`/events/abc/gallery:rebuild`).expect(400);
+  await request(app).post(`/events/999999/gallery:rebuild`).expect(404);
+});
+
+test('merging tags carries face assignments and gallery entries over', async () => {
+  const settings = await request(app).get('/settings').expect(200);
+  const eventId = settings.body.current_event_id;
+  const from = uniqueName('Hank');
+  const to = uniqueName('Henry');
+  const p1 = await createPhoto(eventId);
+  const p2 = await createPhoto(eventId);
+  const f1 = await createFace(p1, basis(4));
+  const f2 = await createFace(p2, basis(5));
+  await request(app).post(`/photos/${p1}/tags`).send({ tag: from }).expect(200);
+  await request(app).post(`/photos/${p2}/tags`).send({ tag: to }).expect(200);
+
+  await request(app).put(`/tags/${from}`).send({ newName: to }).expect(200);
+  const faces = await pool.query(`SELECT DISTINCT recognized_tag_id FROM faces WHERE id = ANY($1::int[])`, [[f1, f2]]);
+  assert.equal(faces.rows.length, 1);
+  const gallery = await galleryFor(faces.rows[0].recognized_tag_id);
+  assert.deepEqual(gallery.map((g) => g.source_face_id).sort(), [f1, f2].sort());
+});
+
+test('assigning a face tags the photo and unassigning untags it once no face carries the person', async () => {
+  const eventId = await createEventFixture();
+  const photoId = await createPhoto(eventId);
+  const f1 = await createFace(photoId, basis(0));
+  const f2 = await createFace(photoId, basis(1));
+  const name = uniqueName('Ivy');
+
+  const first = await request(app).put(`/faces/${f1}/tag`).send({ tag: name }).expect(200);
+  assert.deepEqual(first.body.photo_tags, [name]);
+  await request(app).put(`/faces/${f2}/tag`).send({ tag: name }).expect(200);
+
+  // another face still shows the person, so the tag stays
+  const cleared = await request(app).put(`/faces/${f1}/tag`).send({ tag: null }).expect(200);
+  assert.deepEqual(cleared.body.photo_tags, [name]);
+  const other = uniqueName('Jack');
+  const moved = await request(app).put(`/faces/${f2}/tag`).send({ tag: other }).expect(200);
+  assert.deepEqual(moved.body.photo_tags, [other]);
+
+  const list = await request(app).get(`/photos/${photoId}/faces`).expect(200);
+  assert.equal(list.body.find((f) => f.id === f2).recognized_tag_name, other);
+});
+
+test('"not this person" clears the assignment and records a negative example', async () => {
+  const eventId = await createEventFixture();
+  const photoId = await createPhoto(eventId);
+  const faceId = await createFace(photoId, basis(0));
+  const name = uniqueName('Kim');
+  const assigned = await request(app).put(`/faces/${faceId}/tag`).send({ tag: name }).expect(200);
+  const tagId = assigned.body.recognized_tag_id;
+
+  const rejected = await request(app).post(`/faces/${faceId}/rejections`).expect(201);
+  assert.equal(rejected.body.recognized_tag_id, null);
+  assert.equal(rejected.body.rejected_tag_id, tagId);
+  assert.deepEqual(rejected.body.photo_tags, []);
+  assert.deepEqual(await galleryFor(tagId), []);
+  // repeating it is harmless
+  await request(app).post(`/faces/${faceId}/rejections`).send({ tag_id: tagId }).expect(201);
+  const stored = await pool.query(`SELECT tag_id FROM face_rejections WHERE face_id = $1`, [faceId]);
+  assert.deepEqual(stored.rows, [{ tag_id: tagId }]);
+
+  await request(app).post(`/faces/${faceId}/rejections`).expect(400);
+  await request(app).post(`/faces/${faceId}/rejections`).send({ tag_id: 999999999 }).expect(404);
+  await request(app).post(`/faces/abc/rejections`).expect(400);
+  await request(app).post(`/faces/999999999/rejections`).send({ tag_id: tagId }).expect(404);
+});
+
+test('tagging all recognized people adds the confident matches of every selected photo at once', async () => {
+  const settings = await request(app).get('/settings').expect(200);
+  const eventId = settings.body.current_event_id;
+  const tagId = async (name) => (await pool.query(`INSERT INTO tags (name, event_id) VALUES ($1, $2) RETURNING id`, [name, eventId])).rows[0].id;
+  const [sure, unsure, manual] = [uniqueName('Lea'), uniqueName('Max'), uniqueName('Nia')];
+  const [sureId, unsureId, manualId] = [await tagId(sure), await tagId(unsure), await tagId(manual)];
+  const group = await createPhoto(eventId);
+  const solo = await createPhoto(eventId);
+  const elsewhere = await createPhoto(await createEventFixture());
+  const recognize = (faceId, tag, source, score) => pool.query(
+    `UPDATE faces SET recognized_tag_id = $2, assignment_source = $3, fused_score = $4 WHERE id = $1`,
+    [faceId, tag, source, score]
+  );
+  await recognize(await createFace(group, basis(0)), sureId, 'auto', 0.99);
+  await recognize(await createFace(group, basis(1)), unsureId, 'auto', 0.01);
+  await recognize(await createFace(solo, basis(2)), manualId, 'manual', null);
+  await recognize(await createFace(elsewhere, basis(3)), sureId, 'auto', 0.99);
+
+  const resp = await request(app).post('/photos/recognized-tags:apply').send({ photo_ids: [group, solo, elsewhere] }).expect(200);
+  assert.equal(resp.body.added_count, 2);
+  assert.deepEqual(resp.body.items, [
+    { photo_id: group, added: [sure], tags: [sure] },
+    { photo_id: solo, added: [manual], tags: [manual] }
+  ]);
+  const again = await request(app).post('/photos/recognized-tags:apply').send({ photo_ids: [group] }).expect(200);
+  assert.deepEqual(again.body.items, [{ photo_id: group, added: [], tags: [sure] }]);
+
+  await request(app).post('/photos/recognized-tags:apply').send({ photo_ids: [] }).expect(400);
+  await request(app).post('/photos/recognized-tags:apply').send({ photo_ids: ['x'] }).expect(400);
+});
@@ -0,0 +1,100 @@
+import test, { before } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import request from 'supertest';
+import sharp from 'sharp';
+import { fileURLToPath } from 'url';
+import { app, dbReady } from '../src/index.js';
+import { findEmbeddedJpegs, imageKind } from '../src/imageFormats.js';
+import { uniqueHeic, uniqueImage } from './fixtures.js';
+
+before(() => dbReady);
+
+const uploadsDir = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'uploads');
+
+function jpeg(width, height) {
+  return uniqueImage(width, height).jpeg().toBuffer();
+}
+
+// Stand-in for a camera RAW: a TIFF header, a small thumbnail, lossless-coded sensor data
+// (which can't be displayed) and the full-size preview, as NEF and CR2 lay them out
+async function fakeRaw() {
+  const thumb = await jpeg(16, 12);
+  const preview = await jpeg(64, 48);
+  const sensor = Buffer.from([0xff, 0xd8, 0xff, 0xc3, 0x00, 0x0b, 0x0c, 0x00, 0x30, 0x00, 0x40, 0x01, 0x01, 0x11, 0x00, 0x12, 0x34, 0xff, 0xd9]);
+  const tiff = Buffer.from([0x49, 0x49, 0x2a, 0x00, 0x08, 0x00, 0x00, 0x00]);
+  return { raw: Buffer.concat([tiff, thumb, Buffer.alloc(32), sensor, Buffer.alloc(32), preview]), preview };
+}
+
+test('RAW and HEIF uploads are told apart by extension or file signature', () => {
+  assert.equal(imageKind('DSC_0001.NEF'), 'raw');
+  assert.equal(imageKind('IMG_0001.cr2'), 'raw');
+  assert.equal(imageKind('IMG_0001.HEIC'), 'heif');
+  assert.equal(imageKind('photo', Buffer.from('\0\0\0\x18ftypheic\0\0\0\0', 'latin1')), 'heif');
+  assert.equal(imageKind('photo', Buffer.from('\0\0\0\x18ftypcrx \0\0\0\0', 'latin1')), 'raw');
+  assert.equal(imageKind('photo', Buffer.from('\0\0\0\x1cftypavif\0\0\0\0', 'latin1')), null);
+  assert.equal(imageKind('photo.jpg', Buffer.from([0xff, 0xd8, 0xff, 0xe0])), null);
+});
+
+test('embedded JPEG previews are found largest first, skipping lossless sensor data', async () => {
+  const { raw, preview } = await fakeRaw();
+  const found = findEmbeddedJpegs(raw);
+  assert.equal(found.length, 2);
+  assert.ok(found[0].equals(preview));
+  assert.equal((await sharp(found[1]).metadata()).width, 16);
+});
+
+test('RAW uploads keep the original and take previews from the embedded JPEG', async () => {
+  const { raw } = await fakeRaw();
+  const resp = await request(app).post('/photos').attach('photo', raw, 'DSC_0001.NEF').expect(201);
+  assert.match(resp.body.filename, /\.NEF$/);
+  assert.match(resp.body.render_filename, /_render\.jpg$/);
+  assert.equal(resp.body.width, 64);
+  assert.equal(resp.body.height, 48);
+  assert.ok(resp.body.dhash);
+  assert.ok(fs.readFileSync(path.join(uploadsDir, resp.body.filename)).equals(raw));
+  const preview = await sharp(path.join(uploadsDir, resp.body.preview_filename)).metadata();
+  assert.equal(preview.format, 'jpeg');
+  assert.ok(fs.existsSync(path.join(uploadsDir, resp.body.thumb_filename)));
+  await request(app).delete('/photos').send({ ids: [resp.body.id] }).expect(200);
+  assert.ok(!fs.existsSync(path.join(uploadsDir, resp.body.render_filename)));
+});
+
+test('HEIC uploads keep the original and take previews from the decoded image', async () => {
+  const heic = uniqueHeic();
+  const resp = await request(app).post('/photos').attach('photo', heic, 'IMG_0004.HEIC').expect(201);
+  assert.match(resp.body.filename, /\.HEIC$/);
+  assert.match(resp.body.render_filename, /_render\.jpg$/);
+  assert.equal(resp.body.width, 96);
+  assert.equal(resp.body.height, 64);
+  assert.ok(resp.body.dhash);
+  assert.ok(fs.readFileSync(path.join(uploadsDir, resp.body.filename)).equals(heic));
+  const render = sharp(path.join(uploadsDir, resp.body.render_filename));
+  const { data, info } = await render.raw().toBuffer({ resolveWithObject: true });
+  assert.equal(info.width, 96);
+  assert.equal(info.height, 64);
+  // Top-left of the gradient is about rgb(40, 60, 140)
+  assert.ok(Math.abs(data[0] - 40) < 16 && Math.abs(data[1] - 60) < 16 && Math.abs(data[2] - 140) < 16);
+  const preview = await sharp(path.join(uploadsDir, resp.body.preview_filename)).metadata();
+  assert.equal(preview.format, 'jpeg');
+  assert.equal(preview.width, 1600);
+  assert.equal(preview.height, 1067);
+  const thumb = await sharp(path.join(uploadsDir, resp.body.thumb_filename)).metadata();
+  assert.equal(thumb.width, 256);
+  assert.equal(thumb.height, 256);
+  await request(app).delete('/photos').send({ ids: [resp.body.id] }).expect(200);
+  assert.ok(!fs.existsSync(path.join(uploadsDir, resp.body.render_filename)));
+});
+
+test('unreadable uploads get a per-file error', async () => {
+  const noPreview = Buffer.concat([Buffer.from([0x49, 0x49, 0x2a, 0x00]), Buffer.from('0123456789'.repeat(20))]);
+  const raw = await request(app).post('/photos').attach('photo', noPreview, 'IMG_0002.CR2').expect(422);
+  assert.equal(raw.body.code, 'NO_RAW_PREVIEW');
+  assert.equal(raw.body.file, 'IMG_0002.CR2');
+  const heic = await request(app).post('/photos').attach('photo', Buffer.from('\0\0\0\x18ftypheic not really', 'latin1'), 'IMG_0003.HEIC').expect(415);
+  assert.equal(heic.body.code, 'UNREADABLE_HEIF');
+  const junk = await request(app).post('/photos').attach('photo', Buffer.from('not an image'), 'broken.jpg').expect(415);
+  assert.equal(junk.body.code, 'UNSUPPORTED_FORMAT');
+  assert.match(junk.body.error, /unsupported or corrupt/i);
+});
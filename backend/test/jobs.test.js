@@ -0,0 +1,174 @@
+import test, { before } from 'node:test';
+import assert from 'node:assert/strict';
+import request from 'supertest';
+import sharp from 'sharp';
+import { app, dbReady } from '../src/index.js';
+import { pool } from '../src/db.js';
+import { enqueueJob, getJob, processNextJob, registerJobHandler, retryDelayMs } from '../src/jobs.js';
+import { uniqueImage } from './fixtures.js';
+
+before(() => dbReady);
+
+// Kinds are unique per run so rows left by earlier runs never get claimed here
+const suffix = `${Date.now()}_${Math.floor(Math.random() * 100000)}`;
+
+// Run queued jobs of a kind until the given job has left the queue
+async function drain(kind, jobId) {
+  for (let i = 0; i < 50; i++) {
+    const job = await getJob(jobId);
+    if (job.status !== 'queued') return job;
+    await processNextJob(kind);
+  }
+  throw new Error(`job ${jobId} never ran`);
+}
+
+test('a job runs once and stores its result', async () => {
+  const kind = `test_ok_${suffix}`;
+  const seen = [];
+  registerJobHandler(kind, async (payload) => { seen.push(payload.n); return { doubled: payload.n * 2 }; });
+  const job = await enqueueJob(kind, { n: 21 });
+  assert.equal(job.status, 'queued');
+  const done = await processNextJob(kind);
+  assert.equal(done.id, job.id);
+  assert.equal(done.status, 'succeeded');
+  assert.equal(done.attempts, 1);
+  assert.deepEqual(done.result, { doubled: 42 });
+  assert.deepEqual(seen, [21]);
+  assert.equal(await processNextJob(kind), null);
+});
+
+test('failures retry with backoff and then fail for good', async () => {
+  const kind = `test_flaky_${suffix}`;
+  registerJobHandler(kind, async () => { throw new Error('boom'); }, { maxAttempts: 2 });
+  const job = await enqueueJob(kind);
+  const first = await processNextJob(kind);
+  assert.equal(first.status, 'queued');
+  assert.equal(first.last_error, 'boom');
+  assert.ok(new Date(first.run_at).getTime() > Date.now());
+  // not due yet
+  assert.equal(await processNextJob(kind), null);
+  await pool.query(`UPDATE jobs SET run_at = now() WHERE id = $1`, [job.id]);
+  const second = await processNextJob(kind);
+  assert.equal(second.status, 'failed');
+  assert.equal(second.attempts, 2);
+  assert.ok(retryDelayMs(2) === 2 * retryDelayMs(1));
+});
+
+test('client errors are not retried', async () => {
+  const kind = `test_missing_${suffix}`;
+  registerJobHandler(kind, async () => { const err = new Error('Photo not found'); err.status = 404; throw err; });
+  await enqueueJob(kind);
+  const done = await processNextJob(kind);
+  assert.equal(done.status, 'failed');
+  assert.equal(done.attempts, 1);
+});
+
+test('job endpoints list, show and cancel jobs', async () => {
+  const kind = `test_idle_${suffix}`;
+  registerJobHandler(kind, async () => 'never');
+  const job = await enqueueJob(kind, { photoId: 1 });
+
+  const list = await request(app).get(`/jobs?kind=${kind}&status=queued`).expect(200);
+  assert.deepEqual(list.body.map((j) => j.id), [job.id]);
+  const shown = await request(app).get(`/jobs/${job.id}`).expect(200);
+  assert.deepEqual(shown.body.payload, { photoId: 1 });
+
+  const cancelled = await request(app).post(`/jobs/${job.id}:cancel`).expect(200);
+  assert.equal(cancelled.body.status, 'cancelled');
+  assert.equal(await processNextJob(kind), null);
+  await request(app).post(`/jobs/${job.id}:cancel`).expect(409);
+
+  await request(app).get('/jobs?status=bogus').expect(400);
+  await request(app).get('/jobs?kind=bogus').expect(400);
+  await request(app).get('/jobs/abc').expect(400);
+  await request(app).get('/jobs/999999999').expect(404);
+  await request(app).post('/jobs/999999999:cancel').expect(404);
+});
+
+test('async upload stores the original and queues thumbnails', async () => {
+  const png = await uniqueImage(40, 30).png().toBuffer();
+  const resp = await request(app).post('/photos?async=1').attach('photo', png, 'async_upload.png').expect(201);
+  assert.equal(resp.body.thumb_filename, null);
+  assert.equal(resp.body.width, 40);
+  assert.equal(resp.body.job.kind, 'thumbnails');
+
+  const done = await drain('thumbnails', resp.body.job.id);
+  assert.equal(done.status, 'succeeded');
+  const photo = await pool.query(`SELECT thumb_filename, preview_filename FROM photos WHERE id = $1`, [resp.body.id]);
+  assert.ok(photo.rows[0].thumb_filename.endsWith('_thumb.png'));
+  assert.equal(done.result.preview_filename, photo.rows[0].preview_filename);
+  const hashes = await pool.query(`SELECT content_sha256, dhash FROM photos WHERE id = $1`, [resp.body.id]);
+  assert.match(hashes.rows[0].content_sha256, /^[0-9a-f]{64}$/);
+  assert.match(hashes.rows[0].dhash, /^[0-9a-f]{16}$/);
+  await request(app).delete('/photos').send({ ids: [resp.body.id] }).expect(200);
+});
+
+test('detect and describe can be queued instead of run inline', async () => {
+  const p = await pool.query(
+    `INSERT INTO photos (filename, original_name, mime_type, size_bytes, event_id)
+     SELECT 'q.jpg','q.jpg','image/jpeg',1, id FROM events WHERE LOWER(name)=LOWER('Default') RETURNING id`
+  );
+  const photoId = p.rows[0].id;
+  const detect = await request(app).post(`/photos/${photoId}/faces:detect?async=1`).expect(202);
+  assert.equal(detect.body.job.kind, 'detect_faces');
+  assert.deepEqual(detect.body.job.payload, { photoId });
+  const describe = await request(app).post(`/photos/${photoId}/describe?async=1`).expect(202);
+  assert.equal(describe.body.job.kind, 'describe');
+  await request(app).post(`/photos/999999/faces:detect?async=1`).expect(404);
+  await request(app).post(`/photos/999999/describe?async=1`).expect(404);
+
+  // the photo file is missing, so the detection job fails without retrying
+  const done = await drain('detect_faces', detect.body.job.id);
+  assert.equal(done.status, 'failed');
+  assert.equal(done.last_error, 'Image file not found on server');
+  await request(app).post(`/jobs/${describe.body.job.id}:cancel`).expect(200);
+});
+
+test('event-wide detection queues unprocessed photos and reports progress', async () => {
+  const ev = await pool.query(`INSERT INTO events (name) VALUES ($1) RETURNING id`, [`Batch_${suffix}`]);
+  const eventId = ev.rows[0].id;
+  const file = `batch_${suffix}.png`;
+  await sharp({ create: { width: 32, height: 32, channels: 3, background: { r: 0, g: 0, b: 0 } } }).png().toFile(new URL(`../uploads/${file}`, import.meta.url).pathname);
+  const insertPhoto = async (filename) => (await pool.query(
+    `INSERT INTO photos (filename, original_name, mime_type, size_bytes, event_id) VALUES ($1, $1, 'image/png', 1, $2) RETURNING id`,
+    [filename, eventId]
+  )).rows[0].id;
+  const fresh = await insertPhoto(file);
+  const withFaces = await insertPhoto(file);
+  const missing = await insertPhoto(`missing_${suffix}.png`);
+  await pool.query(`INSERT INTO faces (photo_id, bbox) VALUES ($1, '{"left":0,"top":0,"width":5,"height":5}')`, [withFaces]);
+
+  const started = await request(app).post(`/events/${eventId}/faces:detect`).expect(202);
+  assert.equal(started.body.batch.total, 2);
+  assert.equal(started.body.skipped, 1);
+  assert.equal(started.body.batch.finished, false);
+  // photos already queued are not queued twice
+  const again = await request(app).post(`/events/${eventId}/faces:detect`).expect(202);
+  assert.equal(again.body.batch.total, 0);
+  assert.equal(again.body.batch.finished, true);
+
+  let batch;
+  for (let i = 0; i < 50; i++) {
+    batch = (await request(app).get(`/job-batches/${started.body.batch.id}`).expect(200)).body;
+    if (batch.finished) break;
+    await processNextJob('detect_faces');
+  }
+  assert.deepEqual([batch.done, batch.failed, batch.finished], [1, 1, true]);
+  const processed = await pool.query(`SELECT id FROM photos WHERE event_id = $1 AND faces_detected_at IS NOT NULL`, [eventId]);
+  assert.deepEqual(processed.rows.map((r) => r.id), [fresh]);
+
+  // the failed photo is retried by the next run; force takes everything
+  const retry = await request(app).post(`/events/${eventId}/faces:detect`).expect(202);
+  assert.equal(retry.body.batch.total, 1);
+  const cancelled = await request(app).post(`/job-batches/${retry.body.batch.id}:cancel`).expect(200);
+  assert.equal(cancelled.body.cancelled, 1);
+  const forced = await request(app).post(`/events/${eventId}/faces:detect`).send({ force: true }).expect(202);
+  assert.equal(forced.body.batch.total, 3);
+  const jobs = await pool.query(`SELECT payload FROM jobs WHERE batch_id = $1 ORDER BY id`, [forced.body.batch.id]);
+  assert.deepEqual(jobs.rows.map((r) => r.payload), [fresh, withFaces, missing].map((photoId) => ({ photoId })));
+  await request(app).post(`/job-batches/${forced.body.batch.id}:cancel`).expect(200);
+
+  await request(app).post(`/events/abc/faces:detect`).expect(400);
+  await request(app).post(`/events/999999/faces:detect`).expect(404);
+  await request(app).get(`/job-batches/999999`).expect(404);
+});
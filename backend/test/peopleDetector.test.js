@@ -0,0 +1,167 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { alignFace, boxIou, decodeScrfdOutputs, estimatePersonBox, estimatePose, estimateSimilarityTransform, faceDetectorVersion, l2Normalize, matchBoxesByIou, nms, scaleDetections, warpSimilarityRgb } from '../src/peopleDetector.js';
+
+// Build SCRFD-like outputs for a small input: strides 8/16/32, 2 anchors per cell
+function makeOutputs(inputSize, hits) {
+  const outputs = {};
+  for (const stride of [8, 16, 32]) {
+    const cols = inputSize / stride;
+    const rows = cols * cols * 2;
+    const scores = new Float32Array(rows);
+    const bboxes = new Float32Array(rows * 4);
+    const kps = new Float32Array(rows * 10);
+    for (const h of hits.filter((x) => x.stride === stride)) {
+      scores[h.index] = h.score;
+      bboxes.set(h.dist, h.index * 4);
+      kps.set(h.kps || new Array(10).fill(0), h.index * 10);
+    }
+    // Deliberately unordered names, as different exports use different ones
+    outputs[`out_kps_${stride}`] = { dims: [1, rows, 10], data: kps };
+    outputs[`out_score_${stride}`] = { dims: [1, rows, 1], data: scores };
+    outputs[`out_bbox_${stride}`] = { dims: [1, rows, 4], data: bboxes };
+  }
+  return outputs;
+}
+
+test('decodes distance-encoded boxes and keypoints from anchor centers', () => {
+  // stride 8, cell index 9 -> (col 1, row 1) on an 8-column grid, second anchor
+  const outputs = makeOutputs(64, [
+    { stride: 8, index: 9 * 2 + 1, score: 0.9, dist: [1, 1, 2, 2], kps: [0, 0, 1, 0, 0, 1, 1, 1, -1, -1] }
+  ]);
+  const boxes = decodeScrfdOutputs(outputs, { inputWidth: 64, inputHeight: 64, scoreThreshold: 0.5 });
+  assert.equal(boxes.length, 1);
+  const b = boxes[0];
+  assert.deepEqual([b.x1, b.y1, b.x2, b.y2], [0, 0, 24, 24]);
+  assert.equal(b.landmarks.length, 5);
+  assert.deepEqual(b.landmarks[1], [16, 8]);
+  assert.deepEqual(b.landmarks[4], [0, 0]);
+});
+
+test('decodes every stride head and drops low scores', () => {
+  const outputs = makeOutputs(64, [
+    { stride: 8, index: 0, score: 0.8, dist: [0, 0, 1, 1] },
+    { stride: 16, index: 2, score: 0.7, dist: [0, 0, 1, 1] },
+    { stride: 32, index: 6, score: 0.6, dist: [0, 0, 1, 1] },
+    { stride: 32, index: 0, score: 0.2, dist: [0, 0, 1, 1] }
+  ]);
+  const boxes = decodeScrfdOutputs(outputs, { inputWidth: 64, inputHeight: 64, scoreThreshold: 0.5 });
+  assert.equal(boxes.length, 3);
+  // stride 16, cell 1 -> center (16, 0), box of one stride
+  assert.ok(boxes.some((b) => b.x1 === 16 && b.y1 === 0 && b.x2 === 32 && b.y2 === 16));
+  // stride 32, cell 3 -> center (32, 32)
+  assert.ok(boxes.some((b) => b.x1 === 32 && b.y1 === 32 && b.x2 === 64 && b.y2 === 64));
+});
+
+test('applies sigmoid when heads emit logits', () => {
+  const outputs = makeOutputs(64, [{ stride: 8, index: 0, score: 3, dist: [0, 0, 1, 1] }]);
+  outputs.out_score_16.data[0] = -4;
+  // untouched cells are logit 0 -> 0.5, so threshold just above it
+  const boxes = decodeScrfdOutputs(outputs, { inputWidth: 64, inputHeight: 64, scoreThreshold: 0.6 });
+  assert.equal(boxes.length, 1);
+  assert.ok(boxes[0].score > 0.9 && boxes[0].score < 1);
+});
+
+test('nms suppresses overlapping boxes per class only', () => {
+  const boxes = [
+    { x1: 0, y1: 0, x2: 10, y2: 10, score: 0.9, cls: 0 },
+    { x1: 1, y1: 1, x2: 11, y2: 11, score: 0.8, cls: 0 },
+    { x1: 1, y1: 1, x2: 11, y2: 11, score: 0.7, cls: 1 },
+    { x1: 50, y1: 50, x2: 60, y2: 60, score: 0.6, cls: 0 }
+  ];
+  const kept = nms(boxes, 0.4);
+  assert.deepEqual(kept.map((b) => b.score), [0.9, 0.7, 0.6]);
+});
+
+test('scaleDetections maps boxes and landmarks to another pixel space', () => {
+  const [b] = scaleDetections([{ left: 10, top: 20, width: 30, height: 40, score: 0.9, landmarks: [[10, 20]] }], 2, 3);
+  assert.deepEqual([b.left, b.top, b.width, b.height], [20, 60, 60, 120]);
+  assert.deepEqual(b.landmarks, [[20, 60]]);
+});
+
+test('estimateSimilarityTransform recovers rotation, scale and translation', () => {
+  const src = [[0, 0], [10, 0], [5, 5], [0, 10], [10, 10]];
+  // 90 degree rotation, scale 2, shift (3, 4): x' = -2y + 3, y' = 2x + 4
+  const dst = src.map(([x, y]) => [-2 * y + 3, 2 * x + 4]);
+  const t = estimateSimilarityTransform(src, dst);
+  assert.ok(Math.abs(t.a) < 1e-9);
+  assert.ok(Math.abs(t.b - 2) < 1e-9);
+  assert.ok(Math.abs(t.tx - 3) < 1e-9);
+  assert.ok(Math.abs(t.ty - 4) < 1e-9);
+});
+
+test('warpSimilarityRgb with identity copies pixels', () => {
+  const data = new Uint8Array(4 * 4 * 3).map((_, i) => i);
+  const out = warpSimilarityRgb({ data, width: 4, height: 4 }, { a: 1, b: 0, tx: 0, ty: 0 }, 4, 4);
+  assert.deepEqual(Array.from(out), Array.from(data));
+});
+
+test('alignFace maps template-positioned landmarks onto a 112x112 crop unchanged', () => {
+  const width = 112;
+  const height = 112;
+  const data = new Uint8Array(width * height * 3).map((_, i) => (i * 7) % 251);
+  const landmarks = [[38.2946, 51.6963], [73.5318, 51.5014], [56.0252, 71.7366], [41.5493, 92.3655], [70.7299, 92.2041]];
+  const aligned = alignFace({ data, width, height }, { left: 0, top: 0, width, height, landmarks });
+  assert.equal(aligned.length, 112 * 112 * 3);
+  assert.deepEqual(Array.from(aligned.slice(0, 30)), Array.from(data.slice(0, 30)));
+});
+
+test('l2Normalize returns a unit vector', () => {
+  const v = l2Normalize(new Float32Array([3, 4]));
+  assert.deepEqual(v, [0.6, 0.8]);
+});
+
+test('estimatePersonBox expands a face into an upper-body region clamped to the image', () => {
+  const box = estimatePersonBox({ left: 100, top: 50, width: 40, height: 40 }, 1000, 160);
+  assert.deepEqual(box, { left: 60, top: 30, width: 120, height: 130 });
+});
+
+test('estimatePersonBox prefers the tightest person box containing the face', () => {
+  const face = { left: 100, top: 50, width: 40, height: 40 };
+  const people = [
+    { left: 0, top: 0, width: 800, height: 800 },
+    { left: 80, top: 40, width: 100, height: 300 },
+    { left: 400, top: 40, width: 100, height: 300 }
+  ];
+  assert.deepEqual(estimatePersonBox(face, 1000, 1000, people), { left: 80, top: 40, width: 100, height: 300 });
+});
+
+test('estimatePose is near zero for template landmarks and tracks yaw and roll', () => {
+  const frontal = [[38.2946, 51.6963], [73.5318, 51.5014], [56.0252, 71.7366], [41.5493, 92.3655], [70.7299, 92.2041]];
+  const pose = estimatePose(frontal);
+  assert.ok(Math.abs(pose.yaw) < 5 && Math.abs(pose.pitch) < 5 && Math.abs(pose.roll) < 1);
+  // nose pushed all the way to the right eye reads as a full profile
+  const profile = frontal.map((p, i) => (i === 2 ? [73.5, 71.7] : p));
+  assert.ok(estimatePose(profile).yaw > 80);
+  // eye line tilted 45 degrees
+  const tilted = estimatePose([[0, 0], [10, 10], [2, 8], [0, 14], [7, 21]]);
+  assert.ok(Math.abs(tilted.roll - 45) < 1e-9);
+  assert.deepEqual(estimatePose(null), { yaw: null, pitch: null, roll: null });
+});
+
+test('matchBoxesByIou pairs each new box with at most one old box, best overlap first', () => {
+  const previous = [
+    { left: 0, top: 0, width: 10, height: 10 },
+    { left: 100, top: 100, width: 20, height: 20 },
+    { left: 300, top: 300, width: 10, height: 10 }
+  ];
+  const next = [
+    { left: 101, top: 101, width: 20, height: 20 },
+    { left: 1, top: 0, width: 10, height: 10 },
+    { left: 2, top: 0, width: 10, height: 10 },
+    { left: 500, top: 500, width: 10, height: 10 }
+  ];
+  const matches = matchBoxesByIou(previous, next, 0.5);
+  assert.deepEqual([...matches.entries()].sort(), [[0, 1], [1, 0]]);
+});
+
+test('faceDetectorVersion names every model file', () => {
+  assert.match(faceDetectorVersion(), /^scrfd:[^+/]+\+arcface:[^+/]+\+osnet:[^+/]+$/);
+});
+
+test('boxIou compares {left, top, width, height} boxes', () => {
+  const a = { left: 0, top: 0, width: 10, height: 10 };
+  assert.equal(boxIou(a, a), 1);
+  assert.equal(boxIou(a, { left: 20, top: 20, width: 10, height: 10 }), 0);
+  assert.ok(Math.abs(boxIou(a, { left: 5, top: 0, width: 10, height: 10 }) - 50 / 150) < 1e-9);
+});
@@ -0,0 +1,95 @@
+import test, { before } from 'node:test';
+import assert from 'node:assert/strict';
+import request from 'supertest';
+import sharp from 'sharp';
+import { app, dbReady } from '../src/index.js';
+import { pool } from '../src/db.js';
+import { parseExifDate, readPhotoMetadata } from '../src/photoMetadata.js';
+import { uniqueImage } from './fixtures.js';
+
+before(() => dbReady);
+
+function jpegWithExif() {
+  return uniqueImage(40, 30)
+    .jpeg()
+    .withExif({
+      IFD0: { Make: 'Canon', Model: 'EOS R6' },
+      IFD2: {
+        DateTimeOriginal: '2024:05:01 12:34:56',
+        SubSecTimeOriginal: '25',
+        OffsetTimeOriginal: '+02:00',
+        LensModel: 'RF 24-70mm F2.8',
+        FocalLength: '50/1',
+        ExposureTime: '1/250',
+        FNumber: '28/10',
+        ISOSpeedRatings: '400'
+      },
+      IFD3: { GPSLatitudeRef: 'S', GPSLatitude: '33/1 51/1 54/1', GPSLongitudeRef: 'E', GPSLongitude: '151/1 12/1 36/1', GPSAltitudeRef: '0', GPSAltitude: '35/1' }
+    })
+    .toBuffer();
+}
+
+test('EXIF dates keep their offset and otherwise read as UTC', () => {
+  assert.equal(parseExifDate('2024:05:01 12:34:56', '25', '+02:00').toISOString(), '2024-05-01T10:34:56.250Z');
+  assert.equal(parseExifDate('2024:05:01 12:34:56').toISOString(), '2024-05-01T12:34:56.000Z');
+  assert.equal(parseExifDate('0000:00:00 00:00:00'), null);
+  assert.equal(parseExifDate('yesterday'), null);
+  assert.equal(parseExifDate(undefined), null);
+});
+
+test('images without EXIF read as all nulls', async () => {
+  const png = await sharp({ create: { width: 8, height: 8, channels: 3, background: '#000' } }).png().toBuffer();
+  const metadata = await readPhotoMetadata(png);
+  assert.ok(Object.values(metadata).every((v) => v === null));
+  const garbage = await readPhotoMetadata(Buffer.from('not an image'));
+  assert.equal(garbage.taken_at, null);
+});
+
+test('uploads record capture time, camera, exposure and location', async () => {
+  const resp = await request(app).post('/photos').attach('photo', await jpegWithExif(), 'exif_upload.jpg').expect(201);
+  const { rows } = await pool.query(`SELECT * FROM photos WHERE id = $1`, [resp.body.id]);
+  const p = rows[0];
+  assert.equal(p.taken_at.toISOString(), '2024-05-01T10:34:56.250Z');
+  assert.equal(p.camera_make, 'Canon');
+  assert.equal(p.camera_model, 'EOS R6');
+  assert.equal(p.lens_model, 'RF 24-70mm F2.8');
+  assert.equal(p.focal_length_mm, 50);
+  assert.equal(p.exposure_time_s, 0.004);
+  assert.equal(p.f_number, 2.8);
+  assert.equal(p.iso, 400);
+  assert.ok(Math.abs(p.gps_latitude - -33.865) < 1e-6);
+  assert.ok(Math.abs(p.gps_longitude - 151.21) < 1e-6);
+  assert.equal(p.gps_altitude_m, 35);
+  assert.ok(p.metadata_read_at);
+  await request(app).delete('/photos').send({ ids: [p.id] }).expect(200);
+});
+
+test('photos can be listed by capture time with a keyset cursor', async () => {
+  const settings = await request(app).get('/settings').expect(200);
+  const eventId = settings.body.current_event_id;
+  // Capture times long before any real upload put these first among dated photos
+  await pool.query(`DELETE FROM photos WHERE event_id = $1 AND taken_at < '1950-01-01'`, [eventId]);
+  const insert = async (takenAt) => (await pool.query(
+    `INSERT INTO photos (filename, original_name, mime_type, size_bytes, event_id, taken_at) VALUES ('t.jpg','t.jpg','image/jpeg',1,$1,$2) RETURNING id`,
+    [eventId, takenAt]
+  )).rows[0].id;
+  // Uploaded out of capture order, with two shots in the same second
+  const late = await insert('1901-01-01T10:00:05Z');
+  const early = await insert('1901-01-01T10:00:00Z');
+  const sameA = await insert('1901-01-01T10:00:02Z');
+  const sameB = await insert('1901-01-01T10:00:02Z');
+
+  const first = await request(app).get('/photos?sort=taken_at&limit=3').expect(200);
+  assert.deepEqual(first.body.items.map((p) => p.id), [early, sameA, sameB]);
+  assert.equal(first.body.nextCursor, `1901-01-01T10:00:02.000Z_${sameB}`);
+  const second = await request(app).get(`/photos?sort=taken_at&limit=1&cursor=${encodeURIComponent(first.body.nextCursor)}`).expect(200);
+  assert.deepEqual(second.body.items.map((p) => p.id), [late]);
+
+  // Past the dated photos the cursor walks the undated ones by id
+  const undated = await request(app).get(`/photos?sort=taken_at&limit=5&cursor=_${early}`).expect(200);
+  assert.ok(undated.body.items.every((p) => p.taken_at === null && p.id > early));
+
+  await request(app).get('/photos?sort=name').expect(400);
+  await request(app).get('/photos?sort=taken_at&cursor=nope').expect(400);
+  await pool.query(`DELETE FROM photos WHERE id = ANY($1::int[])`, [[late, early, sameA, sameB]]);
+});
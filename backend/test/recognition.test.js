@@ -0,0 +1,278 @@
+import test, { before } from 'node:test';
+import assert from 'node:assert/strict';
+import request from 'supertest';
+import { app, dbReady } from '../src/index.js';
+import { pool, withTransaction } from '../src/db.js';
+import { replaceDetectedFaces } from '../src/gallery.js';
+import { faceReliability, fuseScores } from '../src/recognition.js';
+
+before(() => dbReady);
+
+// Unit vectors in a small embedding space keep the expected similarities obvious
+function basis(i, dims = 8) {
+  const v = new Array(dims).fill(0);
+  v[i] = 1;
+  return v;
+}
+
+function blend(a, b, wb) {
+  return a.map((x, i) => x * (1 - wb) + b[i] * wb);
+}
+
+async function createEventFixture() {
+  const name = `Recog_${Date.now()}_${Math.floor(Math.random() * 100000)}`;
+  const ev = await pool.query(`INSERT INTO events (name) VALUES ($1) RETURNING id`, [name]);
+  return ev.rows[0].id;
+}
+
+async function createPhoto(eventId) {
+  const p = await pool.query(
+    `INSERT INTO photos (filename, original_name, mime_type, size_bytes, event_id) VALUES ('r.jpg','r.jpg','image/jpeg',1,$1) RETURNING id`,
+    [eventId]
+  );
+  return p.rows[0].id;
+}
+
+async function createTag(eventId, name, embeddings) {
+  const t = await pool.query(`INSERT INTO tags (name, event_id) VALUES ($1, $2) RETURNING id`, [name, eventId]);
+  for (const e of embeddings) {
+    await pool.query(`INSERT INTO person_embeddings (tag_id, embedding) VALUES ($1, $2)`, [t.rows[0].id, e]);
+  }
+  return t.rows[0].id;
+}
+
+async function createFace(photoId, embedding, { appearance = null, yaw = null, size = 100 } = {}) {
+  const f = await pool.query(
+    `INSERT INTO faces (photo_id, bbox, yaw, face_embedding, appearance_embedding) VALUES ($1, $2, $3, $4, $5) RETURNING id`,
+    [photoId, JSON.stringify({ left: 0, top: 0, width: size, height: size }), yaw, embedding, appearance]
+  );
+  return f.rows[0].id;
+}
+
+// Gallery entry whose appearance comes from an enrolled source face
+async function enroll(tagId, photoId, embedding, appearance) {
+  const sourceFaceId = await createFace(photoId, embedding, { appearance });
+  await pool.query(`INSERT INTO person_embeddings (tag_id, embedding, source_face_id) VALUES ($1, $2, $3)`, [tagId, embedding, sourceFaceId]);
+}
+
+test('photo recognition assigns the closest tag above threshold', async () => {
+  const eventId = await createEventFixture();
+  const alice = await createTag(eventId, 'Alice', [basis(0)]);
+  await createTag(eventId, 'Bob', [basis(1)]);
+  const photoId = await createPhoto(eventId);
+  const near = await createFace(photoId, blend(basis(0), basis(1), 0.2));
+  const stranger = await createFace(photoId, basis(5));
+  const bare = await createFace(photoId, null);
+
+  const resp = await request(app).post(`/photos/${photoId}/faces:recognize`).send({ threshold: 0.5 }).expect(200);
+  assert.equal(resp.body.count, 3);
+  assert.equal(resp.body.recognized, 1);
+  const byId = Object.fromEntries(resp.body.items.map((i) => [i.face_id, i]));
+  assert.equal(byId[near].recognized_tag_id, alice);
+  assert.equal(byId[near].recognized_tag_name, 'Alice');
+  assert.deepEqual(byId[near].candidates.map((c) => c.tag_name), ['Alice', 'Bob']);
+  assert.equal(byId[stranger].recognized_tag_id, null);
+  assert.deepEqual(byId[bare].candidates, []);
+
+  const stored = await pool.query(`SELECT id, recognized_tag_id, fused_score FROM faces WHERE id = ANY($1::int[])`, [[near, stranger]]);
+  const rows = Object.fromEntries(stored.rows.map((r) => [r.id, r]));
+  assert.equal(rows[near].recognized_tag_id, alice);
+  assert.ok(rows[near].fused_score > 0.9);
+  assert.equal(rows[stranger].recognized_tag_id, null);
+});
+
+test('gallery is scoped to the photo event', async () => {
+  const eventA = await createEventFixture();
+  const eventB = await createEventFixture();
+  await createTag(eventA, 'Alice', [basis(0)]);
+  const photoId = await createPhoto(eventB);
+  await createFace(photoId, basis(0));
+  const resp = await request(app).post(`/photos/${photoId}/faces:recognize`).expect(200);
+  assert.equal(resp.body.recognized, 0);
+  assert.deepEqual(resp.body.items[0].candidates, []);
+});
+
+test('event recognition covers every photo and validates input', async () => {
+  const eventId = await createEventFixture();
+  const bob = await createTag(eventId, 'Bob', [basis(1), basis(2)]);
+  const p1 = await createPhoto(eventId);
+  const p2 = await createPhoto(eventId);
+  await createFace(p1, basis(2));
+  await createFace(p2, basis(1));
+  const resp = await request(app).post(`/events/${eventId}/faces:recognize`).send({ threshold: 0.9 }).expect(200);
+  assert.equal(resp.body.count, 2);
+  assert.ok(resp.body.items.every((i) => i.recognized_tag_id === bob));
+
+  await request(app).post(`/events/${eventId}/faces:recognize`).send({ threshold: 2 }).expect(400);
+  await request(app).post(`/events/abc/faces:recognize`).expect(400);
+  await request(app).post(`/events/999999/faces:recognize`).expect(404);
+  await request(app).post(`/photos/999999/faces:recognize`).expect(404);
+});
+
+test('recognition threshold is configurable through settings', async () => {
+  const before = await request(app).get('/settings').expect(200);
+  await request(app).post('/settings').send({ recognition_threshold: 0.6 }).expect(200);
+  const after = await request(app).get('/settings').expect(200);
+  assert.ok(Math.abs(after.body.recognition_threshold - 0.6) < 1e-6);
+  // fields left out of the body keep their values
+  assert.equal(after.body.system_prompt, before.body.system_prompt);
+  assert.equal(after.body.model, before.body.model);
+  await request(app).post('/settings').send({ recognition_threshold: 5 }).expect(400);
+  await pool.query(`UPDATE settings SET recognition_threshold = NULL WHERE id = 1`);
+});
+
+test('fused score trusts the face term less for profiles and tiny boxes', () => {
+  const settings = { faceWeight: 0.75, appearanceWeight: 0.25, poseLimit: 45, minFaceSize: 40 };
+  assert.equal(faceReliability({ yaw: 10, pitch: 0, bbox: { width: 80, height: 80 } }, settings), 1);
+  assert.ok(Math.abs(faceReliability({ yaw: -67.5, bbox: { width: 80, height: 80 } }, settings) - 0.5) < 1e-9);
+  assert.equal(faceReliability({ yaw: 90, bbox: { width: 80, height: 80 } }, settings), 0);
+  assert.equal(faceReliability({ yaw: 0, bbox: { width: 20, height: 30 } }, settings), 0.5);
+
+  assert.ok(Math.abs(fuseScores({ faceScore: 0.8, appearanceScore: 0.4 }, settings) - 0.7) < 1e-9);
+  assert.equal(fuseScores({ faceScore: 0.8, appearanceScore: 0.4, reliability: 0 }, settings), 0.4);
+  assert.equal(fuseScores({ faceScore: 0.8, appearanceScore: null }, settings), 0.8);
+  assert.equal(fuseScores({ faceScore: null, appearanceScore: null }, settings), null);
+});
+
+test('appearance carries a profile face to the right person', async () => {
+  const eventId = await createEventFixture();
+  const gallery = await createPhoto(eventId);
+  const alice = await createTag(eventId, 'Alice', []);
+  const bob = await createTag(eventId, 'Bob', []);
+  await enroll(alice, gallery, basis(0), basis(4));
+  await enroll(bob, gallery, basis(1), basis(5));
+  const photoId = await createPhoto(eventId);
+  // face embedding leans to Bob, but the pose makes it unreliable; outfit matches Alice
+  const profile = await createFace(photoId, blend(basis(0), basis(1), 0.8), { appearance: basis(4), yaw: 85 });
+  const frontal = await createFace(photoId, blend(basis(0), basis(1), 0.8), { appearance: basis(4), yaw: 0 });
+
+  const resp = await request(app).post(`/photos/${photoId}/faces:recognize`).send({ threshold: 0.3 }).expect(200);
+  const byId = Object.fromEntries(resp.body.items.map((i) => [i.face_id, i]));
+  assert.equal(byId[profile].recognized_tag_id, alice);
+  const top = byId[profile].candidates[0];
+  assert.ok(top.face_score < top.appearance_score);
+  // with a frontal pose the face term dominates
+  assert.equal(byId[frontal].recognized_tag_id, bob);
+
+  const stored = await pool.query(`SELECT fused_score FROM faces WHERE id = $1`, [profile]);
+  assert.ok(Math.abs(stored.rows[0].fused_score - top.score) < 1e-6);
+});
+
+test('fusion weights and limits are validated and stored in settings', async () => {
+  await request(app).post('/settings').send({ face_weight: 0.6, appearance_weight: 0.4, pose_limit_degrees: 30, min_face_size: 24 }).expect(200);
+  const got = await request(app).get('/settings').expect(200);
+  assert.ok(Math.abs(got.body.face_weight - 0.6) < 1e-6);
+  assert.ok(Math.abs(got.body.appearance_weight - 0.4) < 1e-6);
+  assert.equal(got.body.pose_limit_degrees, 30);
+  assert.equal(got.body.min_face_size, 24);
+  await request(app).post('/settings').send({ face_weight: 1.5 }).expect(400);
+  await request(app).post('/settings').send({ pose_limit_degrees: 120 }).expect(400);
+  await request(app).post('/settings').send({ review_margin: -0.1 }).expect(400);
+  await pool.query(`UPDATE settings SET face_weight = NULL, appearance_weight = NULL, pose_limit_degrees = NULL, min_face_size = NULL WHERE id = 1`);
+  const reset = await request(app).get('/settings').expect(200);
+  assert.equal(reset.body.pose_limit_degrees, 45);
+});
+
+test('faces scored close to the threshold wait in the review queue', async () => {
+  const eventId = await createEventFixture();
+  const alice = await createTag(eventId, 'Alice', [basis(0)]);
+  await createTag(eventId, 'Bob', [basis(1)]);
+  const photoId = await createPhoto(eventId);
+  const settings = (await request(app).get('/settings').expect(200)).body;
+  const { recognition_threshold: threshold, review_margin: margin } = settings;
+  const scored = async (score) => {
+    const id = await createFace(photoId, blend(basis(0), basis(1), 0.4));
+    await pool.query(`UPDATE faces SET fused_score = $2 WHERE id = $1`, [id, score]);
+    return id;
+  };
+  const below = await scored(threshold - margin / 2);
+  const above = await scored(threshold + margin / 2);
+  await scored(threshold + margin * 1.5);
+  await scored(Math.max(0, threshold - margin * 1.5) - 0.01);
+  await createFace(photoId, basis(0));
+  const rejected = await scored(threshold);
+  const manual = await scored(threshold);
+  await request(app).put(`/faces/${manual}/tag`).send({ tag: 'Alice' }).expect(200);
+
+  await request(app).post(`/faces/${rejected}:reject`).expect(200);
+  const queue = await request(app).get(`/events/${eventId}/review`).expect(200);
+  assert.deepEqual(queue.body.items.map((i) => i.face_id), [below, above]);
+  assert.equal(queue.body.total, 2);
+  const [first] = queue.body.items;
+  assert.deepEqual(first.candidates.map((c) => c.tag_name), ['Alice', 'Bob']);
+  assert.equal(first.candidates[0].tag_id, alice);
+  assert.ok(first.candidates[0].score > first.candidates[1].score);
+  assert.equal(first.filename, 'r.jpg');
+  assert.equal(first.crop_url, `/faces/${below}/crop`);
+
+  const limited = await request(app).get(`/events/${eventId}/review?limit=1`).expect(200);
+  assert.deepEqual(limited.body.items.map((i) => i.face_id), [below]);
+  assert.equal(limited.body.total, 2);
+  await request(app).get(`/events/${eventId}/review?limit=0`).expect(400);
+  await request(app).get(`/events/abc/review`).expect(400);
+  await request(app).get(`/events/999999/review`).expect(404);
+  await request(app).post(`/faces/999999999:reject`).expect(404);
+});
+
+test('recognition never matches a face to a person it was rejected for', async () => {
+  const eventId = await createEventFixture();
+  const alice = await createTag(eventId, 'Alice', [basis(0)]);
+  const bob = await createTag(eventId, 'Bob', [blend(basis(0), basis(1), 0.3)]);
+  const photoId = await createPhoto(eventId);
+  const faceId = await createFace(photoId, basis(0));
+  await request(app).post(`/faces/${faceId}/rejections`).send({ tag_id: alice }).expect(201);
+
+  const resp = await request(app).post(`/photos/${photoId}/faces:recognize`).send({ threshold: 0.5 }).expect(200);
+  const item = resp.body.items.find((i) => i.face_id === faceId);
+  assert.deepEqual(item.candidates.map((c) => c.tag_id), [bob]);
+  assert.equal(item.recognized_tag_id, bob);
+
+  // naming the face by hand lifts the rejection
+  await request(app).put(`/faces/${faceId}/tag`).send({ tag: 'Alice' }).expect(200);
+  const left = await pool.query(`SELECT COUNT(*)::int AS n FROM face_rejections WHERE face_id = $1`, [faceId]);
+  assert.equal(left.rows[0].n, 0);
+});
+
+test('rejections and review status survive re-detection of the photo', async () => {
+  const eventId = await createEventFixture();
+  const alice = await createTag(eventId, 'Alice', [basis(0)]);
+  const photoId = await createPhoto(eventId);
+  const faceId = await createFace(photoId, basis(0));
+  await request(app).post(`/faces/${faceId}/rejections`).send({ tag_id: alice }).expect(201);
+  await request(app).post(`/faces/${faceId}:reject`).expect(200);
+
+  // the detector finds the same face again, slightly shifted
+  const redetected = await withTransaction((client) =>
+    replaceDetectedFaces(photoId, [{ box: { left: 4, top: 2, width: 100, height: 100 }, embedding: { faceEmbedding: basis(0) } }], { detectorVersion: 'test', minIou: 0.5 }, client)
+  );
+  const [face] = redetected.items;
+  assert.notEqual(face.id, faceId);
+  const rejections = await pool.query(`SELECT tag_id FROM face_rejections WHERE face_id = $1`, [face.id]);
+  assert.deepEqual(rejections.rows.map((r) => r.tag_id), [alice]);
+  const stored = await pool.query(`SELECT review_status FROM faces WHERE id = $1`, [face.id]);
+  assert.equal(stored.rows[0].review_status, 'rejected');
+
+  const resp = await request(app).post(`/photos/${photoId}/faces:recognize`).send({ threshold: 0.5 }).expect(200);
+  const item = resp.body.items.find((i) => i.face_id === face.id);
+  assert.equal(item.recognized_tag_id, null);
+  assert.deepEqual(item.candidates, []);
+});
+
+test('faces resembling a rejected example are pushed away from that person', async () => {
+  const eventId = await createEventFixture();
+  const alice = await createTag(eventId, 'Alice', [basis(0)]);
+  const photoId = await createPhoto(eventId);
+  // a look-alike that is not Alice, and a new face closer to the look-alike than to Alice
+  const lookalike = await createFace(photoId, blend(basis(0), basis(2), 0.5));
+  const probe = await createFace(photoId, blend(basis(0), basis(2), 0.45));
+  const before = await request(app).post(`/photos/${photoId}/faces:recognize`).send({ threshold: 0.6 }).expect(200);
+  const plain = before.body.items.find((i) => i.face_id === probe).candidates[0];
+  assert.equal(plain.tag_id, alice);
+
+  await request(app).post(`/faces/${lookalike}/rejections`).send({ tag_id: alice }).expect(201);
+  const after = await request(app).post(`/photos/${photoId}/faces:recognize`).send({ threshold: 0.6 }).expect(200);
+  const pushed = after.body.items.find((i) => i.face_id === probe);
+  assert.ok(pushed.candidates[0].score < plain.score);
+  assert.ok(pushed.candidates[0].negative_score > pushed.candidates[0].face_score);
+  assert.equal(pushed.recognized_tag_id, null);
+});
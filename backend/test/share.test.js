@@ -97,6 +97,9 @@ test('person scope filters photos/tags/stats and blocks writes', async () => {
   await agent.post('/photos').expect(403);
   await agent.post(`/photos/${id1}/tags`).send({ tag: 'X' }).expect(403);
   await agent.delete('/photos').send({ ids: [id1] }).expect(403);
+  // and so are the editor's face tools, which would show everyone in the event
+  await agent.get(`/events/${eventId}/review`).expect(403);
+  await agent.get(`/events/${eventId}/face-clusters`).expect(403);
 });
 
 test('revoking a link prevents new logins', async () => {
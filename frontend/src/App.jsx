@@ -1,10 +1,27 @@
 import { useCallback, useEffect, useMemo, useRef, useState } from 'react'
 import './App.css'
 
+// Browsers don't map camera RAW and often not HEIC to image/*; the server turns these into JPEG previews
+const UPLOAD_ACCEPT = 'image/*,.heic,.heif,.cr2,.cr3,.nef,.nrw,.arw,.dng,.orf,.rw2,.raf,.pef,.srw'
+
+// Show one tile per collapsed burst stack: its cover if loaded, else its first loaded frame
+function collapseStacks(list, stackByPhoto, expandedStacks) {
+  if (stackByPhoto.size === 0) return list
+  const present = new Set(list.map((p) => p.id))
+  return list.filter((p) => {
+    const stack = stackByPhoto.get(p.id)
+    if (!stack || expandedStacks.has(stack.id)) return true
+    const shown = present.has(stack.cover_photo_id) ? stack.cover_photo_id : stack.photo_ids.find((id) => present.has(id))
+    return p.id === shown
+  })
+}
+
 function App() {
   const API_BASE = import.meta.env.VITE_API_URL || 'http://localhost:4000'
   const [photos, setPhotos] = useState([])
   const [nextCursor, setNextCursor] = useState(null)
+  // Gallery order: 'id' (newest upload first) or 'taken_at' (capture time, oldest first)
+  const [photoSort, setPhotoSort] = useState('id')
   const [isLoadingPage, setIsLoadingPage] = useState(false)
 
   // Tags state per photo id (must be declared before usage)
@@ -27,6 +44,8 @@ function App() {
   const [isBulkUploading, setIsBulkUploading] = useState(false)
   const [bulkTotal, setBulkTotal] = useState(0)
   const [bulkDone, setBulkDone] = useState(0)
+  // Files the server refused in the last upload: { name, error }
+  const [uploadErrors, setUploadErrors] = useState([])
   // Virtualization removed for stability; keeping simple grid
 
   const [stats, setStats] = useState({ total: 0, completed: 0 })
@@ -54,14 +73,45 @@ function App() {
 
   const [faces, setFaces] = useState([])
   const previewImgRef = useRef(null)
-  const [previewSize, setPreviewSize] = useState({ w: 0, h: 0 })
+  const [previewSize, setPreviewSize] = useState({ w: 0, h: 0, x: 0, y: 0 })
+  const [isEditingFaces, setIsEditingFaces] = useState(false)
+  // Box being moved, resized or drawn, in preview pixels
+  const [faceDrag, setFaceDrag] = useState(null)
+  // Face whose person picker is open
+  const [faceTagPicker, setFaceTagPicker] = useState(null)
+  const [faceTagInput, setFaceTagInput] = useState('')
+  const [faceTagHighlight, setFaceTagHighlight] = useState(0)
+  // Face highlighted on the overlay from the people list
+  const [hoveredFaceId, setHoveredFaceId] = useState(null)
+  // Right-click menu on a face box, and the gallery narrowed to photos with similar faces
+  // (or to the matches of an uploaded selfie)
+  const [faceMenu, setFaceMenu] = useState({ open: false, x: 0, y: 0, faceId: null })
+  const [similarFilter, setSimilarFilter] = useState(null)
+  const [isSelfieSearching, setIsSelfieSearching] = useState(false)
+  const [isTaggingRecognized, setIsTaggingRecognized] = useState(false)
+  const [tagAllResult, setTagAllResult] = useState(null)
 
-  const filteredPhotos = useMemo(() => {
+  // Burst stacks of the event, collapsed to one tile unless expanded
+  const [stacks, setStacks] = useState([])
+  const [expandedStacks, setExpandedStacks] = useState(() => new Set())
+  const stackByPhoto = useMemo(() => {
+    const map = new Map()
+    for (const st of stacks) for (const id of st.photo_ids) map.set(id, st)
+    return map
+  }, [stacks])
+
+  const tagFilteredPhotos = useMemo(() => {
     if (!activeTags || activeTags.length === 0) return photos
     const selectedLower = new Set(activeTags.map((t) => t.toLowerCase()))
     return photos.filter((p) => (tagsById[p.id] || []).some((t) => selectedLower.has(String(t).toLowerCase())))
   }, [activeTags, photos, tagsById])
 
+  const filteredPhotos = useMemo(() => {
+    // Picking tags after a similar-face search supersedes it
+    if (similarFilter && similarFilter.activeTags === activeTags) return similarFilter.photos
+    return collapseStacks(tagFilteredPhotos, stackByPhoto, expandedStacks)
+  }, [activeTags, tagFilteredPhotos, similarFilter, stackByPhoto, expandedStacks])
+
   const completedCount = useMemo(() => {
     return stats.completed ?? filteredPhotos.filter((p) => p.completed).length
   }, [filteredPhotos, stats])
@@ -102,14 +152,18 @@ function App() {
     return () => clearTimeout(t)
   }, [tagInput])
 
-  const suggestions = useMemo(() => {
-    const q = debouncedTagInput.trim().toLowerCase()
+  // Known tags matching a query, minus the ones already in use
+  const matchTags = useCallback((query, exclude = []) => {
+    const q = query.trim().toLowerCase()
     if (!q) return []
+    const taken = exclude.map((s) => s.toLowerCase())
     return allTags
       .filter((t) => t.toLowerCase().includes(q))
-      .filter((t) => !selectedTags.map((s) => s.toLowerCase()).includes(t.toLowerCase()))
+      .filter((t) => !taken.includes(t.toLowerCase()))
       .slice(0, 8)
-  }, [allTags, selectedTags, debouncedTagInput])
+  }, [allTags])
+
+  const suggestions = useMemo(() => matchTags(debouncedTagInput, selectedTags), [matchTags, selectedTags, debouncedTagInput])
 
   useEffect(() => {
     if (suggestions.length > 0) setHighlightedSuggestion(0); else setHighlightedSuggestion(-1)
@@ -460,7 +514,7 @@ function App() {
   const loadCoreData = useCallback(async () => {
     try {
       const [photosResp, tagsResp] = await Promise.all([
-        fetch(`${API_BASE}/photos?limit=50`, { credentials: 'include' }),
+        fetch(`${API_BASE}/photos?limit=50&sort=${photoSort}`, { credentials: 'include' }),
         fetch(`${API_BASE}/tags`, { credentials: 'include' })
       ])
       const photosJson = photosResp.ok ? await photosResp.json() : { items: [] }
@@ -477,7 +531,7 @@ function App() {
     } catch (e) {
       console.error('Failed to load data', e)
     }
-  }, [API_BASE])
+  }, [API_BASE, photoSort])
 
   const loadEvents = useCallback(async () => {
     try {
@@ -514,6 +568,51 @@ function App() {
     refreshStats()
   }, [API_BASE, currentEventId, loadCoreData, refreshStats])
 
+  const loadStacks = useCallback(async () => {
+    if (!currentEventId || isPersonView) return
+    try {
+      const resp = await fetch(`${API_BASE}/events/${currentEventId}/stacks`, { credentials: 'include' })
+      if (!resp.ok) return
+      const json = await resp.json()
+      setStacks(json.stacks || [])
+    } catch (e) { console.error(e) }
+  }, [API_BASE, currentEventId, isPersonView])
+
+  // New uploads can extend or start a burst; a bulk upload reloads them once, when it is done
+  useEffect(() => {
+    if (isBulkUploading) return
+    loadStacks()
+  }, [loadStacks, photos.length, isBulkUploading])
+
+  // Expand or collapse a stack, keeping the selection on it
+  const toggleStack = useCallback((stack) => {
+    const next = new Set(expandedStacks)
+    if (next.has(stack.id)) next.delete(stack.id); else next.add(stack.id)
+    setExpandedStacks(next)
+    const list = collapseStacks(tagFilteredPhotos, stackByPhoto, next)
+    const idx = list.findIndex((p) => stack.photo_ids.includes(p.id))
+    if (idx >= 0) {
+      setSelectedIndex(idx)
+      setSelectedIndices(new Set([idx]))
+      setAnchorIndex(idx)
+    }
+  }, [expandedStacks, tagFilteredPhotos, stackByPhoto])
+
+  // Keep the selected frame of its burst and reject the rest
+  const pickBestOfStack = useCallback(async () => {
+    if (!selected?.id) return
+    try {
+      const resp = await fetch(`${API_BASE}/photos/${selected.id}/stack:pick`, { method: 'POST', credentials: 'include' })
+      if (!resp.ok) throw new Error(`Picking the best frame failed (${resp.status})`)
+      const stack = await resp.json()
+      const rejected = new Set(stack.rejected_ids)
+      setPhotos((prev) => prev.map((p) => (stack.photo_ids.includes(p.id) ? { ...p, rejected: rejected.has(p.id) } : p)))
+      setStacks((prev) => prev.map((st) => (st.id === stack.id ? stack : st)))
+    } catch (e) {
+      console.error(e)
+    }
+  }, [API_BASE, selected])
+
   // Detect /share/:token and initialize person view flow
   useEffect(() => {
     try {
@@ -567,7 +666,7 @@ function App() {
     if (!nextCursor || isLoadingPage) return
     try {
       setIsLoadingPage(true)
-      const resp = await fetch(`${API_BASE}/photos?limit=50&cursor=${encodeURIComponent(nextCursor)}`, { credentials: 'include' })
+      const resp = await fetch(`${API_BASE}/photos?limit=50&sort=${photoSort}&cursor=${encodeURIComponent(nextCursor)}`, { credentials: 'include' })
       if (!resp.ok) return
       const json = await resp.json()
       const items = Array.isArray(json) ? json : json.items || []
@@ -581,7 +680,7 @@ function App() {
     } finally {
       setIsLoadingPage(false)
     }
-  }, [API_BASE, isLoadingPage, nextCursor])
+  }, [API_BASE, isLoadingPage, nextCursor, photoSort])
 
   useEffect(() => {
     refreshStats()
@@ -597,6 +696,8 @@ function App() {
   const [showSettings, setShowSettings] = useState(false)
   const [settingsPrompt, setSettingsPrompt] = useState('')
   const [settingsModel, setSettingsModel] = useState('gpt-4o-mini')
+  // Face recognition tuning, keyed by settings column
+  const [recognitionSettings, setRecognitionSettings] = useState({ recognition_threshold: '', face_weight: '', appearance_weight: '', pose_limit_degrees: '', min_face_size: '', review_margin: '' })
   const [personPasswordInput, setPersonPasswordInput] = useState('')
   const [isSavingPersonPassword, setIsSavingPersonPassword] = useState(false)
   const [shareLinks, setShareLinks] = useState([])
@@ -604,6 +705,22 @@ function App() {
   const [linkTagToCreate, setLinkTagToCreate] = useState('')
   const [isCreatingLink, setIsCreatingLink] = useState(false)
   const [showShareManager, setShowShareManager] = useState(false)
+  const [showFaceClusters, setShowFaceClusters] = useState(false)
+  const [faceClusters, setFaceClusters] = useState({ clusters: [], total_faces: 0, unclustered: 0 })
+  const [isLoadingFaceClusters, setIsLoadingFaceClusters] = useState(false)
+  const [clusterNames, setClusterNames] = useState({})
+  const [namingClusterId, setNamingClusterId] = useState(null)
+  // Low-confidence recognition triage
+  const [showReview, setShowReview] = useState(false)
+  const [reviewQueue, setReviewQueue] = useState({ items: [], total: 0 })
+  const [isLoadingReview, setIsLoadingReview] = useState(false)
+  // Last event-wide recognition run ({ count, recognized }) while it is shown
+  const [isRecognizing, setIsRecognizing] = useState(false)
+  const [recognitionRun, setRecognitionRun] = useState(null)
+  const [reviewNewName, setReviewNewName] = useState(null)
+  const reviewCardRef = useRef(null)
+  // Event-wide face detection batch being tracked ({ id, total, done, failed, finished, ... })
+  const [detectBatch, setDetectBatch] = useState(null)
 
   const loadSettings = useCallback(async () => {
     try {
@@ -612,6 +729,11 @@ function App() {
       const json = await resp.json()
       setSettingsPrompt(json.system_prompt || '')
       setSettingsModel(json.model || 'gpt-4o-mini')
+      setRecognitionSettings((prev) => {
+        const next = { ...prev }
+        for (const key of Object.keys(prev)) next[key] = json[key] ?? ''
+        return next
+      })
       if (json.current_event_id) setCurrentEventId(json.current_event_id)
       if (json.current_event_name) setCurrentEventName(json.current_event_name)
       await loadEvents()
@@ -628,12 +750,13 @@ function App() {
     try {
       const resp = await fetch(`${API_BASE}/settings`, {
         method: 'POST', headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ system_prompt: settingsPrompt, model: settingsModel }),
+        body: JSON.stringify({ system_prompt: settingsPrompt, model: settingsModel, ...recognitionSettings }),
         credentials: 'include'
       })
       if (resp.ok) setShowSettings(false)
+      else console.error((await resp.json().catch(() => ({}))).error || 'Failed to save settings')
     } catch (e) { console.error(e) }
-  }, [API_BASE, settingsPrompt, settingsModel])
+  }, [API_BASE, settingsPrompt, settingsModel, recognitionSettings])
 
   const savePersonPassword = useCallback(async () => {
     try {
@@ -675,6 +798,169 @@ function App() {
     } catch (e) { console.error(e) }
   }, [API_BASE, refreshShareLinks])
 
+  const loadFaceClusters = useCallback(async () => {
+    if (!currentEventId) return
+    try {
+      setIsLoadingFaceClusters(true)
+      const resp = await fetch(`${API_BASE}/events/${currentEventId}/face-clusters`, { credentials: 'include' })
+      if (!resp.ok) return
+      // 202: the groups are being computed by a background job; wait for its result
+      if (resp.status === 202) {
+        let { job } = await resp.json()
+        while (job.status === 'queued' || job.status === 'running') {
+          await new Promise((resolve) => setTimeout(resolve, 1000))
+          const poll = await fetch(`${API_BASE}/jobs/${job.id}`, { credentials: 'include' })
+          if (!poll.ok) return
+          job = await poll.json()
+        }
+        if (job.status === 'succeeded') setFaceClusters(job.result)
+        return
+      }
+      setFaceClusters(await resp.json())
+    } catch (e) { console.error(e) } finally { setIsLoadingFaceClusters(false) }
+  }, [API_BASE, currentEventId])
+
+  const nameFaceCluster = useCallback(async (cluster) => {
+    const name = (clusterNames[cluster.cluster_id] || '').trim()
+    if (!name || !currentEventId) return
+    try {
+      setNamingClusterId(cluster.cluster_id)
+      const resp = await fetch(`${API_BASE}/events/${currentEventId}/face-clusters:name`, {
+        method: 'POST', headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ name, face_ids: cluster.faces.map((f) => f.face_id) }),
+        credentials: 'include'
+      })
+      if (!resp.ok) throw new Error('Failed to name cluster')
+      setClusterNames((prev) => { const next = { ...prev }; delete next[cluster.cluster_id]; return next })
+      await loadCoreData()
+      await loadFaceClusters()
+    } catch (e) { console.error(e) } finally { setNamingClusterId(null) }
+  }, [API_BASE, currentEventId, clusterNames, loadCoreData, loadFaceClusters])
+
+  const loadReviewQueue = useCallback(async () => {
+    if (!currentEventId) return
+    try {
+      setIsLoadingReview(true)
+      const resp = await fetch(`${API_BASE}/events/${currentEventId}/review`, { credentials: 'include' })
+      if (resp.ok) setReviewQueue(await resp.json())
+    } catch (e) { console.error(e) } finally { setIsLoadingReview(false) }
+  }, [API_BASE, currentEventId])
+
+  // Match every face of the event against the named people; fills the review queue and the
+  // recognitions "Tag all recognized" applies
+  const recognizeEvent = useCallback(async () => {
+    if (!currentEventId) return
+    try {
+      setIsRecognizing(true)
+      const resp = await fetch(`${API_BASE}/events/${currentEventId}/faces:recognize`, { method: 'POST', credentials: 'include' })
+      if (!resp.ok) throw new Error(`Recognition failed (${resp.status})`)
+      const json = await resp.json()
+      setRecognitionRun({ count: json.count, recognized: json.recognized })
+      setTimeout(() => setRecognitionRun(null), 4000)
+      if (showReview) await loadReviewQueue()
+      if (showFaceClusters) await loadFaceClusters()
+    } catch (e) { console.error(e) } finally { setIsRecognizing(false) }
+  }, [API_BASE, currentEventId, showReview, showFaceClusters, loadReviewQueue, loadFaceClusters])
+
+  // Resolve the face at the head of the queue: a tag name assigns it, null sets it aside
+  const resolveReviewItem = useCallback(async (item, tagName) => {
+    if (!item) return
+    setReviewNewName(null)
+    try {
+      const resp = tagName === null
+        ? await fetch(`${API_BASE}/faces/${item.face_id}:reject`, { method: 'POST', credentials: 'include' })
+        : await fetch(`${API_BASE}/faces/${item.face_id}/tag`, {
+          method: 'PUT', headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ tag: tagName }),
+          credentials: 'include'
+        })
+      if (!resp.ok) throw new Error('Failed to resolve face')
+      const json = await resp.json()
+      if (tagName !== null) {
+        setTagsById((p) => ({ ...p, [json.photo_id]: json.photo_tags || [] }))
+        setAllTags((prevAll) => (prevAll.some((t) => t.toLowerCase() === json.recognized_tag_name.toLowerCase()) ? prevAll : [...prevAll, json.recognized_tag_name]))
+        setFaces((prev) => prev.map((f) => (f.id === item.face_id
+          ? { ...f, recognized_tag_id: json.recognized_tag_id, recognized_tag_name: json.recognized_tag_name, assignment_source: json.assignment_source }
+          : f)))
+      }
+      const remaining = reviewQueue.items.filter((i) => i.face_id !== item.face_id)
+      setReviewQueue((prev) => ({ ...prev, items: remaining, total: Math.max(0, prev.total - 1) }))
+      if (remaining.length === 0 && reviewQueue.total > reviewQueue.items.length) await loadReviewQueue()
+    } catch (e) { console.error(e) }
+    reviewCardRef.current?.focus()
+  }, [API_BASE, reviewQueue, loadReviewQueue])
+
+  const skipReviewItem = useCallback(() => {
+    setReviewNewName(null)
+    setReviewQueue((prev) => (prev.items.length > 1 ? { ...prev, items: [...prev.items.slice(1), prev.items[0]] } : prev))
+  }, [])
+
+  const onReviewKeyDown = useCallback((e) => {
+    if (e.key === 'Escape') { e.preventDefault(); if (reviewNewName !== null) setReviewNewName(null); else setShowReview(false); return }
+    // Typing a new name: leave the keys to the input
+    if (e.target.tagName === 'INPUT') return
+    e.stopPropagation()
+    const item = reviewQueue.items[0]
+    if (!item) return
+    const key = e.key.toLowerCase()
+    if (['1', '2', '3'].includes(key)) {
+      const candidate = item.candidates[Number(key) - 1]
+      if (candidate) { e.preventDefault(); resolveReviewItem(item, candidate.tag_name) }
+    } else if (key === 'n') {
+      e.preventDefault()
+      setReviewNewName('')
+    } else if (key === 'x') {
+      e.preventDefault()
+      resolveReviewItem(item, null)
+    } else if (key === 's') {
+      e.preventDefault()
+      skipReviewItem()
+    }
+  }, [reviewQueue, reviewNewName, resolveReviewItem, skipReviewItem])
+
+  useEffect(() => {
+    if (showReview) reviewCardRef.current?.focus()
+  }, [showReview])
+
+  const startEventDetection = useCallback(async (force) => {
+    if (!currentEventId) return
+    try {
+      const resp = await fetch(`${API_BASE}/events/${currentEventId}/faces:detect`, {
+        method: 'POST', headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ force: !!force }),
+        credentials: 'include'
+      })
+      if (!resp.ok) throw new Error('Failed to start detection')
+      const json = await resp.json()
+      setDetectBatch(json.batch)
+    } catch (e) { console.error(e) }
+  }, [API_BASE, currentEventId])
+
+  const cancelEventDetection = useCallback(async () => {
+    if (!detectBatch) return
+    try {
+      const resp = await fetch(`${API_BASE}/job-batches/${detectBatch.id}:cancel`, { method: 'POST', credentials: 'include' })
+      if (resp.ok) setDetectBatch(await resp.json())
+    } catch (e) { console.error(e) }
+  }, [API_BASE, detectBatch])
+
+  // Poll the detection batch until it finishes, then refresh the proposed groups
+  useEffect(() => {
+    if (!detectBatch || detectBatch.finished) return
+    const timer = setTimeout(async () => {
+      try {
+        const resp = await fetch(`${API_BASE}/job-batches/${detectBatch.id}`, { credentials: 'include' })
+        if (!resp.ok) return
+        const json = await resp.json()
+        setDetectBatch(json)
+        if (json.finished) await loadFaceClusters()
+      } catch (e) { console.error(e) }
+    }, 1500)
+    return () => clearTimeout(timer)
+  }, [API_BASE, detectBatch, loadFaceClusters])
+
+  const faceCropUrl = (faceId) => `${API_BASE}/faces/${faceId}/crop`
+
   const setCurrentEvent = useCallback(async (eventId, fallbackName) => {
     try {
       const resp = await fetch(`${API_BASE}/settings/event`, {
@@ -781,6 +1067,38 @@ function App() {
       setIsIdentifying(false)
     }
   }, [API_BASE, selected])
+  // Apply everyone recognized on the selected photos as photo tags, in one request
+  const tagAllRecognized = useCallback(async () => {
+    const ids = Array.from(selectedIndices).map((i) => filteredPhotos[i]?.id).filter(Boolean)
+    if (ids.length === 0 && selected?.id) ids.push(selected.id)
+    if (ids.length === 0) return
+    setIsTaggingRecognized(true)
+    try {
+      const resp = await fetch(`${API_BASE}/photos/recognized-tags:apply`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ photo_ids: ids }),
+        credentials: 'include'
+      })
+      if (!resp.ok) throw new Error(`Tagging recognized people failed (${resp.status})`)
+      const json = await resp.json()
+      const tagsByPhoto = new Map(json.items.map((it) => [it.photo_id, it.tags]))
+      setTagsById((prev) => {
+        const next = { ...prev }
+        for (const [id, tags] of tagsByPhoto) next[id] = tags
+        return next
+      })
+      setPhotos((prev) => prev.map((p) => (tagsByPhoto.has(p.id) ? { ...p, tags: tagsByPhoto.get(p.id) } : p)))
+      const addedNames = json.items.flatMap((it) => it.added)
+      setAllTags((prevAll) => [...prevAll, ...addedNames.filter((n, i) => addedNames.indexOf(n) === i && !prevAll.some((t) => t.toLowerCase() === n.toLowerCase()))])
+      setTagAllResult(json.added_count)
+      setTimeout(() => setTagAllResult(null), 4000)
+    } catch (e) {
+      console.error(e)
+    } finally {
+      setIsTaggingRecognized(false)
+    }
+  }, [API_BASE, filteredPhotos, selectedIndices, selected])
   const confirmDelete = useCallback(async () => {
     try {
       const ids = Array.from(selectedIndices).map((i) => filteredPhotos[i]?.id).filter(Boolean)
@@ -807,7 +1125,7 @@ function App() {
     const onResize = () => {
       const img = previewImgRef.current
       if (!img) return
-      setPreviewSize({ w: img.clientWidth || 0, h: img.clientHeight || 0 })
+      setPreviewSize({ w: img.clientWidth || 0, h: img.clientHeight || 0, x: img.offsetLeft || 0, y: img.offsetTop || 0 })
     }
     window.addEventListener('resize', onResize)
     return () => window.removeEventListener('resize', onResize)
@@ -817,6 +1135,7 @@ function App() {
     // Load stored faces for selected photo
     (async () => {
       try {
+        setFaceTagPicker(null)
         if (!selected?.id) { setFaces([]); return }
         const r = await fetch(`${API_BASE}/photos/${selected.id}/faces`, { credentials: 'include' })
         if (r.ok) {
@@ -825,11 +1144,236 @@ function App() {
         }
         // update size
         const img = previewImgRef.current
-        if (img) setPreviewSize({ w: img.clientWidth || 0, h: img.clientHeight || 0 })
+        if (img) setPreviewSize({ w: img.clientWidth || 0, h: img.clientHeight || 0, x: img.offsetLeft || 0, y: img.offsetTop || 0 })
       } catch (e) { console.error(e) }
     })()
   }, [API_BASE, selected])
 
+  // Preview pixels per original pixel; face boxes are stored in original pixels
+  const faceScale = useCallback(() => {
+    const img = previewImgRef.current
+    const sx = (img?.clientWidth || 0) / (selected?.width || img?.naturalWidth || 1)
+    const sy = (img?.clientHeight || 0) / (selected?.height || img?.naturalHeight || 1)
+    return { sx: isFinite(sx) && sx > 0 ? sx : 1, sy: isFinite(sy) && sy > 0 ? sy : 1 }
+  }, [selected])
+
+  const saveFaceBox = useCallback(async (faceId, box) => {
+    if (!selected?.id) return
+    const { sx, sy } = faceScale()
+    const bbox = {
+      left: Math.round(box.left / sx),
+      top: Math.round(box.top / sy),
+      width: Math.round(box.width / sx),
+      height: Math.round(box.height / sy)
+    }
+    try {
+      const r = await fetch(faceId ? `${API_BASE}/faces/${faceId}` : `${API_BASE}/photos/${selected.id}/faces`, {
+        method: faceId ? 'PATCH' : 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        credentials: 'include',
+        body: JSON.stringify({ bbox })
+      })
+      if (!r.ok) throw new Error(`Saving face failed (${r.status})`)
+      const face = await r.json()
+      setFaces((prev) => (faceId ? prev.map((f) => (f.id === faceId ? face : f)) : [...prev, face]))
+    } catch (e) {
+      console.error(e)
+    }
+  }, [API_BASE, selected, faceScale])
+
+  // Empty input offers the photo's own person tags first
+  const faceTagSuggestions = useMemo(() => {
+    if (!faceTagPicker) return []
+    const current = faces.find((f) => f.id === faceTagPicker)?.recognized_tag_name
+    if (!faceTagInput.trim()) return selectedTags.filter((t) => t !== current).slice(0, 8)
+    return matchTags(faceTagInput, current ? [current] : [])
+  }, [faceTagPicker, faceTagInput, faces, selectedTags, matchTags])
+
+  const openFaceTagPicker = useCallback((faceId) => {
+    setFaceTagPicker(faceId)
+    setFaceTagInput('')
+    setFaceTagHighlight(0)
+  }, [])
+
+  // Assign a face to a person (null clears it); the server keeps the photo's tags in step
+  const assignFaceTag = useCallback(async (faceId, rawTag) => {
+    const tag = rawTag === null ? null : rawTag.trim()
+    if (tag === '') return
+    const existing = tag && allTags.find((t) => t.toLowerCase() === tag.toLowerCase())
+    setFaceTagPicker(null)
+    try {
+      const r = await fetch(`${API_BASE}/faces/${faceId}/tag`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        credentials: 'include',
+        body: JSON.stringify({ tag: existing || tag })
+      })
+      if (!r.ok) throw new Error(`Assigning face failed (${r.status})`)
+      const js = await r.json()
+      setFaces((prev) => prev.map((f) => (f.id === faceId
+        ? { ...f, recognized_tag_id: js.recognized_tag_id, recognized_tag_name: js.recognized_tag_name, assignment_source: js.assignment_source }
+        : f)))
+      setTagsById((p) => ({ ...p, [js.photo_id]: js.photo_tags || [] }))
+      if (js.recognized_tag_name) {
+        setAllTags((prevAll) => (prevAll.some((t) => t.toLowerCase() === js.recognized_tag_name.toLowerCase()) ? prevAll : [...prevAll, js.recognized_tag_name]))
+      }
+    } catch (e) {
+      console.error(e)
+    }
+  }, [API_BASE, allTags])
+
+  const onFaceTagKeyDown = useCallback((e, faceId) => {
+    // Keep arrow keys from moving the photo selection
+    e.stopPropagation()
+    if (e.key === 'Escape') { setFaceTagPicker(null); return }
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      e.preventDefault()
+      const n = faceTagSuggestions.length
+      if (n > 0) setFaceTagHighlight((i) => (e.key === 'ArrowDown' ? (i + 1) % n : (i <= 0 ? n - 1 : i - 1)))
+      return
+    }
+    if (e.key === 'Enter') {
+      e.preventDefault()
+      const pick = faceTagSuggestions[faceTagHighlight]
+      if (pick) assignFaceTag(faceId, pick)
+      else if (faceTagInput.trim()) assignFaceTag(faceId, faceTagInput)
+    }
+  }, [faceTagSuggestions, faceTagHighlight, faceTagInput, assignFaceTag])
+
+  // "Not this person": clears the face's assignment and records a negative example
+  const rejectFacePerson = useCallback(async (face) => {
+    try {
+      const r = await fetch(`${API_BASE}/faces/${face.id}/rejections`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        credentials: 'include',
+        body: JSON.stringify({ tag_id: face.recognized_tag_id })
+      })
+      if (!r.ok) throw new Error(`Rejecting person failed (${r.status})`)
+      const js = await r.json()
+      setFaces((prev) => prev.map((f) => (f.id === face.id
+        ? { ...f, recognized_tag_id: js.recognized_tag_id, recognized_tag_name: null, assignment_source: js.assignment_source, fused_score: null }
+        : f)))
+      setTagsById((p) => ({ ...p, [js.photo_id]: js.photo_tags || [] }))
+    } catch (e) {
+      console.error(e)
+    }
+  }, [API_BASE])
+
+  const showSimilarPhotos = useCallback((label, matched) => {
+    setTagsById((prev) => {
+      const next = { ...prev }
+      for (const p of matched) next[p.id] = Array.isArray(p.tags) ? p.tags : []
+      return next
+    })
+    setSimilarFilter({ label, photos: matched, activeTags })
+    setSelectedIndex(0)
+    setSelectedIndices(new Set([0]))
+    setAnchorIndex(0)
+  }, [activeTags])
+
+  // Narrow the gallery to photos holding faces like this one, most similar first
+  const findSimilarFaces = useCallback(async (faceId) => {
+    setFaceMenu({ open: false, x: 0, y: 0, faceId: null })
+    try {
+      const r = await fetch(`${API_BASE}/faces/${faceId}/similar?limit=50`, { credentials: 'include' })
+      if (!r.ok) throw new Error(`Similar face search failed (${r.status})`)
+      const js = await r.json()
+      const photoIds = Array.from(new Set([selected?.id, ...js.items.map((i) => i.photo_id)].filter(Boolean)))
+      const pr = await fetch(`${API_BASE}/photos?ids=${photoIds.join(',')}`, { credentials: 'include' })
+      if (!pr.ok) throw new Error(`Loading photos failed (${pr.status})`)
+      const pj = await pr.json()
+      const byId = new Map((pj.items || []).map((p) => [p.id, p]))
+      const matched = photoIds.map((id) => byId.get(id)).filter(Boolean)
+      showSimilarPhotos(`Similar to face #${faceId}`, matched)
+    } catch (e) {
+      console.error(e)
+    }
+  }, [API_BASE, selected, showSimilarPhotos])
+
+  const searchBySelfie = useCallback(async (file) => {
+    setIsSelfieSearching(true)
+    try {
+      const fd = new FormData()
+      fd.append('photo', file)
+      const r = await fetch(`${API_BASE}/search/by-face`, { method: 'POST', body: fd, credentials: 'include' })
+      const js = await r.json().catch(() => ({}))
+      if (!r.ok) throw new Error(js.error || `Selfie search failed (${r.status})`)
+      showSimilarPhotos('Matching your selfie', js.items || [])
+    } catch (e) {
+      console.error(e)
+    } finally {
+      setIsSelfieSearching(false)
+    }
+  }, [API_BASE, showSimilarPhotos])
+
+  const recognizedFaces = useMemo(() => faces.filter((f) => f.recognized_tag_id), [faces])
+
+  const deleteFace = useCallback(async (faceId) => {
+    try {
+      const r = await fetch(`${API_BASE}/faces/${faceId}`, { method: 'DELETE', credentials: 'include' })
+      if (!r.ok) throw new Error(`Deleting face failed (${r.status})`)
+      setFaces((prev) => prev.filter((f) => f.id !== faceId))
+    } catch (e) {
+      console.error(e)
+    }
+  }, [API_BASE])
+
+  const startFaceDrag = useCallback((e, mode, face, box) => {
+    if (!isEditingFaces || e.button !== 0) return
+    e.preventDefault()
+    e.stopPropagation()
+    const rect = e.currentTarget.closest('.face-overlay').getBoundingClientRect()
+    const x = e.clientX - rect.left
+    const y = e.clientY - rect.top
+    e.currentTarget.setPointerCapture?.(e.pointerId)
+    setFaceDrag({
+      mode,
+      id: face?.id || null,
+      startX: x,
+      startY: y,
+      origin: box || { left: x, top: y, width: 0, height: 0 },
+      box: box || { left: x, top: y, width: 0, height: 0 }
+    })
+  }, [isEditingFaces])
+
+  const moveFaceDrag = useCallback((e) => {
+    if (!faceDrag) return
+    const rect = e.currentTarget.closest('.face-overlay').getBoundingClientRect()
+    const x = Math.min(Math.max(0, e.clientX - rect.left), rect.width)
+    const y = Math.min(Math.max(0, e.clientY - rect.top), rect.height)
+    const dx = x - faceDrag.startX
+    const dy = y - faceDrag.startY
+    const o = faceDrag.origin
+    let box
+    if (faceDrag.mode === 'move') {
+      box = {
+        left: Math.min(Math.max(0, o.left + dx), rect.width - o.width),
+        top: Math.min(Math.max(0, o.top + dy), rect.height - o.height),
+        width: o.width,
+        height: o.height
+      }
+    } else if (faceDrag.mode === 'resize') {
+      box = { left: o.left, top: o.top, width: Math.max(8, o.width + dx), height: Math.max(8, o.height + dy) }
+    } else {
+      box = { left: Math.min(x, faceDrag.startX), top: Math.min(y, faceDrag.startY), width: Math.abs(dx), height: Math.abs(dy) }
+    }
+    setFaceDrag((d) => (d ? { ...d, box } : d))
+  }, [faceDrag])
+
+  const endFaceDrag = useCallback(async () => {
+    if (!faceDrag) return
+    const { mode, id, box, origin } = faceDrag
+    setFaceDrag(null)
+    if (mode === 'draw') {
+      // Ignore clicks and tiny accidental drags
+      if (box.width < 6 || box.height < 6) return
+      await saveFaceBox(null, box)
+    } else if (box.left !== origin.left || box.top !== origin.top || box.width !== origin.width || box.height !== origin.height) {
+      await saveFaceBox(id, box)
+    }
+  }, [faceDrag, saveFaceBox])
+
   return (
     <>
       <header className="topbar">
@@ -842,6 +1386,19 @@ function App() {
         )}
         <div className="topbar-actions">
           <span className="counter" title="Completed / Total in gallery">{completedCount}/{stats.total}</span>
+          <button
+            className="gear-btn"
+            onClick={() => { setPhotoSort((s) => (s === 'id' ? 'taken_at' : 'id')); setSelectedIndex(0); setSelectedIndices(new Set([0])); setAnchorIndex(0) }}
+            title={photoSort === 'id' ? 'Sorted by upload, newest first (click to sort by capture time)' : 'Sorted by capture time (click to sort by upload)'}
+          >
+            {photoSort === 'id' ? 'Upload order' : 'Capture time'}
+          </button>
+          {!isPersonView && (
+            <button className="gear-btn" onClick={() => { setShowFaceClusters(true); loadFaceClusters() }} title="Group unnamed faces into people">People</button>
+          )}
+          {!isPersonView && (
+            <button className="gear-btn" onClick={() => { setShowReview(true); setReviewNewName(null); loadReviewQueue() }} title="Resolve low-confidence recognitions">Review</button>
+          )}
           {!isPersonView && (
             <button className="gear-btn" onClick={() => { setShowSettings(true); loadSettings() }} title="Settings">
               <svg width="18" height="18" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg" aria-hidden="true">
@@ -849,6 +1406,30 @@ function App() {
               </svg>
             </button>
           )}
+          <input
+            id="selfie-input"
+            type="file"
+            accept="image/*"
+            style={{ display: 'none' }}
+            onChange={(e) => {
+              const file = e.target.files?.[0]
+              e.target.value = ''
+              if (file) searchBySelfie(file)
+            }}
+          />
+          <button
+            className="gear-btn"
+            onClick={() => document.getElementById('selfie-input')?.click()}
+            disabled={isSelfieSearching}
+            title="Upload a selfie to find the photos you appear in"
+          >
+            {isSelfieSearching ? 'Searching…' : 'Find me'}
+          </button>
+          {isPersonView && similarFilter && (
+            <button className="gear-btn" onClick={() => setSimilarFilter(null)} title="Back to your personal album">
+              {similarFilter.label} ({similarFilter.photos.length}) ×
+            </button>
+          )}
           {isPersonView && (
             <button className="describe-btn" onClick={async () => { try { await fetch(`${API_BASE}/auth/logout`, { method: 'POST', credentials: 'include' }); window.location.href = '/' } catch {} }}>Sign out</button>
           )}
@@ -885,7 +1466,7 @@ function App() {
           <input
             id="file-input"
             type="file"
-            accept="image/*"
+            accept={UPLOAD_ACCEPT}
             multiple
             style={{ display: 'none' }}
             onChange={async (e) => {
@@ -895,6 +1476,7 @@ function App() {
               setIsBulkUploading(true)
               setBulkTotal(capped.length)
               setBulkDone(0)
+              setUploadErrors([])
               setIsUploading(true)
               try {
                 const concurrency = Math.min(6, capped.length)
@@ -903,9 +1485,13 @@ function App() {
                   const fd = new FormData()
                   fd.append('photo', file)
                   const resp = await fetch(`${API_BASE}/photos`, { method: 'POST', body: fd, credentials: 'include' })
-                  if (!resp.ok) throw new Error('Upload failed')
+                  if (!resp.ok) {
+                    const body = await resp.json().catch(() => ({}))
+                    throw new Error(body.error || `Upload failed (${resp.status})`)
+                  }
                   const created = await resp.json()
-                  setPhotos((prev) => [created, ...prev])
+                  // A file already in the event comes back as the existing photo
+                  setPhotos((prev) => (created.duplicate && prev.some((p) => p.id === created.id) ? prev : [created, ...prev]))
                   setTagsById((prev) => ({ ...prev, [created.id]: created.tags || [] }))
                   setBulkDone((d) => d + 1)
                 }
@@ -915,7 +1501,13 @@ function App() {
                     if (i >= capped.length) break
                     index = i + 1
                     const file = capped[i]
-                    try { await uploadOne(file) } catch (err) { console.error(err) }
+                    try {
+                      await uploadOne(file)
+                    } catch (err) {
+                      console.error(err)
+                      setUploadErrors((prev) => [...prev, { name: file.name, error: err.message }])
+                      setBulkDone((d) => d + 1)
+                    }
                   }
                 }
                 await Promise.all(Array.from({ length: concurrency }, worker))
@@ -986,10 +1578,19 @@ function App() {
         <div className="tag-rail-header">Tags</div>
         <button
           className={`tag-rail-item ${!activeTags || activeTags.length === 0 ? 'active' : ''}`}
-          onClick={() => { setActiveTags([]); setTagAnchorIndex(null); }}
+          onClick={() => { setActiveTags([]); setTagAnchorIndex(null); setSimilarFilter(null) }}
         >
           All
         </button>
+        {similarFilter && similarFilter.activeTags === activeTags && (
+          <button
+            className="tag-rail-item active"
+            onClick={() => setSimilarFilter(null)}
+            title="Clear the similar-face filter"
+          >
+            {similarFilter.label} ({similarFilter.photos.length}) ×
+          </button>
+        )}
         {allTags.map((t) => (
           <div key={t} style={{ display: 'contents' }}>
           {renamingTag && renamingTag.toLowerCase() === t.toLowerCase() ? (
@@ -1064,11 +1665,13 @@ function App() {
         }}>
           {filteredPhotos.map((p, idx) => {
             const isSelected = selectedIndices.has(idx) || idx === selectedIndex
+            const stack = similarFilter ? null : stackByPhoto.get(p.id)
+            const isExpanded = stack && expandedStacks.has(stack.id)
             return (
               <button
                 key={p.id}
                 data-index={idx}
-                className={`thumb-btn ${isSelected ? 'selected' : ''}`}
+                className={`thumb-btn ${isSelected ? 'selected' : ''}${p.rejected ? ' rejected' : ''}${isExpanded ? ' stacked' : ''}`}
                 onClick={(e) => {
                   if (e.shiftKey) {
                     const start = Math.max(0, Math.min(anchorIndex ?? 0, idx))
@@ -1105,6 +1708,16 @@ function App() {
                     </svg>
                   </span>
                 )}
+                {stack && (
+                  <span
+                    className="stack-badge"
+                    role="button"
+                    title={isExpanded ? 'Collapse this burst' : `Burst of ${stack.photo_ids.length} photos (click to expand)`}
+                    onClick={(e) => { e.stopPropagation(); toggleStack(stack) }}
+                  >
+                    {isExpanded ? '−' : stack.photo_ids.length}
+                  </span>
+                )}
               </button>
             )
           })}
@@ -1149,6 +1762,41 @@ function App() {
             <span>{isIdentifying ? 'Identifying…' : 'Identify'}</span>
           </button>
           )}
+          {!isPersonView && selected && stackByPhoto.has(selected.id) && (
+          <button
+            className="describe-btn"
+            onClick={pickBestOfStack}
+            title="Keep this frame of the burst and reject the others"
+          >
+            <span>Pick best</span>
+          </button>
+          )}
+          {!isPersonView && (
+          <button
+            className="describe-btn"
+            onClick={tagAllRecognized}
+            disabled={!selected || isTaggingRecognized}
+            title={selectedIndices.size > 1 ? `Tag the ${selectedIndices.size} selected photos with everyone recognized on them` : 'Tag this photo with everyone recognized on it'}
+          >
+            <span>
+              {isTaggingRecognized
+                ? 'Tagging…'
+                : tagAllResult !== null
+                  ? `Added ${tagAllResult} tag${tagAllResult === 1 ? '' : 's'}`
+                  : 'Tag all recognized'}
+            </span>
+          </button>
+          )}
+          {!isPersonView && (
+          <button
+            className={`describe-btn${isEditingFaces ? ' active' : ''}`}
+            onClick={() => { setIsEditingFaces((v) => !v); setFaceDrag(null); setFaceTagPicker(null) }}
+            disabled={!selected}
+            title="Add, move, resize or remove face boxes"
+          >
+            <span>{isEditingFaces ? 'Done editing' : 'Edit faces'}</span>
+          </button>
+          )}
           {!isPersonView && (
           <button
             className="icon-btn"
@@ -1175,23 +1823,107 @@ function App() {
               ref={previewImgRef}
               src={selected.preview_filename ? `${API_BASE}/uploads/${selected.preview_filename}` : (selected.url || `${API_BASE}/uploads/${selected.filename}`)}
               alt={selected.title || selected.original_name || `Photo ${selected.id}`}
+              onLoad={(e) => {
+                const img = e.currentTarget
+                setPreviewSize({ w: img.clientWidth || 0, h: img.clientHeight || 0, x: img.offsetLeft || 0, y: img.offsetTop || 0 })
+              }}
             />
           )}
-          {faces && faces.length > 0 && (
-            <div className="face-overlay">
+          {selected && ((faces && faces.length > 0) || isEditingFaces) && (
+            <div
+              className={`face-overlay${isEditingFaces ? ' editing' : ''}${!isEditingFaces && !isPersonView ? ' assignable' : ''}`}
+              style={{ left: previewSize.x, top: previewSize.y, width: previewSize.w, height: previewSize.h }}
+              onPointerDown={(e) => startFaceDrag(e, 'draw', null, null)}
+              onPointerMove={moveFaceDrag}
+              onPointerUp={endFaceDrag}
+              onPointerCancel={() => setFaceDrag(null)}
+            >
               {faces.map((f) => {
                 const b = f?.bbox || {}
-                // We assume bbox is in original image pixels; scale to preview
-                const scaleX = (previewImgRef.current?.clientWidth || 0) / (selected?.width || previewImgRef.current?.naturalWidth || 1)
-                const scaleY = (previewImgRef.current?.clientHeight || 0) / (selected?.height || previewImgRef.current?.naturalHeight || 1)
-                const left = Math.max(0, Math.round((b.left || 0) * (isFinite(scaleX) ? scaleX : 1)))
-                const top = Math.max(0, Math.round((b.top || 0) * (isFinite(scaleY) ? scaleY : 1)))
-                const width = Math.max(0, Math.round((b.width || 0) * (isFinite(scaleX) ? scaleX : 1)))
-                const height = Math.max(0, Math.round((b.height || 0) * (isFinite(scaleY) ? scaleY : 1)))
+                // bbox is in original image pixels; scale to preview
+                const { sx, sy } = faceScale()
+                const scaled = {
+                  left: Math.max(0, Math.round((b.left || 0) * sx)),
+                  top: Math.max(0, Math.round((b.top || 0) * sy)),
+                  width: Math.max(0, Math.round((b.width || 0) * sx)),
+                  height: Math.max(0, Math.round((b.height || 0) * sy))
+                }
+                const box = faceDrag && faceDrag.id === f.id ? faceDrag.box : scaled
                 return (
-                  <div key={f.id} className="face-box" style={{ left, top, width, height }} />
+                  <div
+                    key={f.id}
+                    className={`face-box${f.recognized_tag_id ? ' assigned' : ''}${hoveredFaceId === f.id ? ' highlight' : ''}`}
+                    style={box}
+                    onPointerDown={(e) => startFaceDrag(e, 'move', f, scaled)}
+                    onClick={() => { if (!isEditingFaces && !isPersonView) openFaceTagPicker(f.id) }}
+                    onContextMenu={(e) => {
+                      if (isEditingFaces || isPersonView) return
+                      e.preventDefault()
+                      setFaceMenu({ open: true, x: e.clientX, y: e.clientY, faceId: f.id })
+                    }}
+                    title={f.recognized_tag_name || undefined}
+                  >
+                    {f.recognized_tag_name && <span className="face-label">{f.recognized_tag_name}</span>}
+                    {isEditingFaces && (
+                      <>
+                        <button
+                          className="face-delete"
+                          title="Remove face"
+                          onPointerDown={(e) => e.stopPropagation()}
+                          onClick={() => deleteFace(f.id)}
+                        >×</button>
+                        <span className="face-handle" onPointerDown={(e) => startFaceDrag(e, 'resize', f, scaled)} />
+                      </>
+                    )}
+                  </div>
                 )
               })}
+              {faceTagPicker && !isEditingFaces && (() => {
+                const f = faces.find((x) => x.id === faceTagPicker)
+                if (!f) return null
+                const { sx, sy } = faceScale()
+                const b = f.bbox || {}
+                return (
+                  <div
+                    className="face-tag-picker"
+                    style={{ left: Math.round((b.left || 0) * sx), top: Math.round(((b.top || 0) + (b.height || 0)) * sy) + 6 }}
+                    onClick={(e) => e.stopPropagation()}
+                  >
+                    <input
+                      autoFocus
+                      className="tag-text"
+                      type="text"
+                      placeholder={f.recognized_tag_name ? `Reassign ${f.recognized_tag_name}…` : 'Who is this?'}
+                      value={faceTagInput}
+                      onChange={(e) => { setFaceTagInput(e.target.value); setFaceTagHighlight(0) }}
+                      onKeyDown={(e) => onFaceTagKeyDown(e, f.id)}
+                    />
+                    {faceTagSuggestions.length > 0 && (
+                      <ul className="suggestions">
+                        {faceTagSuggestions.map((t, idx) => (
+                          <li key={t}>
+                            <button
+                              type="button"
+                              className={`suggestion-btn ${idx === faceTagHighlight ? 'active' : ''}`}
+                              onMouseEnter={() => setFaceTagHighlight(idx)}
+                              onClick={() => assignFaceTag(f.id, t)}
+                            >{t}</button>
+                          </li>
+                        ))}
+                      </ul>
+                    )}
+                    <div className="face-tag-actions">
+                      {f.recognized_tag_id && (
+                        <button type="button" className="describe-btn" onClick={() => assignFaceTag(f.id, null)}>Unassign</button>
+                      )}
+                      <button type="button" className="describe-btn" onClick={() => setFaceTagPicker(null)}>Cancel</button>
+                    </div>
+                  </div>
+                )
+              })()}
+              {faceDrag?.mode === 'draw' && (
+                <div className="face-box drawing" style={faceDrag.box} />
+              )}
             </div>
           )}
         </div>
@@ -1245,6 +1977,41 @@ function App() {
                 </div>
               </div>
               <div className="detail"><span className="label">Description</span><span className="value">{selected.description || ''}</span></div>
+              {faces.length > 0 && (
+                <div className="detail people-row">
+                  <span className="label">People in this photo</span>
+                  <div className="value">
+                    <ul className="people-list">
+                      {recognizedFaces.map((f) => (
+                        <li
+                          key={f.id}
+                          className={hoveredFaceId === f.id ? 'active' : ''}
+                          onMouseEnter={() => setHoveredFaceId(f.id)}
+                          onMouseLeave={() => setHoveredFaceId(null)}
+                        >
+                          <img className="face-thumb" src={faceCropUrl(f.id)} width={28} height={28} alt="" loading="lazy" />
+                          {isPersonView ? (
+                            <span>{f.recognized_tag_name}</span>
+                          ) : (
+                            <button type="button" className="person-link" onClick={() => setActiveTags([f.recognized_tag_name])} title={`Show photos of ${f.recognized_tag_name}`}>{f.recognized_tag_name}</button>
+                          )}
+                          <span className="person-score">
+                            {f.assignment_source === 'manual' ? 'confirmed' : (typeof f.fused_score === 'number' ? f.fused_score.toFixed(2) : '')}
+                          </span>
+                          {!isPersonView && (
+                            <button type="button" className="suggestion-btn" onClick={() => rejectFacePerson(f)} title={`This is not ${f.recognized_tag_name}`}>Not this person</button>
+                          )}
+                        </li>
+                      ))}
+                    </ul>
+                    {faces.length > recognizedFaces.length && (
+                      <div className="people-unknown">
+                        {faces.length - recognizedFaces.length} unrecognized {faces.length - recognizedFaces.length === 1 ? 'face' : 'faces'}
+                      </div>
+                    )}
+                  </div>
+                </div>
+              )}
             </div>
           ) : (
             <div className="details-empty">Select a photo to see details</div>
@@ -1261,6 +2028,21 @@ function App() {
         </div>
       </div>
     )}
+    {!isBulkUploading && uploadErrors.length > 0 && (
+      <div className="modal-overlay" role="dialog" aria-modal="true" onKeyDown={(e) => { if (e.key === 'Escape') setUploadErrors([]) }}>
+        <div className="modal-card">
+          <div className="modal-title">Some files were not uploaded</div>
+          <ul className="upload-errors">
+            {uploadErrors.map((f, i) => (
+              <li key={i}><strong>{f.name}</strong>: {f.error}</li>
+            ))}
+          </ul>
+          <div style={{ display: 'flex', justifyContent: 'flex-end' }}>
+            <button className="suggestion-btn" onClick={() => setUploadErrors([])} autoFocus>Close</button>
+          </div>
+        </div>
+      </div>
+    )}
     {showDelete && (
       <div className="modal-overlay" role="dialog" aria-modal="true" onKeyDown={(e) => {
         if (e.key === 'Enter') { e.preventDefault(); confirmDelete(); }
@@ -1311,6 +2093,19 @@ function App() {
             <label>System Prompt</label>
             <textarea className="settings-input" rows={6} value={settingsPrompt} onChange={(e) => setSettingsPrompt(e.target.value)} placeholder="You are a helpful photo captioning assistant..." />
           </div>
+          {[
+            ['recognition_threshold', 'Match threshold', 0, 1, 0.01],
+            ['face_weight', 'Face weight', 0, 1, 0.05],
+            ['appearance_weight', 'Appearance weight', 0, 1, 0.05],
+            ['pose_limit_degrees', 'Pose limit (°)', 0, 90, 1],
+            ['min_face_size', 'Min face size (px)', 0, 10000, 1],
+            ['review_margin', 'Review margin', 0, 1, 0.01]
+          ].map(([key, label, min, max, step]) => (
+            <div className="settings-row" key={key}>
+              <label>{label}</label>
+              <input className="settings-input" type="number" min={min} max={max} step={step} value={recognitionSettings[key]} onChange={(e) => { const value = e.target.value; setRecognitionSettings((prev) => ({ ...prev, [key]: value })) }} />
+            </div>
+          ))}
           <div className="settings-actions" style={{ justifyContent: 'space-between' }}>
             <button className="suggestion-btn" style={{ color: '#b91c1c', borderColor: '#fecaca' }} onClick={openDeleteEventModal} disabled={String(currentEventName).toLowerCase()==='default'}>Delete event</button>
             <div style={{ display:'flex', gap:8 }}>
@@ -1439,6 +2234,29 @@ function App() {
         </div>
       </div>
     )}
+    {faceMenu.open && (
+      <div
+        className="context-overlay"
+        role="menu"
+        onClick={() => setFaceMenu({ open: false, x: 0, y: 0, faceId: null })}
+        onContextMenu={(e) => { e.preventDefault(); setFaceMenu({ open: false, x: 0, y: 0, faceId: null }) }}
+        style={{ position: 'fixed', inset: 0, zIndex: 1000 }}
+      >
+        <div
+          className="context-menu"
+          style={{ position: 'absolute', top: faceMenu.y, left: faceMenu.x, background: '#fff', border: '1px solid #e5e7eb', borderRadius: 8, boxShadow: '0 8px 24px rgba(0,0,0,0.12)', padding: 4, minWidth: 140 }}
+          onClick={(e) => e.stopPropagation()}
+        >
+          <button
+            className="suggestion-btn"
+            style={{ width: '100%', justifyContent: 'flex-start' }}
+            onClick={() => findSimilarFaces(faceMenu.faceId)}
+          >
+            Find similar faces
+          </button>
+        </div>
+      </div>
+    )}
     {tagMenu.open && (
       <div
         className="context-overlay"
@@ -1552,6 +2370,110 @@ function App() {
         </div>
       </div>
     )}
+    {showFaceClusters && (
+      <div className="modal-overlay face-clusters-modal" role="dialog" aria-modal="true" onKeyDown={(e) => {
+        if (e.key === 'Escape') { e.preventDefault(); setShowFaceClusters(false); }
+      }}>
+        <div className="modal-card">
+          <div className="modal-title">People in {currentEventName}</div>
+          <div className="modal-subtitle">
+            {isLoadingFaceClusters ? 'Grouping faces…' : `${faceClusters.clusters.length} proposed groups from ${faceClusters.total_faces} unnamed faces (${faceClusters.unclustered} ungrouped)`}
+          </div>
+          <div className="face-detect-row">
+            <button className="describe-btn" onClick={() => startEventDetection(false)} disabled={!!detectBatch && !detectBatch.finished} title="Detect faces in photos that have not been processed yet">Detect faces</button>
+            <button className="describe-btn" onClick={() => startEventDetection(true)} disabled={!!detectBatch && !detectBatch.finished} title="Run detection again on every photo in the event">Re-detect all</button>
+            <button className="describe-btn" onClick={recognizeEvent} disabled={isRecognizing} title="Match every face in the event against the named people">
+              {isRecognizing ? 'Recognizing…' : recognitionRun ? `Recognized ${recognitionRun.recognized} of ${recognitionRun.count}` : 'Recognize faces'}
+            </button>
+            {detectBatch && (
+              <>
+                <div className="face-detect-progress">
+                  <div className="progress-outer"><div className="progress-inner" style={{ width: `${Math.min(100, Math.round(((detectBatch.done + detectBatch.failed + detectBatch.cancelled) / Math.max(1, detectBatch.total)) * 100))}%` }} /></div>
+                  <span>{detectBatch.done}/{detectBatch.total} photos{detectBatch.failed ? ` · ${detectBatch.failed} failed` : ''}{detectBatch.cancelled ? ` · ${detectBatch.cancelled} cancelled` : ''}</span>
+                </div>
+                {!detectBatch.finished && <button className="describe-btn" onClick={cancelEventDetection}>Cancel</button>}
+              </>
+            )}
+          </div>
+          <div className="face-cluster-list">
+            {faceClusters.clusters.map((c) => (
+              <div key={c.cluster_id} className="face-cluster">
+                <div className="face-cluster-thumbs">
+                  {c.representatives.map((r) => (
+                    <img key={r.face_id} className="face-thumb" src={faceCropUrl(r.face_id)} width={56} height={56} alt={`Face ${r.face_id}`} loading="lazy" />
+                  ))}
+                </div>
+                <div className="face-cluster-meta">{c.size} faces · {c.photo_count} photos</div>
+                <form style={{ display: 'flex', gap: 8 }} onSubmit={(e) => { e.preventDefault(); nameFaceCluster(c) }}>
+                  <input className="settings-input" list="face-cluster-tags" placeholder="Name this person" value={clusterNames[c.cluster_id] || ''} onChange={(e) => { const value = e.target.value; setClusterNames((prev) => ({ ...prev, [c.cluster_id]: value })) }} />
+                  <button type="submit" className="describe-btn" disabled={!(clusterNames[c.cluster_id] || '').trim() || namingClusterId === c.cluster_id}>{namingClusterId === c.cluster_id ? 'Saving…' : 'Name'}</button>
+                </form>
+              </div>
+            ))}
+            {!isLoadingFaceClusters && faceClusters.clusters.length === 0 && <div style={{ color: '#666' }}>No groups to name. Detect faces first, or everyone is already named.</div>}
+          </div>
+          <datalist id="face-cluster-tags">
+            {allTags.map((t) => <option key={t} value={t} />)}
+          </datalist>
+          <div className="settings-actions">
+            <button className="suggestion-btn" onClick={loadFaceClusters} disabled={isLoadingFaceClusters}>Refresh</button>
+            <button className="suggestion-btn" onClick={() => setShowFaceClusters(false)}>Close</button>
+          </div>
+        </div>
+      </div>
+    )}
+    {showReview && (
+      <div className="modal-overlay review-modal" role="dialog" aria-modal="true" onKeyDown={onReviewKeyDown}>
+        <div className="modal-card" ref={reviewCardRef} tabIndex={-1}>
+          <div className="modal-title">Review faces in {currentEventName}</div>
+          <div className="modal-subtitle">
+            {isLoadingReview ? 'Loading…' : `${reviewQueue.total} uncertain ${reviewQueue.total === 1 ? 'face' : 'faces'} · 1/2/3 accept · N new person · X reject · S skip`}
+          </div>
+          {reviewQueue.items[0] ? (() => {
+            const item = reviewQueue.items[0]
+            return (
+              <div className="review-item">
+                <img className="face-thumb" src={faceCropUrl(item.face_id)} width={160} height={160} alt={`Face ${item.face_id}`} title={`Face ${item.face_id} · photo ${item.photo_id}`} />
+                <div className="review-candidates">
+                  {item.candidates.map((c, idx) => (
+                    <button key={c.tag_id} type="button" className="suggestion-btn review-candidate" onClick={() => resolveReviewItem(item, c.tag_name)}>
+                      <kbd>{idx + 1}</kbd>
+                      <span>{c.tag_name}</span>
+                      <span className="review-score">{c.score.toFixed(2)}</span>
+                    </button>
+                  ))}
+                  {item.candidates.length === 0 && <div style={{ color: '#666' }}>No candidates in the gallery yet.</div>}
+                  {reviewNewName === null ? (
+                    <div className="review-actions">
+                      <button type="button" className="describe-btn" onClick={() => setReviewNewName('')}><kbd>N</kbd> New person</button>
+                      <button type="button" className="describe-btn" onClick={() => resolveReviewItem(item, null)}><kbd>X</kbd> Reject</button>
+                      <button type="button" className="describe-btn" onClick={skipReviewItem} disabled={reviewQueue.items.length < 2}><kbd>S</kbd> Skip</button>
+                    </div>
+                  ) : (
+                    <form className="review-actions" onSubmit={(e) => { e.preventDefault(); if (reviewNewName.trim()) resolveReviewItem(item, reviewNewName) }}>
+                      <input autoFocus className="settings-input" list="face-cluster-tags" placeholder="Who is this?" value={reviewNewName} onChange={(e) => setReviewNewName(e.target.value)} />
+                      <button type="submit" className="describe-btn" disabled={!reviewNewName.trim()}>Assign</button>
+                    </form>
+                  )}
+                </div>
+              </div>
+            )
+          })() : (
+            !isLoadingReview && <div style={{ color: '#666' }}>Nothing to review. Recognize faces first, or every uncertain face is resolved.</div>
+          )}
+          <datalist id="face-cluster-tags">
+            {allTags.map((t) => <option key={t} value={t} />)}
+          </datalist>
+          <div className="settings-actions">
+            <button className="suggestion-btn" onClick={recognizeEvent} disabled={isRecognizing} title="Match every face in the event against the named people">
+              {isRecognizing ? 'Recognizing…' : recognitionRun ? `Recognized ${recognitionRun.recognized} of ${recognitionRun.count}` : 'Recognize faces'}
+            </button>
+            <button className="suggestion-btn" onClick={loadReviewQueue} disabled={isLoadingReview}>Refresh</button>
+            <button className="suggestion-btn" onClick={() => setShowReview(false)}>Close</button>
+          </div>
+        </div>
+      </div>
+    )}
     </>
   )
 }